@@ -0,0 +1,92 @@
+/**
+ * API Tokens - Tokens personales (Bearer) para acceso programático
+ *
+ * Cada token pertenece a un system user y hereda su rol y su tenant; los scopes limitan
+ * qué rutas puede usar (solo lectura). El secreto se muestra una sola vez al crearlo:
+ * en la base queda el hash SHA-256 y un prefijo visible para reconocerlo.
+ */
+
+const crypto = require('crypto');
+
+const TOKEN_PREFIX = 'fat_';
+
+// Vencimiento por defecto y máximo (días)
+const DEFAULT_EXPIRY_DAYS = 90;
+const MAX_EXPIRY_DAYS = 365;
+
+const SCOPES = {
+  'analytics:read': 'Cached analytics, trends and metric definitions',
+  'calendar:read': 'Time off calendar events and conflicts'
+};
+
+// Rutas que aceptan tokens ("METHOD /route/path" de Express) y el scope que piden.
+// Cualquier otra ruta sigue requiriendo la sesión del navegador.
+const ROUTE_SCOPES = {
+  'GET /getCachedData': 'analytics:read',
+  'GET /listCaches': 'analytics:read',
+  'GET /api/inboxes': 'analytics:read',
+  'GET /api/analytics/metrics': 'analytics:read',
+  'GET /api/analytics/trends': 'analytics:read',
+  'GET /api/tenant-settings': 'analytics:read',
+  'GET /api/calendar/events': 'calendar:read',
+  'GET /api/calendar/filter-options': 'calendar:read',
+  'GET /api/calendar/color-rules': 'calendar:read',
+  'GET /api/calendar/conflicts': 'calendar:read',
+  'GET /api/calendar/requests': 'calendar:read',
+  'GET /api/calendar/coverage': 'calendar:read',
+  'GET /api/calendar/holidays': 'calendar:read',
+  'GET /api/calendar/usage': 'calendar:read',
+  'GET /api/calendar/usage.csv': 'calendar:read',
+  'GET /api/calendar/export.csv': 'calendar:read'
+};
+
+/**
+ * Genera un token nuevo: { token (secreto), tokenPrefix, tokenHash }
+ */
+function generateToken() {
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  return {
+    token,
+    tokenPrefix: token.slice(0, TOKEN_PREFIX.length + 6),
+    tokenHash: hashToken(token)
+  };
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Token del header Authorization ("Bearer fat_..."), o null si no hay
+ */
+function getBearerToken(req) {
+  const header = req.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  return match && match[1].startsWith(TOKEN_PREFIX) ? match[1] : null;
+}
+
+/**
+ * Scope que pide la ruta actual para un token (undefined = no acepta tokens)
+ */
+function getRouteScope(req) {
+  return req.route ? ROUTE_SCOPES[`${req.method} ${req.route.path}`] : undefined;
+}
+
+/**
+ * Valida los scopes pedidos al crear un token; devuelve los desconocidos
+ */
+function findUnknownScopes(scopes) {
+  return scopes.filter(scope => !SCOPES[scope]);
+}
+
+module.exports = {
+  TOKEN_PREFIX,
+  DEFAULT_EXPIRY_DAYS,
+  MAX_EXPIRY_DAYS,
+  SCOPES,
+  generateToken,
+  hashToken,
+  getBearerToken,
+  getRouteScope,
+  findUnknownScopes
+};
@@ -0,0 +1,93 @@
+/**
+ * Attendance - Time off de los teammates dentro de un reporte de analytics
+ *
+ * Las métricas de Front se vinculan con time_off_events por email (sin distinguir
+ * mayúsculas). Por cada teammate se cuentan los días laborables del período en que estuvo
+ * out (work-calendar): si dos eventos se pisan el mismo día cuenta el de más horas, y los
+ * parciales cuentan en proporción a hours_per_day. Con eso se normaliza una métrica
+ * opcional: mensajes enviados por día laborable presente.
+ */
+
+const workCalendar = require('./work-calendar');
+
+// Métrica que se normaliza por día presente
+const SENT_METRIC_ID = 'num_messages_sent';
+
+const round2 = value => Math.round(value * 100) / 100;
+
+function metricValue(apiResponse, metricId) {
+  const metrics = apiResponse.apiData && apiResponse.apiData.metrics;
+  const metric = Array.isArray(metrics) ? metrics.find(m => m.id === metricId) : null;
+  if (!metric || metric.value === null || metric.value === undefined) return null;
+  const value = Number(metric.value);
+  return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Días out por teammate entre start y end (YYYY-MM-DD, inclusivos)
+ * @param {Object} data
+ * @param {Array} data.timeOff - eventos aprobados: [{ employee_email, start_date, end_date, hours_per_day }]
+ * @param {Object} [data.calendar] - work-calendar del tenant
+ * @returns {{ workingDays: number, byEmail: Map<string, { daysOut: number, hoursOut: number }> }}
+ */
+function computeAttendance({ timeOff, calendar = workCalendar.createWorkCalendar() }, start, end) {
+  const workingDates = workCalendar.eachDay(start, end).filter(date => workCalendar.isWorkingDay(calendar, date));
+
+  // email -> (fecha -> fracción de jornada out)
+  const fractions = new Map();
+  for (const event of timeOff) {
+    if (!event.employee_email) continue;
+    const email = event.employee_email.toLowerCase();
+    const eventStart = workCalendar.toDateString(event.start_date);
+    const eventEnd = workCalendar.toDateString(event.end_date);
+    const fraction = workCalendar.dayFraction(event.hours_per_day);
+    if (!fractions.has(email)) fractions.set(email, new Map());
+    const days = fractions.get(email);
+    for (const date of workingDates) {
+      if (date < eventStart || date > eventEnd) continue;
+      days.set(date, Math.max(days.get(date) || 0, fraction));
+    }
+  }
+
+  const byEmail = new Map();
+  for (const [email, days] of fractions) {
+    const daysOut = [...days.values()].reduce((sum, fraction) => sum + fraction, 0);
+    byEmail.set(email, {
+      daysOut: round2(daysOut),
+      hoursOut: round2(daysOut * workCalendar.FULL_DAY_HOURS)
+    });
+  }
+
+  return { workingDays: workingDates.length, byEmail };
+}
+
+/**
+ * Agrega timeOff a cada apiResponse del reporte (cache o job):
+ * { daysOut, hoursOut, workingDays, daysPresent, messagesSentPerDayPresent }.
+ * messagesSentPerDayPresent es null sin la métrica de enviados o sin días presentes.
+ */
+function annotateApiResponses(apiResponses, attendance) {
+  return apiResponses.map(apiResponse => {
+    const email = apiResponse.record && apiResponse.record.email ? apiResponse.record.email.toLowerCase() : null;
+    const out = (email && attendance.byEmail.get(email)) || { daysOut: 0, hoursOut: 0 };
+    const daysPresent = round2(Math.max(attendance.workingDays - out.daysOut, 0));
+    const sent = metricValue(apiResponse, SENT_METRIC_ID);
+
+    return {
+      ...apiResponse,
+      timeOff: {
+        daysOut: out.daysOut,
+        hoursOut: out.hoursOut,
+        workingDays: attendance.workingDays,
+        daysPresent,
+        messagesSentPerDayPresent: sent === null || daysPresent === 0 ? null : round2(sent / daysPresent)
+      }
+    };
+  });
+}
+
+module.exports = {
+  SENT_METRIC_ID,
+  computeAttendance,
+  annotateApiResponses
+};
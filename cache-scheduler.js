@@ -1,99 +1,42 @@
 /**
  * Cache Scheduler - Pre-calcula métricas para rangos predefinidos (Multi-Tenant)
  *
- * Todos los rangos se actualizan diariamente a las 6 AM ET:
+ * Todos los rangos se actualizan diariamente a las 6 AM (hora local de cada tenant):
  * - Last Week, Last Month, Last Quarter
  *
  * Iterates over all active tenants and precalculates per-tenant.
+ * Los resultados se guardan en metric_snapshots (ver metric-store.js).
  */
 
-const fs = require('fs');
-const path = require('path');
 require('dotenv').config();
 
 const db = require('./db');
+const frontMetrics = require('./front-metrics');
+const metricStore = require('./metric-store');
+const tz = require('./timezone');
+const frontClient = require('./front-client');
 
 // Rangos predefinidos (solo rangos cerrados que no cambian durante el día)
 const RANGES = ['lastWeek', 'lastMonth', 'lastQuarter'];
 
-// Directorio de cache (configurable for Azure App Service)
-const CACHE_DIR = process.env.CACHE_DIR || path.join(__dirname, 'cache');
-
-// Asegurar que existe el directorio de cache
-if (!fs.existsSync(CACHE_DIR)) {
-  fs.mkdirSync(CACHE_DIR, { recursive: true });
-}
-
 // Utility function para delay
 const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
-// Timezone para cálculo de fechas (debe coincidir con el frontend y la API de Front)
-const TIMEZONE = 'America/New_York';
-
-/**
- * Obtiene los componentes de fecha actuales en America/New_York
- */
-function getNowInTimezone() {
-  const now = new Date();
-  const parts = new Intl.DateTimeFormat('en-US', {
-    timeZone: TIMEZONE,
-    year: 'numeric',
-    month: '2-digit',
-    day: '2-digit',
-  }).formatToParts(now);
-
-  const year = parseInt(parts.find(p => p.type === 'year').value);
-  const month = parseInt(parts.find(p => p.type === 'month').value) - 1;
-  const day = parseInt(parts.find(p => p.type === 'day').value);
-
-  // Calcular día de la semana en ET
-  const dayOfWeek = parseInt(new Intl.DateTimeFormat('en-US', {
-    timeZone: TIMEZONE,
-    weekday: 'short',
-  }).format(now).replace(/\./g, ''), 10) || ['Sun','Mon','Tue','Wed','Thu','Fri','Sat'].indexOf(
-    new Intl.DateTimeFormat('en-US', { timeZone: TIMEZONE, weekday: 'short' }).format(now)
-  );
-
-  return { year, month, day, dayOfWeek };
-}
-
-/**
- * Convierte fecha/hora en America/New_York a Unix timestamp (segundos)
- */
-function toUnixInTimezone(year, month, day, hours = 0, minutes = 0, seconds = 0) {
-  const pad = (n) => String(n).padStart(2, '0');
-  const dateStr = `${year}-${pad(month + 1)}-${pad(day)}T${pad(hours)}:${pad(minutes)}:${pad(seconds)}`;
-
-  // Parsear como UTC primero
-  const utcDate = new Date(dateStr + 'Z');
-
-  // Calcular el offset entre UTC y America/New_York
-  const utcStr = utcDate.toLocaleString('en-US', { timeZone: 'UTC' });
-  const tzStr = utcDate.toLocaleString('en-US', { timeZone: TIMEZONE });
-  const offsetMs = new Date(utcStr).getTime() - new Date(tzStr).getTime();
-
-  // Ajustar para obtener el momento exacto en UTC que corresponde a esa hora en ET
-  return Math.floor((utcDate.getTime() + offsetMs) / 1000);
-}
-
 /**
- * Calcula timestamps para cada rango (en America/New_York)
+ * Calcula timestamps para cada rango en la zona horaria del tenant
  */
-function getDateRange(rangeName) {
-  const { year, month, day } = getNowInTimezone();
+function getDateRange(rangeName, timezone = tz.DEFAULT_TIMEZONE, now = new Date()) {
+  const { year, month, day, dayOfWeek } = tz.getPartsInTimezone(timezone, now);
 
   switch (rangeName) {
     case 'lastWeek': {
-      const nowET = new Date();
-      const dowStr = new Intl.DateTimeFormat('en-US', { timeZone: TIMEZONE, weekday: 'short' }).format(nowET);
-      const dow = ['Sun','Mon','Tue','Wed','Thu','Fri','Sat'].indexOf(dowStr);
       // Sábado pasado = hoy - dow - 1
-      const satEnd = new Date(Date.UTC(year, month, day - dow - 1));
+      const satEnd = new Date(Date.UTC(year, month, day - dayOfWeek - 1));
       // Domingo pasado = sábado - 6
       const sunStart = new Date(Date.UTC(satEnd.getUTCFullYear(), satEnd.getUTCMonth(), satEnd.getUTCDate() - 6));
       return {
-        start: toUnixInTimezone(sunStart.getUTCFullYear(), sunStart.getUTCMonth(), sunStart.getUTCDate(), 0, 0, 0),
-        end: toUnixInTimezone(satEnd.getUTCFullYear(), satEnd.getUTCMonth(), satEnd.getUTCDate(), 23, 59, 59),
+        start: tz.toUnixInTimezone(timezone, sunStart.getUTCFullYear(), sunStart.getUTCMonth(), sunStart.getUTCDate(), 0, 0, 0),
+        end: tz.toUnixInTimezone(timezone, satEnd.getUTCFullYear(), satEnd.getUTCMonth(), satEnd.getUTCDate(), 23, 59, 59),
         label: 'Last Week'
       };
     }
@@ -102,8 +45,8 @@ function getDateRange(rangeName) {
       const lastMonthDate = new Date(Date.UTC(year, month - 1, 1));
       const lastDayOfLastMonth = new Date(Date.UTC(year, month, 0));
       return {
-        start: toUnixInTimezone(lastMonthDate.getUTCFullYear(), lastMonthDate.getUTCMonth(), 1, 0, 0, 0),
-        end: toUnixInTimezone(lastDayOfLastMonth.getUTCFullYear(), lastDayOfLastMonth.getUTCMonth(), lastDayOfLastMonth.getUTCDate(), 23, 59, 59),
+        start: tz.toUnixInTimezone(timezone, lastMonthDate.getUTCFullYear(), lastMonthDate.getUTCMonth(), 1, 0, 0, 0),
+        end: tz.toUnixInTimezone(timezone, lastDayOfLastMonth.getUTCFullYear(), lastDayOfLastMonth.getUTCMonth(), lastDayOfLastMonth.getUTCDate(), 23, 59, 59),
         label: 'Last Month'
       };
     }
@@ -124,8 +67,8 @@ function getDateRange(rangeName) {
       }
       const lastDayOfQuarter = new Date(Date.UTC(qEndYear, qEndMonth + 1, 0));
       return {
-        start: toUnixInTimezone(qStartYear, qStartMonth, 1, 0, 0, 0),
-        end: toUnixInTimezone(lastDayOfQuarter.getUTCFullYear(), lastDayOfQuarter.getUTCMonth(), lastDayOfQuarter.getUTCDate(), 23, 59, 59),
+        start: tz.toUnixInTimezone(timezone, qStartYear, qStartMonth, 1, 0, 0, 0),
+        end: tz.toUnixInTimezone(timezone, lastDayOfQuarter.getUTCFullYear(), lastDayOfQuarter.getUTCMonth(), lastDayOfQuarter.getUTCDate(), 23, 59, 59),
         label: 'Last Quarter'
       };
     }
@@ -137,11 +80,12 @@ function getDateRange(rangeName) {
 
 /**
  * Obtiene todos los departamentos (inboxes) para un tenant desde la base de datos
+ * @returns {Array<{id: number, name: string}>}
  */
 async function getDepartmentsForTenant(tenantId) {
   try {
     const inboxes = await db.getAllInboxes(tenantId);
-    return inboxes.map(inbox => inbox.name);
+    return inboxes.map(inbox => ({ id: inbox.id, name: inbox.name }));
   } catch (error) {
     console.error('Error getting departments from database:', error.message);
     return [];
@@ -151,12 +95,12 @@ async function getDepartmentsForTenant(tenantId) {
 /**
  * Obtiene usuarios de un departamento desde la base de datos
  */
-async function getUsersByDepartment(departmentName, tenantId) {
+async function getUsersByDepartment(inbox, tenantId) {
   try {
-    const users = await db.getUsersByInboxName(departmentName, tenantId);
+    const users = await db.getUsersByInboxId(inbox.id, tenantId);
     return users;
   } catch (error) {
-    console.error(`  Error getting users for ${departmentName}:`, error.message);
+    console.error(`  Error getting users for ${inbox.name}:`, error.message);
     return [];
   }
 }
@@ -175,66 +119,26 @@ async function getIndividualUsersFromDB(tenantId) {
 }
 
 /**
- * Llama a la API de Front con reintentos (parameterized API key + endpoint)
- * Uses progressive backoff: waits longer on each retry for large reports.
+ * Pide un reporte a Front (rate limiting, reintentos y polling en front-client.js)
  */
 async function callFrontApi(requestBody, recordIndex, apiKey, endpoint) {
-  const maxRetries = 25;
-  let retries = 0;
-
-  while (retries < maxRetries) {
-    try {
-      const response = await fetch(endpoint, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'application/json',
-          'Authorization': apiKey,
-        },
-        body: JSON.stringify(requestBody),
-      });
-
-      if (response.status === 429) {
-        const errorData = await response.json();
-        const waitTime = parseInt(errorData._error?.message?.match(/\d+/)?.[0] || 5000);
-        console.log(`  Rate limited. Waiting ${waitTime}ms...`);
-        await delay(waitTime + 1000);
-        retries++;
-        continue;
-      }
-
-      if (!response.ok) {
-        throw new Error(`API error: ${response.status}`);
-      }
-
-      const data = await response.json();
-
-      if (data.status === 'done') {
-        return { apiData: data };
-      }
-
-      // Status pending/running, retry with progressive backoff
-      retries++;
-      if (retries < maxRetries) {
-        const waitMs = Math.min(2500 + (retries * 500), 8000);
-        await delay(waitMs);
-      }
-    } catch (error) {
-      console.error(`  Error for record ${recordIndex}:`, error.message);
-      return { error: error.message };
-    }
+  try {
+    const apiData = await frontClient.runAnalyticsReport(apiKey, requestBody, endpoint);
+    return { apiData };
+  } catch (error) {
+    console.error(`  Error for record ${recordIndex}:`, error.message);
+    return { error: error.message };
   }
-
-  return { error: 'Max retries reached' };
 }
 
 /**
  * Pre-calcula métricas para un departamento y rango.
  * If existingCache is provided, only retries failed records and merges with existing successes.
  */
-async function precalculateDepartment(departmentName, rangeName, apiKey, endpoint, tenantId, existingCache = null) {
-  const range = getDateRange(rangeName);
-  const users = await getUsersByDepartment(departmentName, tenantId);
+async function precalculateDepartment(inbox, rangeName, apiKey, endpoint, tenantId, metrics, timezone, existingCache = null) {
+  const departmentName = inbox.name;
+  const range = getDateRange(rangeName, timezone);
+  const users = await getUsersByDepartment(inbox, tenantId);
 
   if (users.length === 0) {
     console.log(`  No users found for ${departmentName}`);
@@ -276,8 +180,8 @@ async function precalculateDepartment(departmentName, rangeName, apiKey, endpoin
       },
       start: range.start,
       end: range.end,
-      timezone: 'America/New_York',
-      metrics: ['num_messages_received', 'num_messages_sent', 'avg_response_time'],
+      timezone,
+      metrics,
     };
 
     const result = await callFrontApi(requestBody, index + 1, apiKey, endpoint);
@@ -301,6 +205,7 @@ async function precalculateDepartment(departmentName, rangeName, apiKey, endpoin
     timestampEnd: range.end,
     generatedAt: new Date().toISOString(),
     totalRecords: users.length,
+    metrics,
     apiResponses,
   };
 }
@@ -309,8 +214,8 @@ async function precalculateDepartment(departmentName, rangeName, apiKey, endpoin
  * Pre-calcula métricas para todos los usuarios individuales en un rango.
  * If existingCache is provided, only retries failed records and merges with existing successes.
  */
-async function precalculateIndividuals(rangeName, apiKey, endpoint, tenantId, existingCache = null) {
-  const range = getDateRange(rangeName);
+async function precalculateIndividuals(rangeName, apiKey, endpoint, tenantId, metrics, timezone, existingCache = null) {
+  const range = getDateRange(rangeName, timezone);
   const users = await getIndividualUsersFromDB(tenantId);
 
   if (users.length === 0) {
@@ -352,8 +257,8 @@ async function precalculateIndividuals(rangeName, apiKey, endpoint, tenantId, ex
       },
       start: range.start,
       end: range.end,
-      timezone: 'America/New_York',
-      metrics: ['num_messages_received', 'num_messages_sent', 'avg_response_time'],
+      timezone,
+      metrics,
     };
 
     const result = await callFrontApi(requestBody, index + 1, apiKey, endpoint);
@@ -377,33 +282,11 @@ async function precalculateIndividuals(rangeName, apiKey, endpoint, tenantId, ex
     timestampEnd: range.end,
     generatedAt: new Date().toISOString(),
     totalRecords: users.length,
+    metrics,
     apiResponses,
   };
 }
 
-/**
- * Guarda resultados en cache (prefixed with tenant slug)
- */
-function saveToCache(tenantSlug, departmentName, rangeName, data) {
-  const filename = `${tenantSlug}_${departmentName.toLowerCase().replace(/\s+/g, '-')}_${rangeName}.json`;
-  const filepath = path.join(CACHE_DIR, filename);
-  fs.writeFileSync(filepath, JSON.stringify(data, null, 2));
-  console.log(`  Saved to cache: ${filename}`);
-}
-
-/**
- * Lee datos del cache (prefixed with tenant slug)
- */
-function readFromCache(tenantSlug, departmentName, rangeName) {
-  const filename = `${tenantSlug}_${departmentName.toLowerCase().replace(/\s+/g, '-')}_${rangeName}.json`;
-  const filepath = path.join(CACHE_DIR, filename);
-
-  if (fs.existsSync(filepath)) {
-    return JSON.parse(fs.readFileSync(filepath, 'utf8'));
-  }
-  return null;
-}
-
 /**
  * Verifica si el cache tiene errores (datos corruptos)
  */
@@ -416,10 +299,19 @@ function hasCacheErrors(cachedData) {
   });
 }
 
+/**
+ * Verifica si el cache se generó con el mismo set de métricas que tiene el tenant ahora
+ * (caches antiguos sin campo metrics se generaron con el set por defecto)
+ */
+function hasSameMetrics(cachedData, metrics) {
+  const cachedMetrics = cachedData.metrics || frontMetrics.DEFAULT_METRICS;
+  return cachedMetrics.length === metrics.length && cachedMetrics.every((id, i) => id === metrics[i]);
+}
+
 /**
  * Verifica si necesita actualizar según la frecuencia
  */
-function needsUpdate(rangeName, cachedData) {
+function needsUpdate(rangeName, cachedData, timezone) {
   if (!cachedData) return true;
 
   // Force update if cache has errors (will retry only failed records)
@@ -429,37 +321,30 @@ function needsUpdate(rangeName, cachedData) {
     return true;
   }
 
-  // Usar fecha/hora en America/New_York para determinar si necesita actualizar
-  const { year, month, day } = getNowInTimezone();
-  const todayStr = `${year}-${String(month+1).padStart(2,'0')}-${String(day).padStart(2,'0')}`;
-
-  // Fecha de generación en ET
-  const generatedAt = new Date(cachedData.generatedAt);
-  const genParts = new Intl.DateTimeFormat('en-US', {
-    timeZone: TIMEZONE, year: 'numeric', month: '2-digit', day: '2-digit'
-  }).formatToParts(generatedAt);
-  const genYear = parseInt(genParts.find(p => p.type === 'year').value);
-  const genMonth = parseInt(genParts.find(p => p.type === 'month').value);
-  const genDay = parseInt(genParts.find(p => p.type === 'day').value);
-  const genStr = `${genYear}-${String(genMonth).padStart(2,'0')}-${String(genDay).padStart(2,'0')}`;
-
-  const generatedToday = genStr === todayStr;
+  // El período cambió (p.ej. se cambió la zona horaria del tenant)
+  if (cachedData.timestampStart !== getDateRange(rangeName, timezone).start) {
+    return true;
+  }
 
-  // Todos los rangos se actualizan diariamente: si no se generó hoy, actualizar
-  return !generatedToday;
+  // Todos los rangos se actualizan diariamente: si no se generó hoy (hora local del tenant), actualizar
+  const todayStr = tz.getLocalDateString(timezone);
+  const genStr = tz.getLocalDateString(timezone, new Date(cachedData.generatedAt));
+  return genStr !== todayStr;
 }
 
 /**
  * Ejecuta el pre-cálculo completo para todos los tenants activos
+ * (o solo para `tenantIds` si se indica)
  */
-async function runPrecalculation(forceAll = false) {
+async function runPrecalculation(forceAll = false, tenantIds = null) {
   console.log('========================================');
   console.log('Starting cache precalculation...');
   console.log(`Time: ${new Date().toISOString()}`);
   console.log('========================================\n');
 
   // Get all active tenants
-  const tenants = await db.getActiveTenants();
+  const tenants = (await db.getActiveTenants())
+    .filter(tenant => !tenantIds || tenantIds.includes(tenant.id));
 
   if (tenants.length === 0) {
     console.log('No active tenants found.');
@@ -469,7 +354,8 @@ async function runPrecalculation(forceAll = false) {
   console.log(`Found ${tenants.length} active tenant(s)\n`);
 
   for (const tenant of tenants) {
-    console.log(`\n========== Tenant: ${tenant.name} (${tenant.slug}) ==========`);
+    const timezone = tz.resolveTimezone(tenant.timezone);
+    console.log(`\n========== Tenant: ${tenant.name} (${tenant.slug}, ${timezone}) ==========`);
 
     // Check if tenant has API keys configured
     const keys = await db.getTenantApiKeys(tenant.id);
@@ -480,7 +366,8 @@ async function runPrecalculation(forceAll = false) {
 
     const apiKey = keys.front_api_key;
     const apiKeyIndividuals = keys.front_api_key_individuals;
-    const endpoint = keys.front_endpoint || 'https://api2.frontapp.com/analytics/reports';
+    const endpoint = keys.front_endpoint || frontClient.DEFAULT_REPORTS_ENDPOINT;
+    const metrics = frontMetrics.resolveTenantMetrics(tenant.analytics_metrics);
 
     // Get departments for this tenant
     const departments = await getDepartmentsForTenant(tenant.id);
@@ -488,27 +375,28 @@ async function runPrecalculation(forceAll = false) {
     if (departments.length === 0) {
       console.log('  No departments found for this tenant.');
     } else {
-      console.log(`  Found ${departments.length} departments: ${departments.join(', ')}\n`);
+      console.log(`  Found ${departments.length} departments: ${departments.map(d => d.name).join(', ')}\n`);
 
       for (const department of departments) {
-        console.log(`\n  Department: ${department}`);
+        console.log(`\n  Department: ${department.name}`);
         console.log('  ----------------------------------------');
 
         for (const rangeName of RANGES) {
-          const cached = readFromCache(tenant.slug, department, rangeName);
+          const cached = await metricStore.readSnapshot(tenant.id, department.id, rangeName, department.name);
+          const metricsChanged = cached && !hasSameMetrics(cached, metrics);
 
-          if (!forceAll && !needsUpdate(rangeName, cached)) {
+          if (!forceAll && !metricsChanged && !needsUpdate(rangeName, cached, timezone)) {
             console.log(`    ${rangeName}: Using cached data (generated ${cached.generatedAt})`);
             continue;
           }
 
-          const isRetry = cached && hasCacheErrors(cached);
+          const isRetry = cached && !metricsChanged && hasCacheErrors(cached);
           console.log(`    ${rangeName}: ${isRetry ? 'Retrying failed records...' : 'Fetching fresh data...'}`);
 
           try {
-            const data = await precalculateDepartment(department, rangeName, apiKey, endpoint, tenant.id, isRetry ? cached : null);
+            const data = await precalculateDepartment(department, rangeName, apiKey, endpoint, tenant.id, metrics, timezone, isRetry ? cached : null);
             if (data) {
-              saveToCache(tenant.slug, department, rangeName, data);
+              await metricStore.saveSnapshot(tenant.id, department.id, rangeName, data);
               const errors = data.apiResponses.filter(r => r.error).length;
               console.log(`    ${rangeName}: Done (${data.totalRecords - errors}/${data.totalRecords} successful)`);
             }
@@ -528,20 +416,21 @@ async function runPrecalculation(forceAll = false) {
       console.log('  ----------------------------------------');
 
       for (const rangeName of RANGES) {
-        const cached = readFromCache(tenant.slug, 'individuals', rangeName);
+        const cached = await metricStore.readSnapshot(tenant.id, null, rangeName);
+        const metricsChanged = cached && !hasSameMetrics(cached, metrics);
 
-        if (!forceAll && !needsUpdate(rangeName, cached)) {
+        if (!forceAll && !metricsChanged && !needsUpdate(rangeName, cached, timezone)) {
           console.log(`    ${rangeName}: Using cached data (generated ${cached.generatedAt})`);
           continue;
         }
 
-        const isRetry = cached && hasCacheErrors(cached);
+        const isRetry = cached && !metricsChanged && hasCacheErrors(cached);
         console.log(`    ${rangeName}: ${isRetry ? 'Retrying failed records...' : 'Fetching fresh data...'}`);
 
         try {
-          const data = await precalculateIndividuals(rangeName, apiKeyIndividuals, endpoint, tenant.id, isRetry ? cached : null);
+          const data = await precalculateIndividuals(rangeName, apiKeyIndividuals, endpoint, tenant.id, metrics, timezone, isRetry ? cached : null);
           if (data) {
-            saveToCache(tenant.slug, 'individuals', rangeName, data);
+            await metricStore.saveSnapshot(tenant.id, null, rangeName, data);
             const errors = data.apiResponses.filter(r => r.error).length;
             console.log(`    ${rangeName}: Done (${data.totalRecords - errors}/${data.totalRecords} successful)`);
           }
@@ -566,35 +455,40 @@ async function runPrecalculation(forceAll = false) {
  * Programa la ejecución automática
  */
 function scheduleJobs() {
-  const checkInterval = 60 * 60 * 1000; // Revisar cada hora
+  const checkInterval = 5 * 60 * 1000; // Revisar cada 5 minutos
 
-  console.log('Scheduler started. Checking every hour...\n');
+  console.log('Scheduler started. Checking every 5 minutes...\n');
 
   // Ejecutar inmediatamente al iniciar
   runPrecalculation();
 
-  // Luego verificar cada hora
-  setInterval(() => {
-    // Usar hora en America/New_York (no UTC del servidor)
-    const now = new Date();
-    const hourET = parseInt(new Intl.DateTimeFormat('en-US', {
-      timeZone: TIMEZONE, hour: '2-digit', hour12: false
-    }).format(now));
-    const minuteET = parseInt(new Intl.DateTimeFormat('en-US', {
-      timeZone: TIMEZONE, minute: '2-digit'
-    }).format(now));
-    // Ejecutar a las 6 AM ET
-    if (hourET === 6 && minuteET < 5) {
-      console.log('Scheduled run triggered (6 AM ET)');
-      runPrecalculation();
+  // Ejecutar a las 6 AM en la zona horaria de cada tenant
+  setInterval(async () => {
+    try {
+      const now = new Date();
+      const tenants = await db.getActiveTenants();
+      const dueTenantIds = tenants
+        .filter(tenant => {
+          const { hour, minute } = tz.getPartsInTimezone(tz.resolveTimezone(tenant.timezone), now);
+          return hour === 6 && minute < 5;
+        })
+        .map(tenant => tenant.id);
+
+      if (dueTenantIds.length > 0) {
+        console.log(`Scheduled run triggered (6 AM local) for tenant(s): ${dueTenantIds.join(', ')}`);
+        runPrecalculation(false, dueTenantIds);
+      }
+    } catch (error) {
+      console.error('Scheduler check failed:', error.message);
     }
   }, checkInterval);
 }
 
 /**
- * Borra archivos de cache específicos y re-sincroniza desde la API de Front.
+ * Borra snapshots específicos y re-sincroniza desde la API de Front.
+ * Cada item identifica el inbox por `inboxId` (null = individuales) o por nombre (`department`).
  * @param {number} tenantId - ID del tenant
- * @param {Array<{department: string, range: string}>} items - Items a regenerar
+ * @param {Array<{inboxId?: number|null, department?: string, range: string}>} items - Items a regenerar
  * @returns {Array<{department, range, status, error?}>} Resultados por item
  */
 async function regenerateSpecific(tenantId, items) {
@@ -606,38 +500,53 @@ async function regenerateSpecific(tenantId, items) {
 
   const apiKey = keys.front_api_key;
   const apiKeyIndividuals = keys.front_api_key_individuals;
-  const endpoint = keys.front_endpoint || 'https://api2.frontapp.com/analytics/reports';
+  const endpoint = keys.front_endpoint || frontClient.DEFAULT_REPORTS_ENDPOINT;
+  const metrics = frontMetrics.resolveTenantMetrics(tenant.analytics_metrics);
+  const timezone = tz.resolveTimezone(tenant.timezone);
+
+  const inboxes = await getDepartmentsForTenant(tenantId);
 
   console.log(`\n[regenerateSpecific] Tenant: ${tenant.name} (${tenant.slug}), ${items.length} item(s)`);
 
   const results = [];
 
   for (const [idx, item] of items.entries()) {
-    const { department, range } = item;
+    const { range } = item;
+    const isIndividuals = item.inboxId === null || item.department === metricStore.INDIVIDUALS;
+    const inbox = isIndividuals
+      ? null
+      : inboxes.find(i => (item.inboxId !== undefined ? i.id === Number(item.inboxId) : i.name === item.department));
+    const department = isIndividuals ? metricStore.INDIVIDUALS : (inbox ? inbox.name : item.department);
+
     console.log(`  [${idx + 1}/${items.length}] ${department} - ${range}`);
 
-    // Delete existing cache file from disk
-    const filename = `${tenant.slug}_${department.toLowerCase().replace(/\s+/g, '-')}_${range}.json`;
-    const filepath = path.join(CACHE_DIR, filename);
-    if (fs.existsSync(filepath)) {
-      fs.unlinkSync(filepath);
-      console.log(`    Deleted: ${filename}`);
+    if (!isIndividuals && !inbox) {
+      results.push({ department, range, status: 'error', error: 'Inbox not found' });
+      continue;
+    }
+
+    const inboxId = isIndividuals ? null : inbox.id;
+
+    // Delete existing snapshot
+    const deleted = await metricStore.deleteSnapshot(tenantId, inboxId, range);
+    if (deleted > 0) {
+      console.log(`    Deleted ${deleted} cached row(s)`);
     }
 
     try {
       let data;
-      if (department === 'individuals') {
+      if (isIndividuals) {
         if (!apiKeyIndividuals) {
           results.push({ department, range, status: 'error', error: 'No individual API key configured' });
           continue;
         }
-        data = await precalculateIndividuals(range, apiKeyIndividuals, endpoint, tenantId, null);
+        data = await precalculateIndividuals(range, apiKeyIndividuals, endpoint, tenantId, metrics, timezone, null);
       } else {
-        data = await precalculateDepartment(department, range, apiKey, endpoint, tenantId, null);
+        data = await precalculateDepartment(inbox, range, apiKey, endpoint, tenantId, metrics, timezone, null);
       }
 
       if (data) {
-        saveToCache(tenant.slug, department, range, data);
+        await metricStore.saveSnapshot(tenantId, inboxId, range, data);
         const errors = data.apiResponses.filter(r => r.error).length;
         const status = errors === 0 ? 'success' : (errors < data.totalRecords ? 'partial' : 'error');
         results.push({ department, range, status, totalRecords: data.totalRecords, errors });
@@ -663,7 +572,6 @@ async function regenerateSpecific(tenantId, items) {
 // Exportar funciones para uso externo
 module.exports = {
   getDateRange,
-  readFromCache,
   runPrecalculation,
   regenerateSpecific,
   scheduleJobs,
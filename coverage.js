@@ -0,0 +1,107 @@
+/**
+ * Coverage - Cobertura de inboxes de Front según el time off
+ *
+ * Los eventos de time off se vinculan a los users locales por email (sin distinguir
+ * mayúsculas); user_inbox dice qué inboxes cubre cada uno. Un inbox con min_on_duty
+ * tiene una regla: cada día tiene que haber al menos esa cantidad de miembros activos
+ * trabajando. Las ausencias parciales (hours_per_day menor a un día completo) se informan
+ * pero no restan gente de guardia. Fines de semana y feriados del tenant (work-calendar)
+ * no tienen regla ni cuentan como días perdidos.
+ */
+
+const workCalendar = require('./work-calendar');
+
+const { FULL_DAY_HOURS, toDateString, eachDay } = workCalendar;
+
+// Máximo de días que se calculan por request
+const MAX_RANGE_DAYS = 366;
+
+// Con menos horas que una jornada completa la persona sigue de guardia
+function isPartialDay(event) {
+  return event.hours_per_day !== null && event.hours_per_day !== undefined && event.hours_per_day < FULL_DAY_HOURS;
+}
+
+/**
+ * Staffing por día y por inbox entre start y end (YYYY-MM-DD, inclusivos).
+ * @param {Object} data
+ * @param {Array} data.inboxes - [{ id, name, code, min_on_duty, members: [{ user_id, name, email }] }]
+ * @param {Array} data.timeOff - eventos vinculados: [{ user_id, employee_name, start_date, end_date, hours_per_day, status }]
+ * @param {Object} [data.hypothetical] - evento nuevo que todavía no existe, para avisar antes
+ *   de crearlo: { userIds, hoursPerDay }
+ * @param {Object} [data.calendar] - work-calendar del tenant (por defecto lunes a viernes, sin feriados)
+ * @returns {{ workingDays: number, days: Array, totals: Array, breaches: Array, causedBreaches: Array }}
+ *   totals: días laborables perdidos por inbox; causedBreaches: incumplimientos que solo
+ *   aparecen por el evento hipotético
+ */
+function computeCoverage({ inboxes, timeOff, hypothetical = null, calendar = workCalendar.createWorkCalendar() }, start, end) {
+  const days = [];
+  const breaches = [];
+  const causedBreaches = [];
+  const lostByInbox = new Map(inboxes.map(inbox => [inbox.id, 0]));
+  let workingDays = 0;
+
+  const hypotheticalOff = hypothetical && !isPartialDay({ hours_per_day: hypothetical.hoursPerDay })
+    ? new Set(hypothetical.userIds)
+    : new Set();
+
+  for (const date of eachDay(start, end)) {
+    const workingDay = workCalendar.isWorkingDay(calendar, date);
+    if (workingDay) workingDays++;
+    const eventsOfDay = timeOff.filter(event => toDateString(event.start_date) <= date && toDateString(event.end_date) >= date);
+    const offUsers = new Set(eventsOfDay.filter(event => !isPartialDay(event)).map(event => event.user_id));
+
+    const inboxDays = inboxes.map(inbox => {
+      const memberIds = new Set(inbox.members.map(member => member.user_id));
+      const off = eventsOfDay
+        .filter(event => memberIds.has(event.user_id))
+        .map(event => ({
+          userId: event.user_id,
+          name: event.employee_name,
+          hoursPerDay: event.hours_per_day,
+          partial: isPartialDay(event),
+          daysLost: workingDay ? workCalendar.dayFraction(event.hours_per_day) : 0,
+          status: event.status
+        }));
+      lostByInbox.set(inbox.id, lostByInbox.get(inbox.id) + off.reduce((sum, entry) => sum + entry.daysLost, 0));
+      const offCount = inbox.members.filter(member => offUsers.has(member.user_id)).length;
+      const onDuty = inbox.members.length - offCount;
+
+      const result = {
+        inboxId: inbox.id,
+        inboxName: inbox.name,
+        members: inbox.members.length,
+        onDuty,
+        minOnDuty: inbox.min_on_duty,
+        off
+      };
+
+      if (workingDay && inbox.min_on_duty !== null && inbox.min_on_duty !== undefined) {
+        if (onDuty < inbox.min_on_duty) {
+          breaches.push({ date, inboxId: inbox.id, inboxName: inbox.name, onDuty, minOnDuty: inbox.min_on_duty });
+        } else if (hypotheticalOff.size > 0) {
+          const extraOff = inbox.members.filter(member => hypotheticalOff.has(member.user_id) && !offUsers.has(member.user_id)).length;
+          if (onDuty - extraOff < inbox.min_on_duty) {
+            causedBreaches.push({ date, inboxId: inbox.id, inboxName: inbox.name, onDuty: onDuty - extraOff, minOnDuty: inbox.min_on_duty });
+          }
+        }
+      }
+
+      return result;
+    });
+
+    days.push({ date, workingDay, holiday: workCalendar.holidayName(calendar, date), inboxes: inboxDays });
+  }
+
+  const totals = inboxes.map(inbox => ({
+    inboxId: inbox.id,
+    inboxName: inbox.name,
+    workingDaysLost: Math.round(lostByInbox.get(inbox.id) * 100) / 100
+  }));
+
+  return { workingDays, days, totals, breaches, causedBreaches };
+}
+
+module.exports = {
+  MAX_RANGE_DAYS,
+  computeCoverage
+};
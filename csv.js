@@ -0,0 +1,97 @@
+/**
+ * CSV - Lectura y escritura de CSV (RFC 4180) para import / export del calendario
+ *
+ * Sin dependencias: comillas dobles, comillas escapadas ("") y saltos de línea dentro de
+ * campos. Excel en algunos locales guarda con ';' en vez de ',', así que el separador se
+ * detecta en la primera línea. El export lleva BOM para que Excel lo abra como UTF-8.
+ */
+
+/**
+ * Separador de la primera línea (fuera de comillas): ',', ';' o tab
+ */
+function detectDelimiter(text) {
+  const counts = { ',': 0, ';': 0, '\t': 0 };
+  let inQuotes = false;
+  for (const char of text) {
+    if (char === '"') inQuotes = !inQuotes;
+    else if (!inQuotes && (char === '\n' || char === '\r')) break;
+    else if (!inQuotes && counts[char] !== undefined) counts[char]++;
+  }
+  return Object.keys(counts).reduce((best, delimiter) => (counts[delimiter] > counts[best] ? delimiter : best), ',');
+}
+
+/**
+ * Texto CSV -> array de filas (arrays de strings). Las filas vacías se omiten,
+ * pero cada fila conserva su número de línea en el archivo (`line`) para reportar errores.
+ */
+function parse(text, delimiter = detectDelimiter(text)) {
+  const input = text.replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.some(value => value.trim() !== '')) {
+      row.line = rowLine;
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) endRow();
+
+  return rows;
+}
+
+// Celdas que Excel interpretaría como fórmula (CSV injection): se les antepone un apóstrofo
+function escapeCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Filas (arrays) -> CSV con BOM y CRLF
+ */
+function stringify(rows) {
+  return '\uFEFF' + rows.map(row => row.map(escapeCell).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  detectDelimiter,
+  parse,
+  stringify
+};
@@ -6,6 +6,8 @@
 const { Pool } = require('pg');
 require('dotenv').config();
 
+const keyEncryption = require('./key-encryption');
+
 // Pool de conexiones
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
@@ -41,6 +43,15 @@ async function initializeDatabase() {
         front_api_key TEXT,
         front_api_key_individuals TEXT,
         front_endpoint VARCHAR(500) DEFAULT 'https://api2.frontapp.com/analytics/reports',
+        analytics_metrics JSONB,
+        timezone VARCHAR(64) NOT NULL DEFAULT 'America/New_York',
+        working_days SMALLINT[] NOT NULL DEFAULT '{1,2,3,4,5}',
+        calendar_color_rules JSONB NOT NULL DEFAULT '[]',
+        front_sync_auto_apply BOOLEAN NOT NULL DEFAULT FALSE,
+        paylocity_webhook_secret TEXT,
+        paylocity_webhook_previous_secret TEXT,
+        paylocity_webhook_previous_expires_at TIMESTAMPTZ,
+        paylocity_webhook_auth_mode VARCHAR(10) NOT NULL DEFAULT 'hmac' CHECK (paylocity_webhook_auth_mode IN ('hmac', 'header')),
         is_active BOOLEAN DEFAULT TRUE,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
@@ -68,6 +79,8 @@ async function initializeDatabase() {
         email VARCHAR(255) NOT NULL,
         name VARCHAR(200) NOT NULL,
         is_individual BOOLEAN DEFAULT FALSE,
+        is_active BOOLEAN NOT NULL DEFAULT TRUE,
+        deactivated_at TIMESTAMP,
         tenant_id INTEGER REFERENCES tenants(id),
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
@@ -119,7 +132,207 @@ async function initializeDatabase() {
         hours_per_day REAL,
         source TEXT DEFAULT 'manual',
         color TEXT DEFAULT '#3788d8',
+        external_key TEXT,
+        external_request_id TEXT,
+        cancelled_at TIMESTAMPTZ,
+        last_delivery_id BIGINT,
+        status VARCHAR(20) NOT NULL DEFAULT 'approved' CHECK (status IN ('pending', 'approved', 'rejected', 'cancelled')),
+        request_note TEXT,
+        requested_by INTEGER REFERENCES system_users(id) ON DELETE SET NULL,
+        decided_by INTEGER REFERENCES system_users(id) ON DELETE SET NULL,
+        decided_at TIMESTAMPTZ,
+        decision_note TEXT,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW()
+      )
+    `);
+
+    // Tabla de report_jobs (reportes de analytics asíncronos)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS report_jobs (
+        id SERIAL PRIMARY KEY,
+        tenant_id INTEGER NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+        created_by INTEGER REFERENCES system_users(id) ON DELETE SET NULL,
+        report_type VARCHAR(20) NOT NULL CHECK (report_type IN ('inbox', 'individuals')),
+        inbox_name VARCHAR(100),
+        timestamp_start BIGINT NOT NULL,
+        timestamp_end BIGINT NOT NULL,
+        metrics JSONB NOT NULL,
+        records JSONB NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'done', 'failed')),
+        total_records INTEGER NOT NULL DEFAULT 0,
+        processed_records INTEGER NOT NULL DEFAULT 0,
+        results JSONB NOT NULL DEFAULT '[]',
+        error TEXT,
+        claim_token TEXT,
+        heartbeat_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        started_at TIMESTAMPTZ,
+        finished_at TIMESTAMPTZ,
+        updated_at TIMESTAMPTZ DEFAULT NOW()
+      )
+    `);
+
+    // Tabla de metric_snapshots (cache de métricas pre-calculadas por teammate)
+    // inbox_id NULL = usuarios individuales
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS metric_snapshots (
+        id SERIAL PRIMARY KEY,
+        tenant_id INTEGER NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+        inbox_id INTEGER REFERENCES inboxes(id) ON DELETE CASCADE,
+        range_name VARCHAR(20) NOT NULL,
+        teammate_id VARCHAR(50) NOT NULL,
+        record_index INTEGER,
+        record JSONB NOT NULL,
+        api_data JSONB,
+        error TEXT,
+        metrics JSONB NOT NULL,
+        timestamp_start BIGINT NOT NULL,
+        timestamp_end BIGINT NOT NULL,
+        generated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        UNIQUE NULLS NOT DISTINCT (tenant_id, inbox_id, range_name, teammate_id)
+      )
+    `);
+
+    // Historial de métricas: un registro por teammate y período calculado (nunca se sobreescribe
+    // con otro período). period_start/period_end vienen de getDateRange.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS metric_history (
+        id SERIAL PRIMARY KEY,
+        tenant_id INTEGER NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+        inbox_id INTEGER REFERENCES inboxes(id) ON DELETE CASCADE,
+        range_name VARCHAR(20) NOT NULL,
+        teammate_id VARCHAR(50) NOT NULL,
+        record JSONB NOT NULL,
+        metric_values JSONB NOT NULL,
+        period_start BIGINT NOT NULL,
+        period_end BIGINT NOT NULL,
+        generated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        UNIQUE NULLS NOT DISTINCT (tenant_id, inbox_id, range_name, teammate_id, period_start)
+      )
+    `);
+
+    // Ejecuciones del sync con Front (teammates, canales y membresías -> users/inboxes/user_inbox)
+    // status: preview (dry-run pendiente de revisión), applied, superseded (hay un preview más nuevo), failed
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS front_sync_runs (
+        id SERIAL PRIMARY KEY,
+        tenant_id INTEGER NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+        trigger VARCHAR(20) NOT NULL DEFAULT 'manual' CHECK (trigger IN ('manual', 'schedule')),
+        status VARCHAR(20) NOT NULL DEFAULT 'preview' CHECK (status IN ('preview', 'applied', 'superseded', 'failed')),
+        diff JSONB,
+        error TEXT,
+        created_by INTEGER REFERENCES system_users(id) ON DELETE SET NULL,
+        applied_by INTEGER REFERENCES system_users(id) ON DELETE SET NULL,
+        applied_changes JSONB,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        applied_at TIMESTAMPTZ
+      )
+    `);
+
+    // Audit log de acciones administrativas y cambios de datos.
+    // tenant_id sin FK para conservar los eventos de un tenant borrado; actor_email/actor_name
+    // se copian para que el evento siga legible si se borra el usuario (o no hay usuario: webhook, scheduler)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS audit_events (
+        id BIGSERIAL PRIMARY KEY,
+        tenant_id INTEGER,
+        actor_id INTEGER REFERENCES system_users(id) ON DELETE SET NULL,
+        actor_email VARCHAR(255),
+        actor_name VARCHAR(200),
+        action VARCHAR(60) NOT NULL,
+        target_type VARCHAR(40),
+        target_id VARCHAR(100),
+        before JSONB,
+        after JSONB,
+        ip VARCHAR(64),
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+
+    // Tokens personales para acceso programático (scripts / BI). Solo se guarda el hash
+    // SHA-256 del secreto; token_prefix es el comienzo visible para identificarlo en la UI.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS api_tokens (
+        id SERIAL PRIMARY KEY,
+        system_user_id INTEGER NOT NULL REFERENCES system_users(id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL,
+        token_prefix VARCHAR(20) NOT NULL,
+        token_hash CHAR(64) UNIQUE NOT NULL,
+        scopes JSONB NOT NULL,
+        expires_at TIMESTAMPTZ NOT NULL,
+        last_used_at TIMESTAMPTZ,
+        last_used_ip VARCHAR(64),
+        revoked_at TIMESTAMPTZ,
+        created_by INTEGER REFERENCES system_users(id) ON DELETE SET NULL,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      )
+    `);
+
+    // Log de entregas del webhook de Paylocity: body crudo, resultado y error de cada request
+    // (también los rechazados). status: processed, rejected (autenticación), failed (procesamiento).
+    // Un replay manual de una entrega fallida se guarda como una entrega nueva con replay_of.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id BIGSERIAL PRIMARY KEY,
+        tenant_id INTEGER NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+        source VARCHAR(30) NOT NULL DEFAULT 'paylocity',
+        status VARCHAR(20) NOT NULL CHECK (status IN ('processing', 'processed', 'ignored', 'rejected', 'failed')),
+        http_status INTEGER NOT NULL,
+        signature VARCHAR(128),
+        headers JSONB,
+        payload TEXT,
+        result JSONB,
+        error TEXT,
+        ip VARCHAR(64),
+        replay_of BIGINT REFERENCES webhook_deliveries(id) ON DELETE SET NULL,
+        replayed_by INTEGER REFERENCES system_users(id) ON DELETE SET NULL,
+        received_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+
+    // Feeds ICS suscribibles del calendario (URL secreta). Igual que api_tokens solo se
+    // guarda el hash; scope 'user' depende de que su dueño siga activo, 'tenant' no.
+    // filters: { costCenter, employeeEmail, includePending }
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS calendar_feeds (
+        id SERIAL PRIMARY KEY,
+        tenant_id INTEGER NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+        system_user_id INTEGER NOT NULL REFERENCES system_users(id) ON DELETE CASCADE,
+        scope VARCHAR(20) NOT NULL DEFAULT 'user' CHECK (scope IN ('user', 'tenant')),
+        name VARCHAR(100) NOT NULL,
+        token_prefix VARCHAR(20) NOT NULL,
+        token_hash CHAR(64) UNIQUE NOT NULL,
+        filters JSONB NOT NULL DEFAULT '{}',
+        last_accessed_at TIMESTAMPTZ,
+        rotated_at TIMESTAMPTZ,
+        revoked_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      )
+    `);
+
+    // Feriados del tenant (uno por fecha): cargados a mano o importados de un ICS
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS tenant_holidays (
+        id SERIAL PRIMARY KEY,
+        tenant_id INTEGER NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+        holiday_date DATE NOT NULL,
+        name VARCHAR(200) NOT NULL,
+        source VARCHAR(20) NOT NULL DEFAULT 'manual' CHECK (source IN ('manual', 'ics')),
         created_at TIMESTAMPTZ DEFAULT NOW(),
+        UNIQUE (tenant_id, holiday_date)
+      )
+    `);
+
+    // Días de time off por año. employee_email NULL = allowance por defecto del tenant;
+    // los emails se guardan en minúscula
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS time_off_allowances (
+        id SERIAL PRIMARY KEY,
+        tenant_id INTEGER NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+        year SMALLINT NOT NULL,
+        employee_email TEXT,
+        days NUMERIC(6,2) NOT NULL CHECK (days >= 0),
         updated_at TIMESTAMPTZ DEFAULT NOW()
       )
     `);
@@ -137,6 +350,18 @@ async function initializeDatabase() {
       CREATE INDEX IF NOT EXISTS idx_system_users_tenant_id ON system_users(tenant_id);
       CREATE INDEX IF NOT EXISTS idx_time_off_events_tenant ON time_off_events(tenant_id);
       CREATE INDEX IF NOT EXISTS idx_time_off_events_dates ON time_off_events(start_date, end_date);
+      CREATE INDEX IF NOT EXISTS idx_report_jobs_tenant ON report_jobs(tenant_id);
+      CREATE INDEX IF NOT EXISTS idx_report_jobs_status ON report_jobs(status);
+      CREATE INDEX IF NOT EXISTS idx_metric_snapshots_lookup ON metric_snapshots(tenant_id, inbox_id, range_name);
+      CREATE INDEX IF NOT EXISTS idx_metric_history_lookup ON metric_history(tenant_id, inbox_id, range_name, period_start);
+      CREATE INDEX IF NOT EXISTS idx_front_sync_runs_tenant ON front_sync_runs(tenant_id, created_at);
+      CREATE INDEX IF NOT EXISTS idx_audit_events_tenant ON audit_events(tenant_id, created_at);
+      CREATE INDEX IF NOT EXISTS idx_audit_events_action ON audit_events(action);
+      CREATE INDEX IF NOT EXISTS idx_api_tokens_user ON api_tokens(system_user_id);
+      CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_tenant ON webhook_deliveries(tenant_id, received_at);
+      CREATE INDEX IF NOT EXISTS idx_calendar_feeds_tenant ON calendar_feeds(tenant_id, system_user_id);
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_time_off_allowances_unique
+        ON time_off_allowances(tenant_id, year, COALESCE(employee_email, ''));
     `);
 
     // Update role CHECK constraint to include 'calendar_user'
@@ -146,6 +371,117 @@ async function initializeDatabase() {
         CHECK (role IN ('admin', 'user', 'super_admin', 'calendar_user'));
     `);
 
+    // Per-tenant Front analytics metric set (NULL = default set)
+    await client.query(`
+      ALTER TABLE tenants ADD COLUMN IF NOT EXISTS analytics_metrics JSONB;
+    `);
+
+    // Per-tenant IANA timezone (date ranges, Front requests and the daily 6 AM run)
+    await client.query(`
+      ALTER TABLE tenants ADD COLUMN IF NOT EXISTS timezone VARCHAR(64) NOT NULL DEFAULT 'America/New_York';
+    `);
+
+    // Front sync: teammates desactivados en Front se marcan inactivos (no se borran)
+    await client.query(`
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS is_active BOOLEAN NOT NULL DEFAULT TRUE;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS deactivated_at TIMESTAMP;
+      ALTER TABLE tenants ADD COLUMN IF NOT EXISTS front_sync_auto_apply BOOLEAN NOT NULL DEFAULT FALSE;
+    `);
+
+    // Secreto del webhook de Paylocity por tenant (cifrado; el anterior vale un tiempo tras rotarlo)
+    await client.query(`
+      ALTER TABLE tenants ADD COLUMN IF NOT EXISTS paylocity_webhook_secret TEXT;
+      ALTER TABLE tenants ADD COLUMN IF NOT EXISTS paylocity_webhook_previous_secret TEXT;
+      ALTER TABLE tenants ADD COLUMN IF NOT EXISTS paylocity_webhook_previous_expires_at TIMESTAMPTZ;
+      ALTER TABLE tenants ADD COLUMN IF NOT EXISTS paylocity_webhook_auth_mode VARCHAR(10) NOT NULL DEFAULT 'hmac';
+      ALTER TABLE tenants DROP CONSTRAINT IF EXISTS tenants_paylocity_webhook_auth_mode_check;
+      ALTER TABLE tenants ADD CONSTRAINT tenants_paylocity_webhook_auth_mode_check
+        CHECK (paylocity_webhook_auth_mode IN ('hmac', 'header'));
+    `);
+
+    // Eventos de Paylocity: clave externa para upserts idempotentes, cancelación como
+    // soft-delete y la última entrega del webhook que tocó cada evento
+    await client.query(`
+      ALTER TABLE time_off_events ADD COLUMN IF NOT EXISTS external_key TEXT;
+      ALTER TABLE time_off_events ADD COLUMN IF NOT EXISTS external_request_id TEXT;
+      ALTER TABLE time_off_events ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMPTZ;
+      ALTER TABLE time_off_events ADD COLUMN IF NOT EXISTS last_delivery_id BIGINT;
+      ALTER TABLE time_off_events DROP CONSTRAINT IF EXISTS time_off_events_last_delivery_id_fkey;
+      ALTER TABLE time_off_events ADD CONSTRAINT time_off_events_last_delivery_id_fkey
+        FOREIGN KEY (last_delivery_id) REFERENCES webhook_deliveries(id) ON DELETE SET NULL;
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_time_off_events_external_key
+        ON time_off_events(tenant_id, external_key) WHERE external_key IS NOT NULL;
+    `);
+
+    // Solicitudes de time off dentro de la app: pending -> approved / rejected (por el supervisor
+    // de supervisor_email o un admin), cancelled por el empleado. Lo existente queda approved.
+    await client.query(`
+      ALTER TABLE time_off_events ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'approved';
+      ALTER TABLE time_off_events DROP CONSTRAINT IF EXISTS time_off_events_status_check;
+      ALTER TABLE time_off_events ADD CONSTRAINT time_off_events_status_check
+        CHECK (status IN ('pending', 'approved', 'rejected', 'cancelled'));
+      ALTER TABLE time_off_events ADD COLUMN IF NOT EXISTS request_note TEXT;
+      ALTER TABLE time_off_events ADD COLUMN IF NOT EXISTS requested_by INTEGER REFERENCES system_users(id) ON DELETE SET NULL;
+      ALTER TABLE time_off_events ADD COLUMN IF NOT EXISTS decided_by INTEGER REFERENCES system_users(id) ON DELETE SET NULL;
+      ALTER TABLE time_off_events ADD COLUMN IF NOT EXISTS decided_at TIMESTAMPTZ;
+      ALTER TABLE time_off_events ADD COLUMN IF NOT EXISTS decision_note TEXT;
+      UPDATE time_off_events SET status = 'cancelled' WHERE cancelled_at IS NOT NULL AND status <> 'cancelled';
+      CREATE INDEX IF NOT EXISTS idx_time_off_events_supervisor
+        ON time_off_events(tenant_id, LOWER(supervisor_email)) WHERE status = 'pending';
+    `);
+
+    // Reglas de cobertura: mínimo de miembros de guardia por inbox (NULL = sin regla).
+    // El time off se vincula a users por email, de ahí los índices por LOWER(email).
+    await client.query(`
+      ALTER TABLE inboxes ADD COLUMN IF NOT EXISTS min_on_duty INTEGER;
+      ALTER TABLE inboxes DROP CONSTRAINT IF EXISTS inboxes_min_on_duty_check;
+      ALTER TABLE inboxes ADD CONSTRAINT inboxes_min_on_duty_check CHECK (min_on_duty IS NULL OR min_on_duty >= 0);
+      CREATE INDEX IF NOT EXISTS idx_time_off_events_email ON time_off_events(tenant_id, LOWER(employee_email));
+      CREATE INDEX IF NOT EXISTS idx_users_email ON users(tenant_id, LOWER(email));
+    `);
+
+    // Calendario laboral: días de la semana que se trabaja (ISO, 1 = lunes ... 7 = domingo)
+    await client.query(`
+      ALTER TABLE tenants ADD COLUMN IF NOT EXISTS working_days SMALLINT[] NOT NULL DEFAULT '{1,2,3,4,5}';
+    `);
+
+    // Reglas de color del calendario por tenant: [{ field, value, color }], gana la primera que coincide
+    await client.query(`
+      ALTER TABLE tenants ADD COLUMN IF NOT EXISTS calendar_color_rules JSONB NOT NULL DEFAULT '[]';
+    `);
+
+    // Lease de los report jobs: el worker que lo tomó (claim_token) y su último heartbeat
+    await client.query(`
+      ALTER TABLE report_jobs ADD COLUMN IF NOT EXISTS claim_token TEXT;
+      ALTER TABLE report_jobs ADD COLUMN IF NOT EXISTS heartbeat_at TIMESTAMPTZ;
+    `);
+
+    // Replay protection de webhooks: una firma solo puede estar en una entrega (la que la
+    // procesó o la está procesando). Las fallidas la liberan para que Paylocity reintente.
+    // Antes el índice no era único: se conserva la firma de la primera entrega procesada.
+    await client.query(`
+      ALTER TABLE webhook_deliveries DROP CONSTRAINT IF EXISTS webhook_deliveries_status_check;
+      ALTER TABLE webhook_deliveries ADD CONSTRAINT webhook_deliveries_status_check
+        CHECK (status IN ('processing', 'processed', 'ignored', 'rejected', 'failed'));
+      DROP INDEX IF EXISTS idx_webhook_deliveries_signature;
+      UPDATE webhook_deliveries SET signature = NULL
+      WHERE id IN (
+        SELECT id FROM (
+          SELECT id, status,
+                 ROW_NUMBER() OVER (PARTITION BY tenant_id, signature ORDER BY (status = 'processed') DESC, id) AS n
+          FROM webhook_deliveries
+          WHERE signature IS NOT NULL
+        ) ranked
+        WHERE n > 1 OR status <> 'processed'
+      );
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_webhook_deliveries_signature_unique
+        ON webhook_deliveries(tenant_id, signature) WHERE signature IS NOT NULL;
+    `);
+
+    if (!keyEncryption.isConfigured()) {
+      console.warn('API_KEY_MASTER_KEYS is not set: tenant Front API keys cannot be saved until it is configured');
+    }
+
     console.log('Database tables initialized successfully');
   } finally {
     client.release();
@@ -156,18 +492,35 @@ async function initializeDatabase() {
 // TENANT CRUD OPERATIONS
 // ==========================================
 
+// Tenant rows never carry the (encrypted) Front API keys or webhook secrets;
+// use getTenantApiKeys / getTenantWebhookConfig for those
+function withoutApiKeys(row) {
+  if (!row) return row;
+  const {
+    front_api_key, front_api_key_individuals,
+    paylocity_webhook_secret, paylocity_webhook_previous_secret,
+    ...tenant
+  } = row;
+  return {
+    ...tenant,
+    has_api_key: !!front_api_key,
+    has_api_key_individuals: !!front_api_key_individuals,
+    has_webhook_secret: !!paylocity_webhook_secret
+  };
+}
+
 async function getAllTenants() {
   const result = await pool.query(
     'SELECT * FROM tenants ORDER BY name'
   );
-  return result.rows;
+  return result.rows.map(withoutApiKeys);
 }
 
 async function getActiveTenants() {
   const result = await pool.query(
     'SELECT * FROM tenants WHERE is_active = TRUE ORDER BY name'
   );
-  return result.rows;
+  return result.rows.map(withoutApiKeys);
 }
 
 async function getTenantById(id) {
@@ -175,7 +528,7 @@ async function getTenantById(id) {
     'SELECT * FROM tenants WHERE id = $1',
     [id]
   );
-  return result.rows[0];
+  return withoutApiKeys(result.rows[0]);
 }
 
 async function getTenantBySlug(slug) {
@@ -183,7 +536,7 @@ async function getTenantBySlug(slug) {
     'SELECT * FROM tenants WHERE slug = $1',
     [slug]
   );
-  return result.rows[0];
+  return withoutApiKeys(result.rows[0]);
 }
 
 async function getTenantByDomain(domain) {
@@ -191,28 +544,30 @@ async function getTenantByDomain(domain) {
     'SELECT * FROM tenants WHERE LOWER(domain) = LOWER($1) AND is_active = TRUE',
     [domain]
   );
-  return result.rows[0];
+  return withoutApiKeys(result.rows[0]);
 }
 
-async function createTenant(name, slug, domain = null, azureTenantId = null) {
+async function createTenant(name, slug, domain = null, azureTenantId = null, timezone = null) {
   const result = await pool.query(
-    `INSERT INTO tenants (name, slug, domain, azure_tenant_id)
-     VALUES ($1, $2, $3, $4)
+    `INSERT INTO tenants (name, slug, domain, azure_tenant_id, timezone)
+     VALUES ($1, $2, $3, $4, COALESCE($5, 'America/New_York'))
      RETURNING *`,
-    [name, slug, domain, azureTenantId]
+    [name, slug, domain, azureTenantId, timezone]
   );
-  return result.rows[0];
+  return withoutApiKeys(result.rows[0]);
 }
 
-async function updateTenant(id, name, slug, domain, azureTenantId, isActive) {
+// timezone NULL keeps the current one
+async function updateTenant(id, name, slug, domain, azureTenantId, isActive, timezone = null) {
   const result = await pool.query(
     `UPDATE tenants
-     SET name = $2, slug = $3, domain = $4, azure_tenant_id = $5, is_active = $6, updated_at = CURRENT_TIMESTAMP
+     SET name = $2, slug = $3, domain = $4, azure_tenant_id = $5, is_active = $6,
+         timezone = COALESCE($7, timezone), updated_at = CURRENT_TIMESTAMP
      WHERE id = $1
      RETURNING *`,
-    [id, name, slug, domain, azureTenantId, isActive]
+    [id, name, slug, domain, azureTenantId, isActive, timezone]
   );
-  return result.rows[0];
+  return withoutApiKeys(result.rows[0]);
 }
 
 async function deleteTenant(id) {
@@ -220,25 +575,137 @@ async function deleteTenant(id) {
     'DELETE FROM tenants WHERE id = $1 RETURNING *',
     [id]
   );
-  return result.rows[0];
+  return withoutApiKeys(result.rows[0]);
 }
 
+// Keys are stored envelope-encrypted (see key-encryption.js)
 async function setTenantApiKeys(id, frontApiKey, frontApiKeyIndividuals, frontEndpoint) {
   const result = await pool.query(
     `UPDATE tenants
      SET front_api_key = $2, front_api_key_individuals = $3, front_endpoint = $4, updated_at = CURRENT_TIMESTAMP
      WHERE id = $1
      RETURNING *`,
-    [id, frontApiKey, frontApiKeyIndividuals, frontEndpoint]
+    [id, keyEncryption.encrypt(frontApiKey), keyEncryption.encrypt(frontApiKeyIndividuals), frontEndpoint]
   );
-  return result.rows[0];
+  return withoutApiKeys(result.rows[0]);
 }
 
+// Decrypted keys (plain-text values from before the migration are returned as-is)
 async function getTenantApiKeys(id) {
   const result = await pool.query(
     'SELECT id, front_api_key, front_api_key_individuals, front_endpoint FROM tenants WHERE id = $1',
     [id]
   );
+  const row = result.rows[0];
+  if (!row) return row;
+  return {
+    ...row,
+    front_api_key: keyEncryption.decrypt(row.front_api_key),
+    front_api_key_individuals: keyEncryption.decrypt(row.front_api_key_individuals)
+  };
+}
+
+// Encrypts plain-text keys and re-wraps keys of older master keys under the current one
+// (Front API keys and Paylocity webhook secrets).
+// Runs in one transaction; returns { tenants, updated } (number of rows changed).
+async function rotateTenantApiKeys() {
+  const client = await pool.connect();
+  const columns = ['front_api_key', 'front_api_key_individuals', 'paylocity_webhook_secret', 'paylocity_webhook_previous_secret'];
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(`
+      SELECT id, ${columns.join(', ')} FROM tenants
+      WHERE ${columns.map(column => `${column} IS NOT NULL`).join(' OR ')}
+      ORDER BY id
+      FOR UPDATE
+    `);
+
+    let updated = 0;
+    for (const row of result.rows) {
+      const values = columns.map(column => keyEncryption.rewrap(row[column]));
+
+      if (values.some((value, i) => value !== row[columns[i]])) {
+        await client.query(
+          `UPDATE tenants SET ${columns.map((column, i) => `${column} = $${i + 2}`).join(', ')} WHERE id = $1`,
+          [row.id, ...values]
+        );
+        updated++;
+      }
+    }
+
+    await client.query('COMMIT');
+    return { tenants: result.rows.length, updated };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Webhook config for verification: { authMode, secrets } with the current secret first and
+// the previous one while its grace period lasts
+async function getTenantWebhookConfig(id) {
+  const result = await pool.query(
+    `SELECT paylocity_webhook_auth_mode, paylocity_webhook_secret,
+            CASE WHEN paylocity_webhook_previous_expires_at > NOW() THEN paylocity_webhook_previous_secret END as previous_secret,
+            paylocity_webhook_previous_expires_at
+     FROM tenants WHERE id = $1`,
+    [id]
+  );
+  const row = result.rows[0];
+  if (!row) return row;
+  return {
+    authMode: row.paylocity_webhook_auth_mode,
+    secrets: [row.paylocity_webhook_secret, row.previous_secret].filter(Boolean).map(keyEncryption.decrypt),
+    previousExpiresAt: row.previous_secret ? row.paylocity_webhook_previous_expires_at : null
+  };
+}
+
+// The current secret (if any) stays valid for graceHours; graceHours 0 revokes it now
+async function rotateTenantWebhookSecret(id, secret, graceHours) {
+  const result = await pool.query(
+    `UPDATE tenants
+     SET paylocity_webhook_previous_secret = CASE WHEN $3 > 0 THEN paylocity_webhook_secret END,
+         paylocity_webhook_previous_expires_at = CASE WHEN $3 > 0 AND paylocity_webhook_secret IS NOT NULL
+                                                      THEN NOW() + make_interval(hours => $3) END,
+         paylocity_webhook_secret = $2,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING *`,
+    [id, keyEncryption.encrypt(secret), graceHours]
+  );
+  return withoutApiKeys(result.rows[0]);
+}
+
+async function setTenantWebhookAuthMode(id, authMode) {
+  const result = await pool.query(
+    `UPDATE tenants SET paylocity_webhook_auth_mode = $2, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING *`,
+    [id, authMode]
+  );
+  return withoutApiKeys(result.rows[0]);
+}
+
+async function getTenantMetrics(id) {
+  const result = await pool.query(
+    'SELECT analytics_metrics FROM tenants WHERE id = $1',
+    [id]
+  );
+  return result.rows[0] ? result.rows[0].analytics_metrics : null;
+}
+
+async function setTenantMetrics(id, metrics) {
+  const result = await pool.query(
+    `UPDATE tenants
+     SET analytics_metrics = $2, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING id, analytics_metrics`,
+    [id, metrics ? JSON.stringify(metrics) : null]
+  );
   return result.rows[0];
 }
 
@@ -274,6 +741,14 @@ async function getInboxById(id, tenantId) {
   return result.rows[0];
 }
 
+async function getInboxByName(name, tenantId) {
+  const result = await pool.query(
+    'SELECT * FROM inboxes WHERE name = $1 AND tenant_id = $2 ORDER BY id LIMIT 1',
+    [name, tenantId]
+  );
+  return result.rows[0];
+}
+
 async function createInbox(code, name, description = null, tenantId) {
   const result = await pool.query(
     `INSERT INTO inboxes (code, name, description, tenant_id)
@@ -303,6 +778,17 @@ async function deleteInbox(id, tenantId) {
   return result.rows[0];
 }
 
+// Coverage rule: minimum members on duty (null = no rule)
+async function setInboxMinOnDuty(id, tenantId, minOnDuty) {
+  const result = await pool.query(
+    `UPDATE inboxes SET min_on_duty = $3, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND tenant_id = $2
+     RETURNING *`,
+    [id, tenantId, minOnDuty]
+  );
+  return result.rows[0];
+}
+
 // ==========================================
 // USER CRUD OPERATIONS (Tenant-Scoped)
 // ==========================================
@@ -415,17 +901,29 @@ async function getUsersByInboxName(inboxName, tenantId) {
     FROM users u
     INNER JOIN user_inbox ui ON u.id = ui.user_id
     INNER JOIN inboxes i ON ui.inbox_id = i.id
-    WHERE i.name = $1 AND i.tenant_id = $2
+    WHERE i.name = $1 AND i.tenant_id = $2 AND u.is_active
     ORDER BY u.name
   `, [inboxName, tenantId]);
   return result.rows;
 }
 
+async function getUsersByInboxId(inboxId, tenantId) {
+  const result = await pool.query(`
+    SELECT u.teammate_id as id, u.email, u.name, i.name as inbox, i.code
+    FROM users u
+    INNER JOIN user_inbox ui ON u.id = ui.user_id
+    INNER JOIN inboxes i ON ui.inbox_id = i.id
+    WHERE i.id = $1 AND i.tenant_id = $2 AND u.is_active
+    ORDER BY u.name
+  `, [inboxId, tenantId]);
+  return result.rows;
+}
+
 async function getIndividualUsers(tenantId) {
   const result = await pool.query(`
     SELECT teammate_id as id, email, name
     FROM users
-    WHERE is_individual = TRUE AND tenant_id = $1
+    WHERE is_individual = TRUE AND is_active AND tenant_id = $1
     ORDER BY name
   `, [tenantId]);
   return result.rows;
@@ -535,10 +1033,13 @@ async function deleteSystemUser(id) {
 // TIME OFF EVENTS (Calendar)
 // ==========================================
 
-async function getTimeOffEvents(tenantId, start, end) {
+// filters (all optional): costCenter1..3, supervisorEmail and source are lists of accepted values;
+// employee matches part of the name or email
+async function getTimeOffEvents(tenantId, start, end, filters = {}) {
   let query = 'SELECT e.*, t.name as tenant_name FROM time_off_events e LEFT JOIN tenants t ON e.tenant_id = t.id';
   const params = [];
-  const conditions = [];
+  // Rejected and cancelled ones are not shown; pending requests are (the calendar marks them)
+  const conditions = ["e.status IN ('approved', 'pending')"];
 
   if (tenantId) {
     conditions.push(`e.tenant_id = $${params.length + 1}`);
@@ -550,22 +1051,64 @@ async function getTimeOffEvents(tenantId, start, end) {
     params.push(end, start);
   }
 
-  if (conditions.length > 0) {
-    query += ' WHERE ' + conditions.join(' AND ');
+  const listFilters = [
+    ['costCenter1', 'e.cost_center_1'],
+    ['costCenter2', 'e.cost_center_2'],
+    ['costCenter3', 'e.cost_center_3'],
+    ['source', 'e.source']
+  ];
+  for (const [filter, column] of listFilters) {
+    if (filters[filter] && filters[filter].length) {
+      conditions.push(`${column} = ANY($${params.length + 1})`);
+      params.push(filters[filter]);
+    }
+  }
+
+  if (filters.supervisorEmail && filters.supervisorEmail.length) {
+    conditions.push(`LOWER(e.supervisor_email) = ANY($${params.length + 1})`);
+    params.push(filters.supervisorEmail.map(email => email.toLowerCase()));
+  }
+
+  if (filters.employee) {
+    conditions.push(`(e.employee_name ILIKE $${params.length + 1} OR e.employee_email ILIKE $${params.length + 1})`);
+    params.push(`%${filters.employee}%`);
   }
 
+  query += ' WHERE ' + conditions.join(' AND ');
+
   query += ' ORDER BY e.start_date ASC';
   const result = await pool.query(query, params);
   return result.rows;
 }
 
-async function createTimeOffEvent(tenantId, data) {
+// Values the calendar can be filtered by (cost centers, supervisors, sources) among the
+// visible events. tenantId null = all tenants.
+async function getTimeOffFilterOptions(tenantId) {
+  const distinct = column => `ARRAY(
+    SELECT DISTINCT ${column} FROM time_off_events
+    WHERE ($1::int IS NULL OR tenant_id = $1) AND status IN ('approved', 'pending') AND ${column} IS NOT NULL AND ${column} <> ''
+    ORDER BY 1
+  )`;
   const result = await pool.query(
+    `SELECT ${distinct('cost_center_1')} AS cost_center_1,
+            ${distinct('cost_center_2')} AS cost_center_2,
+            ${distinct('cost_center_3')} AS cost_center_3,
+            ${distinct('LOWER(supervisor_email)')} AS supervisor_email,
+            ${distinct('source')} AS source`,
+    [tenantId || null]
+  );
+  return result.rows[0];
+}
+
+// queryable: the pool, or a client inside a transaction
+async function insertTimeOffEvent(queryable, tenantId, data) {
+  const result = await queryable.query(
     `INSERT INTO time_off_events
       (tenant_id, company_id, employee_id, employee_name, employee_email,
        cost_center_1, cost_center_2, cost_center_3, supervisor_email,
-       start_date, end_date, is_all_day, hours_per_day, source, color)
-     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+       start_date, end_date, is_all_day, hours_per_day, source, color,
+       status, request_note, requested_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
      RETURNING *`,
     [
       tenantId,
@@ -582,54 +1125,1387 @@ async function createTimeOffEvent(tenantId, data) {
       data.isAllDay !== false,
       data.hoursPerDay || null,
       data.source || 'manual',
-      data.color || '#3788d8'
+      data.color || '#3788d8',
+      data.status || 'approved',
+      data.requestNote || null,
+      data.requestedBy || null
     ]
   );
   return result.rows[0];
 }
 
-async function deleteTimeOffEvent(id, tenantId) {
+async function createTimeOffEvent(tenantId, data) {
+  return insertTimeOffEvent(pool, tenantId, data);
+}
+
+// Bulk insert (CSV import) in one transaction: either every event is created or none
+async function createTimeOffEvents(tenantId, events) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const created = [];
+    for (const data of events) {
+      created.push(await insertTimeOffEvent(client, tenantId, data));
+    }
+    await client.query('COMMIT');
+    return created;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Only live events (approved or pending); tenantId null = any tenant (super admin)
+async function getTimeOffEventById(id, tenantId) {
   if (tenantId) {
     const result = await pool.query(
-      'DELETE FROM time_off_events WHERE id = $1 AND tenant_id = $2 RETURNING *',
+      "SELECT * FROM time_off_events WHERE id = $1 AND tenant_id = $2 AND status IN ('approved', 'pending')",
       [id, tenantId]
     );
     return result.rows[0];
   }
-  // Super admin: delete from any tenant
   const result = await pool.query(
-    'DELETE FROM time_off_events WHERE id = $1 RETURNING *',
+    "SELECT * FROM time_off_events WHERE id = $1 AND status IN ('approved', 'pending')",
     [id]
   );
   return result.rows[0];
 }
 
-async function getTimeOffConflicts(tenantId, start, end) {
+// Full update of the editable fields (callers merge with the current row first).
+// source, created_at and the Paylocity keys are never changed here.
+// data.resubmittedBy (system user id): the change needs approval again, so the event goes
+// back to pending without the previous decision and shows up in the supervisor's queue.
+async function updateTimeOffEvent(id, tenantId, data) {
+  const params = [
+    id,
+    data.employeeName,
+    data.startDate,
+    data.endDate,
+    data.isAllDay !== false,
+    data.hoursPerDay || null,
+    data.color || '#3788d8',
+    data.resubmittedBy || null
+  ];
+  let query = `UPDATE time_off_events
+     SET employee_name = $2, start_date = $3, end_date = $4, is_all_day = $5,
+         hours_per_day = $6, color = $7, updated_at = NOW(),
+         status = CASE WHEN $8::int IS NULL THEN status ELSE 'pending' END,
+         requested_by = COALESCE($8::int, requested_by),
+         decided_by = CASE WHEN $8::int IS NULL THEN decided_by END,
+         decided_at = CASE WHEN $8::int IS NULL THEN decided_at END,
+         decision_note = CASE WHEN $8::int IS NULL THEN decision_note END
+     WHERE id = $1 AND status IN ('approved', 'pending')`;
+
   if (tenantId) {
-    const result = await pool.query(
-      `SELECT employee_name, employee_email, start_date, end_date,
-              cost_center_1, cost_center_2, cost_center_3,
-              hours_per_day, source
-       FROM time_off_events
-       WHERE tenant_id = $1 AND start_date <= $3 AND end_date >= $2
-       ORDER BY employee_name ASC`,
-      [tenantId, start, end]
+    params.push(tenantId);
+    query += ' AND tenant_id = $9';
+  }
+
+  const result = await pool.query(`${query} RETURNING *`, params);
+  return result.rows[0];
+}
+
+// Paylocity / ICS import: insert or update the event with this external key (a cancelled one is
+// restored). Returns { event, before } where before is the previous row (null if it was created).
+// The color is only set on insert, so a type chosen in the app survives updates.
+async function upsertTimeOffEventByExternalKey(tenantId, externalKey, data) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const existing = await client.query(
+      'SELECT * FROM time_off_events WHERE tenant_id = $1 AND external_key = $2 FOR UPDATE',
+      [tenantId, externalKey]
     );
-    return result.rows;
+
+    const result = await client.query(
+      `INSERT INTO time_off_events
+        (tenant_id, company_id, employee_id, employee_name, employee_email,
+         cost_center_1, cost_center_2, cost_center_3, supervisor_email,
+         start_date, end_date, is_all_day, hours_per_day, source, color,
+         external_key, external_request_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+       ON CONFLICT (tenant_id, external_key) WHERE external_key IS NOT NULL DO UPDATE SET
+         company_id = EXCLUDED.company_id,
+         employee_id = EXCLUDED.employee_id,
+         employee_name = EXCLUDED.employee_name,
+         employee_email = EXCLUDED.employee_email,
+         cost_center_1 = EXCLUDED.cost_center_1,
+         cost_center_2 = EXCLUDED.cost_center_2,
+         cost_center_3 = EXCLUDED.cost_center_3,
+         supervisor_email = EXCLUDED.supervisor_email,
+         start_date = EXCLUDED.start_date,
+         end_date = EXCLUDED.end_date,
+         is_all_day = EXCLUDED.is_all_day,
+         hours_per_day = EXCLUDED.hours_per_day,
+         external_request_id = EXCLUDED.external_request_id,
+         status = 'approved',
+         cancelled_at = NULL,
+         updated_at = NOW()
+       RETURNING *`,
+      [
+        tenantId,
+        data.companyId || null,
+        data.employeeId || null,
+        data.employeeName,
+        data.employeeEmail || null,
+        data.costCenter1 || null,
+        data.costCenter2 || null,
+        data.costCenter3 || null,
+        data.supervisorEmail || null,
+        data.startDate,
+        data.endDate,
+        data.isAllDay !== false,
+        data.hoursPerDay || null,
+        data.source || 'webhook',
+        data.color || '#3788d8',
+        externalKey,
+        data.externalRequestId || null
+      ]
+    );
+
+    await client.query('COMMIT');
+    return { event: result.rows[0], before: existing.rows[0] || null };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
   }
-  // Super admin: all tenants
+}
+
+// Existing events (any status) for these external keys, with dates as 'YYYY-MM-DD'
+// (ICS import preview: tells new, changed and unchanged events apart)
+async function getTimeOffEventsByExternalKeys(tenantId, externalKeys) {
   const result = await pool.query(
-    `SELECT employee_name, employee_email, start_date, end_date,
-            cost_center_1, cost_center_2, cost_center_3,
-            hours_per_day, source
+    `SELECT id, external_key, employee_name, employee_email,
+            to_char(start_date, 'YYYY-MM-DD') as start_date, to_char(end_date, 'YYYY-MM-DD') as end_date,
+            is_all_day, hours_per_day, status
      FROM time_off_events
-     WHERE start_date <= $2 AND end_date >= $1
-     ORDER BY employee_name ASC`,
-    [start, end]
+     WHERE tenant_id = $1 AND external_key = ANY($2)`,
+    [tenantId, externalKeys]
   );
   return result.rows;
 }
 
+// Paylocity cancellation: soft-delete (the row stays for history). Returns null when there is
+// no active event with this key (never received, or already cancelled).
+async function cancelTimeOffEventByExternalKey(tenantId, externalKey) {
+  const result = await pool.query(
+    `UPDATE time_off_events
+     SET status = 'cancelled', cancelled_at = NOW(), updated_at = NOW()
+     WHERE tenant_id = $1 AND external_key = $2 AND cancelled_at IS NULL
+     RETURNING *`,
+    [tenantId, externalKey]
+  );
+  return result.rows[0] || null;
+}
+
+// Fallback of a Paylocity cancellation whose key matched nothing (the approval came with a
+// request id and the cancellation without one, or the other way around): the active webhook
+// event of the employee - by employeeId, else email, else name - with the same dates.
+// Cancels it only when exactly one event matches; returns { event, matches }.
+async function cancelTimeOffEventByEmployeeDates(tenantId, match) {
+  const conditions = [
+    'tenant_id = $1', "source = 'webhook'", 'cancelled_at IS NULL',
+    'start_date = $2', 'end_date = $3'
+  ];
+  const params = [tenantId, match.startDate, match.endDate];
+  if (match.employeeId) {
+    params.push(String(match.employeeId));
+    conditions.push(`employee_id = $${params.length}`);
+    if (match.companyId) {
+      params.push(String(match.companyId));
+      conditions.push(`(company_id IS NULL OR company_id = $${params.length})`);
+    }
+  } else if (match.employeeEmail) {
+    params.push(match.employeeEmail);
+    conditions.push(`LOWER(employee_email) = LOWER($${params.length})`);
+  } else {
+    params.push(String(match.employeeName || '').trim().toLowerCase());
+    conditions.push(`LOWER(TRIM(employee_name)) = $${params.length}`);
+  }
+
+  const candidates = await pool.query(
+    `SELECT id FROM time_off_events WHERE ${conditions.join(' AND ')} LIMIT 2`,
+    params
+  );
+  if (candidates.rows.length !== 1) {
+    return { event: null, matches: candidates.rows.length };
+  }
+
+  const result = await pool.query(
+    `UPDATE time_off_events
+     SET status = 'cancelled', cancelled_at = NOW(), updated_at = NOW()
+     WHERE id = $1 AND cancelled_at IS NULL
+     RETURNING *`,
+    [candidates.rows[0].id]
+  );
+  return { event: result.rows[0] || null, matches: 1 };
+}
+
+// Links an event to the webhook delivery that last touched it
+async function setTimeOffEventLastDelivery(id, deliveryId) {
+  await pool.query(
+    'UPDATE time_off_events SET last_delivery_id = $2 WHERE id = $1',
+    [id, deliveryId]
+  );
+}
+
+// True when some event of the employee lists supervisorEmail as their supervisor
+async function isSupervisorOf(tenantId, supervisorEmail, employeeEmail) {
+  const result = await pool.query(
+    `SELECT 1 FROM time_off_events
+     WHERE tenant_id = $1 AND LOWER(supervisor_email) = LOWER($2) AND LOWER(employee_email) = LOWER($3)
+     LIMIT 1`,
+    [tenantId, supervisorEmail, employeeEmail]
+  );
+  return result.rows.length > 0;
+}
+
+// Approved time off overlapping the range; includePending adds pending requests (status tells them apart)
+async function getTimeOffConflicts(tenantId, start, end, includePending = false) {
+  const statuses = includePending ? ['approved', 'pending'] : ['approved'];
+  if (tenantId) {
+    const result = await pool.query(
+      `SELECT tenant_id, employee_name, employee_email, start_date, end_date,
+              cost_center_1, cost_center_2, cost_center_3,
+              hours_per_day, source, status
+       FROM time_off_events
+       WHERE tenant_id = $1 AND start_date <= $3 AND end_date >= $2 AND status = ANY($4)
+       ORDER BY employee_name ASC`,
+      [tenantId, start, end, statuses]
+    );
+    return result.rows;
+  }
+  // Super admin: all tenants
+  const result = await pool.query(
+    `SELECT tenant_id, employee_name, employee_email, start_date, end_date,
+            cost_center_1, cost_center_2, cost_center_3,
+            hours_per_day, source, status
+     FROM time_off_events
+     WHERE start_date <= $2 AND end_date >= $1 AND status = ANY($3)
+     ORDER BY employee_name ASC`,
+    [start, end, statuses]
+  );
+  return result.rows;
+}
+
+// ==========================================
+// TIME OFF REQUESTS (Approval workflow)
+// ==========================================
+
+// Approver of new requests: the supervisor on the employee's most recent event on file
+// (Paylocity or entered by an admin). Requests themselves are skipped: their supervisor
+// came from this same lookup and is never taken from the requester.
+async function getSupervisorOnFile(tenantId, employeeEmail) {
+  const result = await pool.query(
+    `SELECT supervisor_email FROM time_off_events
+     WHERE tenant_id = $1 AND LOWER(employee_email) = LOWER($2) AND supervisor_email IS NOT NULL
+       AND source <> 'request'
+     ORDER BY created_at DESC
+     LIMIT 1`,
+    [tenantId, employeeEmail]
+  );
+  return result.rows[0] ? result.rows[0].supervisor_email : null;
+}
+
+// Requests (events created through the workflow or still pending). Filters:
+// employeeEmail (own requests), supervisorEmail (to approve), status. tenantId null = all tenants.
+async function getTimeOffRequests(tenantId, filters = {}) {
+  const conditions = ["(e.source = 'request' OR e.status = 'pending')"];
+  const params = [];
+  const add = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace(/\?/g, () => `$${params.length}`));
+  };
+
+  if (tenantId) add('e.tenant_id = ?', tenantId);
+  if (filters.employeeEmail) add('LOWER(e.employee_email) = LOWER(?)', filters.employeeEmail);
+  if (filters.supervisorEmail) add('LOWER(e.supervisor_email) = LOWER(?)', filters.supervisorEmail);
+  if (filters.status) add('e.status = ?', filters.status);
+
+  const result = await pool.query(`
+    SELECT e.*, t.name as tenant_name, su.name as decided_by_name
+    FROM time_off_events e
+    LEFT JOIN tenants t ON e.tenant_id = t.id
+    LEFT JOIN system_users su ON e.decided_by = su.id
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY e.start_date ASC, e.id ASC
+    LIMIT 500
+  `, params);
+  return result.rows;
+}
+
+// Approve or reject a pending request. Returns null if it is not pending (or not in the tenant).
+async function decideTimeOffRequest(id, tenantId, status, decidedBy, note = null) {
+  const params = [id, status, decidedBy, note];
+  let query = `UPDATE time_off_events
+     SET status = $2, decided_by = $3, decided_at = NOW(), decision_note = $4, updated_at = NOW()
+     WHERE id = $1 AND status = 'pending'`;
+  if (tenantId) {
+    params.push(tenantId);
+    query += ' AND tenant_id = $5';
+  }
+  const result = await pool.query(`${query} RETURNING *`, params);
+  return result.rows[0] || null;
+}
+
+// Soft cancel of a pending or approved event (request withdrawn or time off removed from the
+// calendar): the row keeps its external_key and history, like a Paylocity cancellation
+async function cancelTimeOffEvent(id, tenantId) {
+  const params = [id];
+  let query = `UPDATE time_off_events
+     SET status = 'cancelled', cancelled_at = NOW(), updated_at = NOW()
+     WHERE id = $1 AND status IN ('pending', 'approved')`;
+  if (tenantId) {
+    params.push(tenantId);
+    query += ' AND tenant_id = $2';
+  }
+  const result = await pool.query(`${query} RETURNING *`, params);
+  return result.rows[0] || null;
+}
+
+// ==========================================
+// REPORT JOBS (Async Analytics Reports)
+// ==========================================
+
+async function createReportJob(tenantId, createdBy, data) {
+  const result = await pool.query(
+    `INSERT INTO report_jobs
+      (tenant_id, created_by, report_type, inbox_name, timestamp_start, timestamp_end,
+       metrics, records, total_records)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING *`,
+    [
+      tenantId,
+      createdBy,
+      data.reportType,
+      data.inboxName || null,
+      data.timestampStart,
+      data.timestampEnd,
+      JSON.stringify(data.metrics),
+      JSON.stringify(data.records),
+      data.records.length
+    ]
+  );
+  return result.rows[0];
+}
+
+async function getReportJob(id, tenantId) {
+  const result = await pool.query(
+    'SELECT * FROM report_jobs WHERE id = $1 AND tenant_id = $2',
+    [id, tenantId]
+  );
+  return result.rows[0];
+}
+
+// Claims the oldest queued job, or a running job whose worker stopped
+// sending heartbeats (server restart / crashed instance). SKIP LOCKED keeps
+// several App Service instances from picking the same job. claimToken identifies
+// this claim: a worker that lost its lease can no longer write to the job.
+async function claimReportJob(claimToken, staleAfterMinutes = 5) {
+  const result = await pool.query(
+    `UPDATE report_jobs
+     SET status = 'running', claim_token = $1, heartbeat_at = NOW(),
+         started_at = COALESCE(started_at, NOW()), updated_at = NOW()
+     WHERE id = (
+       SELECT id FROM report_jobs
+       WHERE status = 'queued'
+          OR (status = 'running' AND COALESCE(heartbeat_at, updated_at) < NOW() - make_interval(mins => $2))
+       ORDER BY created_at ASC
+       LIMIT 1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [claimToken, staleAfterMinutes]
+  );
+  return result.rows[0];
+}
+
+// Renews the lease while the worker is busy (Front polling, rate limit waits).
+// false = another worker reclaimed the job or it is no longer running.
+async function heartbeatReportJob(id, claimToken) {
+  const result = await pool.query(
+    `UPDATE report_jobs SET heartbeat_at = NOW()
+     WHERE id = $1 AND claim_token = $2 AND status = 'running'`,
+    [id, claimToken]
+  );
+  return result.rowCount > 0;
+}
+
+// Idempotent per recordIndex: a result already stored is not appended (nor counted) again.
+// null = not written (duplicate, or the lease belongs to another worker now).
+async function appendReportJobResult(id, claimToken, recordResult) {
+  const result = await pool.query(
+    `UPDATE report_jobs
+     SET results = results || $3::jsonb,
+         processed_records = jsonb_array_length(results) + 1,
+         heartbeat_at = NOW(),
+         updated_at = NOW()
+     WHERE id = $1 AND claim_token = $2 AND status = 'running'
+       AND NOT results @> $4::jsonb
+     RETURNING id, processed_records, total_records`,
+    [id, claimToken, JSON.stringify([recordResult]), JSON.stringify([{ recordIndex: recordResult.recordIndex }])]
+  );
+  return result.rows[0] || null;
+}
+
+// claimToken: only the worker holding the lease may finish the job (null = no check)
+async function finishReportJob(id, status, error = null, claimToken = null) {
+  const result = await pool.query(
+    `UPDATE report_jobs
+     SET status = $2, error = $3, finished_at = NOW(), updated_at = NOW()
+     WHERE id = $1 AND ($4::text IS NULL OR claim_token = $4)
+     RETURNING *`,
+    [id, status, error, claimToken]
+  );
+  return result.rows[0];
+}
+
+// ==========================================
+// METRIC SNAPSHOTS (Analytics Cache)
+// ==========================================
+
+// inboxId NULL = individual users. IS NOT DISTINCT FROM matches NULL = NULL.
+async function getMetricSnapshots(tenantId, inboxId, rangeName) {
+  const result = await pool.query(
+    `SELECT * FROM metric_snapshots
+     WHERE tenant_id = $1 AND inbox_id IS NOT DISTINCT FROM $2 AND range_name = $3
+     ORDER BY record_index ASC NULLS LAST, id ASC`,
+    [tenantId, inboxId, rangeName]
+  );
+  return result.rows;
+}
+
+// Replaces every row of one (tenant, inbox, range) snapshot in a single transaction
+async function replaceMetricSnapshots(tenantId, inboxId, rangeName, rows) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    await client.query(
+      `DELETE FROM metric_snapshots
+       WHERE tenant_id = $1 AND inbox_id IS NOT DISTINCT FROM $2 AND range_name = $3`,
+      [tenantId, inboxId, rangeName]
+    );
+
+    for (const row of rows) {
+      await client.query(
+        `INSERT INTO metric_snapshots
+          (tenant_id, inbox_id, range_name, teammate_id, record_index, record, api_data, error,
+           metrics, timestamp_start, timestamp_end, generated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+         ON CONFLICT (tenant_id, inbox_id, range_name, teammate_id) DO UPDATE
+         SET record_index = EXCLUDED.record_index, record = EXCLUDED.record,
+             api_data = EXCLUDED.api_data, error = EXCLUDED.error, metrics = EXCLUDED.metrics,
+             timestamp_start = EXCLUDED.timestamp_start, timestamp_end = EXCLUDED.timestamp_end,
+             generated_at = EXCLUDED.generated_at`,
+        [
+          tenantId,
+          inboxId,
+          rangeName,
+          row.teammateId,
+          row.recordIndex,
+          JSON.stringify(row.record),
+          row.apiData ? JSON.stringify(row.apiData) : null,
+          row.error || null,
+          JSON.stringify(row.metrics),
+          row.timestampStart,
+          row.timestampEnd,
+          row.generatedAt
+        ]
+      );
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function deleteMetricSnapshots(tenantId, inboxId, rangeName) {
+  const result = await pool.query(
+    `DELETE FROM metric_snapshots
+     WHERE tenant_id = $1 AND inbox_id IS NOT DISTINCT FROM $2 AND range_name = $3`,
+    [tenantId, inboxId, rangeName]
+  );
+  return result.rowCount;
+}
+
+async function getMetricSnapshotSummaries(tenantId) {
+  const result = await pool.query(`
+    SELECT ms.inbox_id, i.name as inbox_name, ms.range_name,
+           MAX(ms.generated_at) as generated_at,
+           COUNT(*)::int as total_records,
+           (COUNT(*) FILTER (WHERE ms.error IS NOT NULL OR ms.api_data IS NULL))::int as error_count
+    FROM metric_snapshots ms
+    LEFT JOIN inboxes i ON ms.inbox_id = i.id
+    WHERE ms.tenant_id = $1
+    GROUP BY ms.inbox_id, i.name, ms.range_name
+    ORDER BY i.name ASC NULLS LAST, ms.range_name ASC
+  `, [tenantId]);
+  return result.rows;
+}
+
+// ==========================================
+// METRIC HISTORY (Trends)
+// ==========================================
+
+// Upserts one period per teammate; recomputing the same period replaces its values
+async function upsertMetricHistory(tenantId, inboxId, rangeName, rows) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    for (const row of rows) {
+      await client.query(
+        `INSERT INTO metric_history
+          (tenant_id, inbox_id, range_name, teammate_id, record, metric_values, period_start, period_end, generated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         ON CONFLICT (tenant_id, inbox_id, range_name, teammate_id, period_start) DO UPDATE
+         SET record = EXCLUDED.record, metric_values = metric_history.metric_values || EXCLUDED.metric_values,
+             period_end = EXCLUDED.period_end, generated_at = EXCLUDED.generated_at`,
+        [
+          tenantId,
+          inboxId,
+          rangeName,
+          row.teammateId,
+          JSON.stringify(row.record),
+          JSON.stringify(row.values),
+          row.periodStart,
+          row.periodEnd,
+          row.generatedAt
+        ]
+      );
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Rows of the most recent `periods` periods, oldest first
+async function getMetricHistory(tenantId, inboxId, rangeName, periods) {
+  const result = await pool.query(`
+    WITH recent AS (
+      SELECT DISTINCT period_start FROM metric_history
+      WHERE tenant_id = $1 AND inbox_id IS NOT DISTINCT FROM $2 AND range_name = $3
+      ORDER BY period_start DESC
+      LIMIT $4
+    )
+    SELECT mh.* FROM metric_history mh
+    JOIN recent r ON mh.period_start = r.period_start
+    WHERE mh.tenant_id = $1 AND mh.inbox_id IS NOT DISTINCT FROM $2 AND mh.range_name = $3
+    ORDER BY mh.period_start ASC, mh.record->>'name' ASC
+  `, [tenantId, inboxId, rangeName, periods]);
+  return result.rows;
+}
+
+// Rows of the latest period that ended before `beforeStart` (the "previous period")
+async function getPreviousMetricPeriod(tenantId, inboxId, rangeName, beforeStart) {
+  const result = await pool.query(`
+    SELECT * FROM metric_history
+    WHERE tenant_id = $1 AND inbox_id IS NOT DISTINCT FROM $2 AND range_name = $3
+      AND period_start = (
+        SELECT MAX(period_start) FROM metric_history
+        WHERE tenant_id = $1 AND inbox_id IS NOT DISTINCT FROM $2 AND range_name = $3
+          AND period_end < $4
+      )
+  `, [tenantId, inboxId, rangeName, beforeStart]);
+  return result.rows;
+}
+
+// ==========================================
+// FRONT SYNC RUNS (Users / Inboxes reconciliation)
+// ==========================================
+
+// Stores a new dry-run; older pending previews of the tenant are superseded by it
+async function createFrontSyncRun(tenantId, trigger, createdBy, diff, error = null) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    if (!error) {
+      await client.query(
+        `UPDATE front_sync_runs SET status = 'superseded'
+         WHERE tenant_id = $1 AND status = 'preview'`,
+        [tenantId]
+      );
+    }
+
+    const result = await client.query(
+      `INSERT INTO front_sync_runs (tenant_id, trigger, status, diff, error, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [tenantId, trigger, error ? 'failed' : 'preview', diff ? JSON.stringify(diff) : null, error, createdBy]
+    );
+
+    await client.query('COMMIT');
+    return result.rows[0];
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function getFrontSyncRun(id, tenantId) {
+  const result = await pool.query(
+    'SELECT * FROM front_sync_runs WHERE id = $1 AND tenant_id = $2',
+    [id, tenantId]
+  );
+  return result.rows[0];
+}
+
+async function getFrontSyncRuns(tenantId, limit = 20) {
+  const result = await pool.query(`
+    SELECT r.id, r.trigger, r.status, r.error, r.created_at, r.applied_at,
+           r.diff->'summary' as summary, r.applied_changes,
+           cu.name as created_by_name, au.name as applied_by_name
+    FROM front_sync_runs r
+    LEFT JOIN system_users cu ON r.created_by = cu.id
+    LEFT JOIN system_users au ON r.applied_by = au.id
+    WHERE r.tenant_id = $1
+    ORDER BY r.created_at DESC
+    LIMIT $2
+  `, [tenantId, limit]);
+  return result.rows;
+}
+
+async function setTenantFrontSyncAutoApply(id, enabled) {
+  const result = await pool.query(
+    `UPDATE tenants SET front_sync_auto_apply = $2, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING id, front_sync_auto_apply`,
+    [id, enabled]
+  );
+  return result.rows[0];
+}
+
+// Applies the selected changes of a preview in one transaction. Users and inboxes
+// are looked up again by teammate_id / channel code, so a change that was already
+// made by hand since the preview is skipped instead of duplicated.
+// Returns { counts } or null if the run is no longer a pending preview.
+async function applyFrontSyncRun(id, tenantId, changes, appliedBy) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const run = await client.query(
+      `SELECT id FROM front_sync_runs
+       WHERE id = $1 AND tenant_id = $2 AND status = 'preview'
+       FOR UPDATE`,
+      [id, tenantId]
+    );
+    if (run.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const findInbox = async (code) => (await client.query(
+      'SELECT id FROM inboxes WHERE code = $1 AND tenant_id = $2 ORDER BY id LIMIT 1',
+      [code, tenantId]
+    )).rows[0];
+    const findUser = async (teammateId) => (await client.query(
+      'SELECT id FROM users WHERE teammate_id = $1 AND tenant_id = $2 ORDER BY id LIMIT 1',
+      [teammateId, tenantId]
+    )).rows[0];
+
+    const counts = {};
+    const count = (type) => { counts[type] = (counts[type] || 0) + 1; };
+
+    for (const change of changes) {
+      switch (change.type) {
+        case 'inbox_create':
+          if (!(await findInbox(change.channelId))) {
+            await client.query(
+              'INSERT INTO inboxes (code, name, tenant_id) VALUES ($1, $2, $3)',
+              [change.channelId, change.name, tenantId]
+            );
+            count(change.type);
+          }
+          break;
+
+        case 'inbox_rename':
+          await client.query(
+            `UPDATE inboxes SET name = $3, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1 AND tenant_id = $2`,
+            [change.inboxId, tenantId, change.to]
+          );
+          count(change.type);
+          break;
+
+        case 'user_create':
+          if (!(await findUser(change.teammateId))) {
+            await client.query(
+              'INSERT INTO users (teammate_id, email, name, tenant_id) VALUES ($1, $2, $3, $4)',
+              [change.teammateId, change.email, change.name, tenantId]
+            );
+            count(change.type);
+          }
+          break;
+
+        case 'user_update':
+          await client.query(
+            `UPDATE users SET email = $3, name = $4, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1 AND tenant_id = $2`,
+            [change.userId, tenantId, change.to.email, change.to.name]
+          );
+          count(change.type);
+          break;
+
+        case 'user_deactivate':
+          await client.query(
+            `UPDATE users SET is_active = FALSE, deactivated_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1 AND tenant_id = $2 AND is_active`,
+            [change.userId, tenantId]
+          );
+          count(change.type);
+          break;
+
+        case 'user_reactivate':
+          await client.query(
+            `UPDATE users SET is_active = TRUE, deactivated_at = NULL, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1 AND tenant_id = $2`,
+            [change.userId, tenantId]
+          );
+          count(change.type);
+          break;
+
+        case 'membership_add': {
+          const user = await findUser(change.teammateId);
+          const inbox = await findInbox(change.channelId);
+          // Usuario o inbox nuevos que no se seleccionaron
+          if (!user || !inbox) break;
+          const inserted = await client.query(
+            `INSERT INTO user_inbox (user_id, inbox_id) VALUES ($1, $2)
+             ON CONFLICT (user_id, inbox_id) DO NOTHING`,
+            [user.id, inbox.id]
+          );
+          if (inserted.rowCount > 0) count(change.type);
+          break;
+        }
+
+        case 'membership_remove':
+          await client.query(
+            `DELETE FROM user_inbox ui USING users u
+             WHERE ui.user_id = u.id AND ui.user_id = $1 AND ui.inbox_id = $2 AND u.tenant_id = $3`,
+            [change.userId, change.inboxId, tenantId]
+          );
+          count(change.type);
+          break;
+      }
+    }
+
+    await client.query(
+      `UPDATE front_sync_runs
+       SET status = 'applied', applied_by = $2, applied_at = NOW(), applied_changes = $3
+       WHERE id = $1`,
+      [id, appliedBy, JSON.stringify(counts)]
+    );
+
+    await client.query('COMMIT');
+    return { counts };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// ==========================================
+// AUDIT EVENTS
+// ==========================================
+
+async function createAuditEvent(event) {
+  const result = await pool.query(
+    `INSERT INTO audit_events
+      (tenant_id, actor_id, actor_email, actor_name, action, target_type, target_id, before, after, ip)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     RETURNING *`,
+    [
+      event.tenantId || null,
+      event.actorId || null,
+      event.actorEmail || null,
+      event.actorName || null,
+      event.action,
+      event.targetType || null,
+      event.targetId !== undefined && event.targetId !== null ? String(event.targetId) : null,
+      event.before !== undefined && event.before !== null ? JSON.stringify(event.before) : null,
+      event.after !== undefined && event.after !== null ? JSON.stringify(event.after) : null,
+      event.ip || null
+    ]
+  );
+  return result.rows[0];
+}
+
+// Filters: tenantId (undefined = all tenants), action (exact or 'prefix.*'), actor (email/name
+// substring), targetType, targetId, from / to (ISO dates, inclusive). Newest first, paged.
+async function getAuditEvents(filters = {}, page = 1, pageSize = 50) {
+  const conditions = [];
+  const params = [];
+  const add = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace(/\?/g, () => `$${params.length}`));
+  };
+
+  if (filters.tenantId !== undefined) add('ae.tenant_id = ?', filters.tenantId);
+  if (filters.action) {
+    if (filters.action.endsWith('.*')) {
+      add('ae.action LIKE ?', `${filters.action.slice(0, -2)}.%`);
+    } else {
+      add('ae.action = ?', filters.action);
+    }
+  }
+  if (filters.actor) add('(ae.actor_email ILIKE ? OR ae.actor_name ILIKE ?)', `%${filters.actor}%`);
+  if (filters.targetType) add('ae.target_type = ?', filters.targetType);
+  if (filters.targetId) add('ae.target_id = ?', String(filters.targetId));
+  if (filters.from) add('ae.created_at >= ?::date', filters.from);
+  if (filters.to) add("ae.created_at < ?::date + INTERVAL '1 day'", filters.to);
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const countResult = await pool.query(`SELECT COUNT(*)::int as total FROM audit_events ae ${where}`, params);
+
+  const result = await pool.query(`
+    SELECT ae.*, t.name as tenant_name
+    FROM audit_events ae
+    LEFT JOIN tenants t ON ae.tenant_id = t.id
+    ${where}
+    ORDER BY ae.created_at DESC, ae.id DESC
+    LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+  `, [...params, pageSize, (page - 1) * pageSize]);
+
+  return { results: result.rows, total: countResult.rows[0].total };
+}
+
+// ==========================================
+// API TOKENS (Programmatic access)
+// ==========================================
+
+async function createApiToken(systemUserId, data, createdBy) {
+  const result = await pool.query(
+    `INSERT INTO api_tokens (system_user_id, name, token_prefix, token_hash, scopes, expires_at, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING id, system_user_id, name, token_prefix, scopes, expires_at, created_at`,
+    [systemUserId, data.name, data.tokenPrefix, data.tokenHash, JSON.stringify(data.scopes), data.expiresAt, createdBy]
+  );
+  return result.rows[0];
+}
+
+// Valid (not revoked, not expired) token by hash, with its owner. Marks it as used.
+async function useApiToken(tokenHash, ip) {
+  const result = await pool.query(
+    `WITH token AS (
+       UPDATE api_tokens
+       SET last_used_at = NOW(), last_used_ip = $2
+       WHERE token_hash = $1 AND revoked_at IS NULL AND expires_at > NOW()
+       RETURNING id, system_user_id, scopes
+     )
+     SELECT token.id as token_id, token.scopes,
+            su.id, su.email, su.name, su.role, su.tenant_id, su.is_active
+     FROM token
+     JOIN system_users su ON su.id = token.system_user_id`,
+    [tokenHash, ip]
+  );
+  return result.rows[0];
+}
+
+// Tokens (never the hash) with their owner. tenantId null = every tenant (super admin)
+async function getApiTokens(tenantId) {
+  const result = await pool.query(`
+    SELECT t.id, t.system_user_id, t.name, t.token_prefix, t.scopes, t.expires_at,
+           t.last_used_at, t.last_used_ip, t.revoked_at, t.created_at,
+           su.email as user_email, su.name as user_name, su.role as user_role, su.tenant_id,
+           cb.name as created_by_name
+    FROM api_tokens t
+    JOIN system_users su ON su.id = t.system_user_id
+    LEFT JOIN system_users cb ON cb.id = t.created_by
+    WHERE $1::int IS NULL OR su.tenant_id = $1
+    ORDER BY t.revoked_at IS NOT NULL, t.created_at DESC
+  `, [tenantId]);
+  return result.rows;
+}
+
+async function getApiTokenById(id) {
+  const result = await pool.query(`
+    SELECT t.id, t.system_user_id, t.name, t.token_prefix, t.scopes, t.expires_at, t.revoked_at,
+           su.tenant_id, su.role as user_role
+    FROM api_tokens t
+    JOIN system_users su ON su.id = t.system_user_id
+    WHERE t.id = $1
+  `, [id]);
+  return result.rows[0];
+}
+
+async function revokeApiToken(id) {
+  const result = await pool.query(
+    `UPDATE api_tokens SET revoked_at = NOW()
+     WHERE id = $1 AND revoked_at IS NULL
+     RETURNING id, system_user_id, name, token_prefix, scopes, expires_at, revoked_at`,
+    [id]
+  );
+  return result.rows[0];
+}
+
+// ==========================================
+// CALENDAR COLOR RULES
+// ==========================================
+
+async function getTenantColorRules(tenantId) {
+  const result = await pool.query('SELECT calendar_color_rules FROM tenants WHERE id = $1', [tenantId]);
+  return result.rows[0] ? result.rows[0].calendar_color_rules : [];
+}
+
+async function setTenantColorRules(tenantId, rules) {
+  const result = await pool.query(
+    `UPDATE tenants SET calendar_color_rules = $2, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING calendar_color_rules`,
+    [tenantId, JSON.stringify(rules)]
+  );
+  return result.rows[0] ? result.rows[0].calendar_color_rules : null;
+}
+
+// ==========================================
+// WORK CALENDAR (Working days and holidays)
+// ==========================================
+
+async function getTenantWorkingDays(tenantId) {
+  const result = await pool.query('SELECT working_days FROM tenants WHERE id = $1', [tenantId]);
+  return result.rows[0] ? result.rows[0].working_days : null;
+}
+
+async function setTenantWorkingDays(tenantId, workingDays) {
+  const result = await pool.query(
+    `UPDATE tenants SET working_days = $2, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING working_days`,
+    [tenantId, workingDays]
+  );
+  return result.rows[0] ? result.rows[0].working_days : null;
+}
+
+// Feriados entre start y end (inclusivos); la fecha va como texto para no correrla de día
+async function getTenantHolidays(tenantId, start, end) {
+  const result = await pool.query(
+    `SELECT id, to_char(holiday_date, 'YYYY-MM-DD') AS date, name, source, created_at
+     FROM tenant_holidays
+     WHERE tenant_id = $1 AND holiday_date BETWEEN $2 AND $3
+     ORDER BY holiday_date ASC`,
+    [tenantId, start, end]
+  );
+  return result.rows;
+}
+
+// Días laborables y feriados del tenant entre start y end, para work-calendar
+async function getWorkCalendar(tenantId, start, end) {
+  const [workingDays, holidays] = await Promise.all([
+    getTenantWorkingDays(tenantId),
+    getTenantHolidays(tenantId, start, end)
+  ]);
+  return { workingDays, holidays };
+}
+
+// Un feriado por fecha: cargar otro en la misma fecha le cambia el nombre
+async function upsertTenantHoliday(queryable, tenantId, date, name, source) {
+  const result = await queryable.query(
+    `INSERT INTO tenant_holidays (tenant_id, holiday_date, name, source)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (tenant_id, holiday_date) DO UPDATE SET name = EXCLUDED.name, source = EXCLUDED.source
+     RETURNING id, to_char(holiday_date, 'YYYY-MM-DD') AS date, name, source, created_at, (xmax = 0) AS created`,
+    [tenantId, date, name, source]
+  );
+  return result.rows[0];
+}
+
+async function createTenantHoliday(tenantId, date, name) {
+  return upsertTenantHoliday(pool, tenantId, date, name, 'manual');
+}
+
+// Import (ICS): todo o nada. holidays: [{ date, name }]
+async function importTenantHolidays(tenantId, holidays) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const saved = [];
+    for (const holiday of holidays) {
+      saved.push(await upsertTenantHoliday(client, tenantId, holiday.date, holiday.name, 'ics'));
+    }
+    await client.query('COMMIT');
+    return saved;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function deleteTenantHoliday(id, tenantId) {
+  const result = await pool.query(
+    `DELETE FROM tenant_holidays WHERE id = $1 AND tenant_id = $2
+     RETURNING id, to_char(holiday_date, 'YYYY-MM-DD') AS date, name, source`,
+    [id, tenantId]
+  );
+  return result.rows[0] || null;
+}
+
+// ==========================================
+// COVERAGE (Inbox staffing vs time off)
+// ==========================================
+
+// Inboxes with their active members
+async function getCoverageInboxes(tenantId) {
+  const result = await pool.query(`
+    SELECT i.id, i.name, i.code, i.min_on_duty,
+           COALESCE(json_agg(
+             json_build_object('user_id', u.id, 'name', u.name, 'email', u.email) ORDER BY u.name
+           ) FILTER (WHERE u.id IS NOT NULL), '[]') as members
+    FROM inboxes i
+    LEFT JOIN user_inbox ui ON ui.inbox_id = i.id
+    LEFT JOIN users u ON u.id = ui.user_id AND u.is_active
+    WHERE i.tenant_id = $1
+    GROUP BY i.id
+    ORDER BY i.name
+  `, [tenantId]);
+  return result.rows;
+}
+
+// Time off in the range linked to active local users by email (case-insensitive).
+// Approved only; includePending adds pending requests.
+async function getLinkedTimeOff(tenantId, start, end, includePending = false) {
+  const result = await pool.query(
+    `SELECT e.id, e.employee_name, e.employee_email, e.start_date, e.end_date,
+            e.hours_per_day, e.status, u.id as user_id
+     FROM time_off_events e
+     JOIN users u ON u.tenant_id = e.tenant_id AND LOWER(u.email) = LOWER(e.employee_email) AND u.is_active
+     WHERE e.tenant_id = $1 AND e.start_date <= $3 AND e.end_date >= $2 AND e.status = ANY($4)
+     ORDER BY e.start_date, e.employee_name`,
+    [tenantId, start, end, includePending ? ['approved', 'pending'] : ['approved']]
+  );
+  return result.rows;
+}
+
+// Active local users with this email (the link used for coverage)
+async function getActiveUserIdsByEmail(tenantId, email) {
+  const result = await pool.query(
+    'SELECT id FROM users WHERE tenant_id = $1 AND LOWER(email) = LOWER($2) AND is_active',
+    [tenantId, email]
+  );
+  return result.rows.map(row => row.id);
+}
+
+// ==========================================
+// TIME OFF USAGE (Balances and allowances)
+// ==========================================
+
+// Approved and pending events between start and end. visibleToEmail limits them to the
+// employee's own and their reports' (supervisor_email); fechas como texto.
+async function getTimeOffUsageEvents(tenantId, start, end, visibleToEmail = null) {
+  const params = [tenantId, start, end];
+  let visibility = '';
+  if (visibleToEmail) {
+    params.push(visibleToEmail);
+    visibility = 'AND (LOWER(employee_email) = LOWER($4) OR LOWER(supervisor_email) = LOWER($4))';
+  }
+  const result = await pool.query(
+    `SELECT employee_name, employee_email, supervisor_email, cost_center_1,
+            to_char(start_date, 'YYYY-MM-DD') AS start_date, to_char(end_date, 'YYYY-MM-DD') AS end_date,
+            hours_per_day, status
+     FROM time_off_events
+     WHERE tenant_id = $1 AND start_date <= $3 AND end_date >= $2 AND status IN ('approved', 'pending')
+       ${visibility}
+     ORDER BY start_date ASC`,
+    params
+  );
+  return result.rows;
+}
+
+async function getTimeOffAllowances(tenantId, year) {
+  const result = await pool.query(
+    `SELECT employee_email, days::float AS days, updated_at
+     FROM time_off_allowances
+     WHERE tenant_id = $1 AND year = $2
+     ORDER BY employee_email ASC NULLS FIRST`,
+    [tenantId, year]
+  );
+  return result.rows;
+}
+
+// employeeEmail null = default of the tenant for that year
+async function setTimeOffAllowance(tenantId, year, employeeEmail, days) {
+  const result = await pool.query(
+    `INSERT INTO time_off_allowances (tenant_id, year, employee_email, days)
+     VALUES ($1, $2, LOWER($3), $4)
+     ON CONFLICT (tenant_id, year, (COALESCE(employee_email, '')))
+     DO UPDATE SET days = EXCLUDED.days, updated_at = NOW()
+     RETURNING employee_email, days::float AS days, updated_at`,
+    [tenantId, year, employeeEmail, days]
+  );
+  return result.rows[0];
+}
+
+async function deleteTimeOffAllowance(tenantId, year, employeeEmail) {
+  const result = await pool.query(
+    `DELETE FROM time_off_allowances
+     WHERE tenant_id = $1 AND year = $2 AND COALESCE(employee_email, '') = COALESCE(LOWER($3), '')
+     RETURNING employee_email, days::float AS days`,
+    [tenantId, year, employeeEmail]
+  );
+  return result.rows[0] || null;
+}
+
+// ==========================================
+// ATTENDANCE (Analytics + time off)
+// ==========================================
+
+// Time off aprobado de los teammates de un reporte (por email) que toca el período
+async function getTimeOffByEmails(tenantId, emails, start, end) {
+  if (emails.length === 0) return [];
+  const result = await pool.query(
+    `SELECT LOWER(employee_email) AS employee_email,
+            to_char(start_date, 'YYYY-MM-DD') AS start_date, to_char(end_date, 'YYYY-MM-DD') AS end_date,
+            hours_per_day
+     FROM time_off_events
+     WHERE tenant_id = $1 AND LOWER(employee_email) = ANY($2::text[])
+       AND start_date <= $4 AND end_date >= $3 AND status = 'approved'
+     ORDER BY start_date ASC`,
+    [tenantId, emails.map(email => email.toLowerCase()), start, end]
+  );
+  return result.rows;
+}
+
+// ==========================================
+// CALENDAR FEEDS (Subscribable ICS)
+// ==========================================
+
+const CALENDAR_FEED_COLUMNS = `f.id, f.tenant_id, f.system_user_id, f.scope, f.name, f.token_prefix, f.filters,
+  f.last_accessed_at, f.rotated_at, f.revoked_at, f.created_at`;
+
+async function createCalendarFeed(tenantId, systemUserId, data) {
+  const result = await pool.query(
+    `INSERT INTO calendar_feeds (tenant_id, system_user_id, scope, name, token_prefix, token_hash, filters)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING id, tenant_id, system_user_id, scope, name, token_prefix, filters, created_at`,
+    [tenantId, systemUserId, data.scope, data.name, data.tokenPrefix, data.tokenHash, JSON.stringify(data.filters)]
+  );
+  return result.rows[0];
+}
+
+// Active feed by hash, with its tenant. User feeds stop working when their owner is deactivated.
+async function useCalendarFeed(tokenHash) {
+  const result = await pool.query(
+    `UPDATE calendar_feeds f
+     SET last_accessed_at = NOW()
+     FROM system_users su, tenants t
+     WHERE f.token_hash = $1 AND f.revoked_at IS NULL
+       AND su.id = f.system_user_id AND t.id = f.tenant_id AND t.is_active = TRUE
+       AND (f.scope = 'tenant' OR su.is_active = TRUE)
+     RETURNING f.id, f.tenant_id, f.scope, f.name, f.filters, t.slug as tenant_slug, t.name as tenant_name`,
+    [tokenHash]
+  );
+  return result.rows[0];
+}
+
+// Feeds (never the hash) of the tenant; systemUserId limits them to one owner (non-admins)
+async function getCalendarFeeds(tenantId, systemUserId = null) {
+  const result = await pool.query(`
+    SELECT ${CALENDAR_FEED_COLUMNS}, su.email as user_email, su.name as user_name
+    FROM calendar_feeds f
+    JOIN system_users su ON su.id = f.system_user_id
+    WHERE f.tenant_id = $1 AND ($2::int IS NULL OR f.system_user_id = $2)
+    ORDER BY f.revoked_at IS NOT NULL, f.created_at DESC
+  `, [tenantId, systemUserId]);
+  return result.rows;
+}
+
+async function getCalendarFeedById(id, tenantId) {
+  const result = await pool.query(
+    `SELECT ${CALENDAR_FEED_COLUMNS} FROM calendar_feeds f WHERE f.id = $1 AND f.tenant_id = $2`,
+    [id, tenantId]
+  );
+  return result.rows[0];
+}
+
+// New secret for the same feed: the old URL stops working, subscribers need the new one
+async function rotateCalendarFeed(id, tokenPrefix, tokenHash) {
+  const result = await pool.query(
+    `UPDATE calendar_feeds f
+     SET token_prefix = $2, token_hash = $3, rotated_at = NOW()
+     WHERE f.id = $1 AND f.revoked_at IS NULL
+     RETURNING ${CALENDAR_FEED_COLUMNS}`,
+    [id, tokenPrefix, tokenHash]
+  );
+  return result.rows[0];
+}
+
+async function revokeCalendarFeed(id) {
+  const result = await pool.query(
+    `UPDATE calendar_feeds f SET revoked_at = NOW()
+     WHERE f.id = $1 AND f.revoked_at IS NULL
+     RETURNING ${CALENDAR_FEED_COLUMNS}`,
+    [id]
+  );
+  return result.rows[0];
+}
+
+// Events published by a feed: approved (plus pending if the feed asks for them) between from and to
+async function getCalendarFeedEvents(tenantId, filters, from, to) {
+  const params = [tenantId, from, to, filters.includePending ? ['approved', 'pending'] : ['approved']];
+  const conditions = ['tenant_id = $1', 'end_date >= $2', 'start_date <= $3', 'status = ANY($4)'];
+
+  const add = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace(/\?/g, () => `$${params.length}`));
+  };
+  if (filters.costCenter) {
+    add('(cost_center_1 = ? OR cost_center_2 = ? OR cost_center_3 = ?)', filters.costCenter);
+  }
+  if (filters.employeeEmail) {
+    add('LOWER(employee_email) = LOWER(?)', filters.employeeEmail);
+  }
+
+  const result = await pool.query(
+    `SELECT id, employee_name, employee_email, supervisor_email, cost_center_1, cost_center_2, cost_center_3,
+            start_date, end_date, hours_per_day, status, created_at, updated_at
+     FROM time_off_events
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY start_date ASC, id ASC`,
+    params
+  );
+  return result.rows;
+}
+
+// ==========================================
+// WEBHOOK DELIVERIES (Paylocity)
+// ==========================================
+
+async function createWebhookDelivery(tenantId, data) {
+  const result = await pool.query(
+    `INSERT INTO webhook_deliveries
+      (tenant_id, source, status, http_status, signature, headers, payload, result, error, ip, replay_of, replayed_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+     RETURNING *`,
+    [
+      tenantId,
+      data.source || 'paylocity',
+      data.status,
+      data.httpStatus,
+      data.signature || null,
+      data.headers ? JSON.stringify(data.headers) : null,
+      data.payload ?? null,
+      data.result ? JSON.stringify(data.result) : null,
+      data.error || null,
+      data.ip || null,
+      data.replayOf || null,
+      data.replayedBy || null
+    ]
+  );
+  return result.rows[0];
+}
+
+// Claims a signed delivery before processing it: inserts it as 'processing' with its
+// signature. The unique index makes two identical deliveries race for the same row, so only
+// one gets it; null = the signature is already taken (processed or being processed).
+// A claim left in 'processing' for WEBHOOK_CLAIM_STALE_MINUTES (crash mid-request) is taken over.
+const WEBHOOK_CLAIM_STALE_MINUTES = 10;
+
+async function claimWebhookDelivery(tenantId, data) {
+  const result = await pool.query(
+    `INSERT INTO webhook_deliveries
+      (tenant_id, source, status, http_status, signature, headers, payload, ip)
+     VALUES ($1, $2, 'processing', 202, $3, $4, $5, $6)
+     ON CONFLICT (tenant_id, signature) WHERE signature IS NOT NULL
+     DO UPDATE SET headers = EXCLUDED.headers, payload = EXCLUDED.payload, ip = EXCLUDED.ip, received_at = NOW()
+       WHERE webhook_deliveries.status = 'processing'
+         AND webhook_deliveries.received_at < NOW() - make_interval(mins => $7)
+     RETURNING *`,
+    [
+      tenantId,
+      data.source || 'paylocity',
+      data.signature,
+      data.headers ? JSON.stringify(data.headers) : null,
+      data.payload ?? null,
+      data.ip || null,
+      WEBHOOK_CLAIM_STALE_MINUTES
+    ]
+  );
+  return result.rows[0] || null;
+}
+
+// Outcome of a claimed delivery. Processed and ignored ones keep their signature: a failed
+// delivery releases it, so Paylocity can retry with the same signature.
+async function finishWebhookDelivery(id, data) {
+  const result = await pool.query(
+    `UPDATE webhook_deliveries
+     SET status = $2, http_status = $3, result = $4, error = $5,
+         signature = CASE WHEN $2 IN ('processed', 'ignored') THEN signature END
+     WHERE id = $1
+     RETURNING *`,
+    [id, data.status, data.httpStatus, data.result ? JSON.stringify(data.result) : null, data.error || null]
+  );
+  return result.rows[0];
+}
+
+// replayed_id = successful replay of this delivery (processed or ignored), if there is one
+async function getWebhookDelivery(id, tenantId) {
+  const result = await pool.query(
+    `SELECT d.*,
+            (SELECT r.id FROM webhook_deliveries r
+             WHERE r.replay_of = d.id AND r.status IN ('processed', 'ignored')
+             ORDER BY r.id DESC LIMIT 1) as replayed_id
+     FROM webhook_deliveries d
+     WHERE d.id = $1 AND d.tenant_id = $2`,
+    [id, tenantId]
+  );
+  return result.rows[0];
+}
+
+async function getWebhookDeliveries(tenantId, filters = {}, page = 1, pageSize = 50) {
+  const conditions = ['d.tenant_id = $1'];
+  const params = [tenantId];
+  if (filters.status) {
+    params.push(filters.status);
+    conditions.push(`d.status = $${params.length}`);
+  }
+  const where = `WHERE ${conditions.join(' AND ')}`;
+
+  const countResult = await pool.query(`SELECT COUNT(*)::int as total FROM webhook_deliveries d ${where}`, params);
+
+  const result = await pool.query(`
+    SELECT d.*, su.name as replayed_by_name,
+           (SELECT r.id FROM webhook_deliveries r
+            WHERE r.replay_of = d.id AND r.status IN ('processed', 'ignored')
+            ORDER BY r.id DESC LIMIT 1) as replayed_id
+    FROM webhook_deliveries d
+    LEFT JOIN system_users su ON d.replayed_by = su.id
+    ${where}
+    ORDER BY d.received_at DESC, d.id DESC
+    LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+  `, [...params, pageSize, (page - 1) * pageSize]);
+
+  return { results: result.rows, total: countResult.rows[0].total };
+}
+
 // ==========================================
 // MIGRATION HELPER
 // ==========================================
@@ -744,10 +2620,17 @@ module.exports = {
   deleteTenant,
   setTenantApiKeys,
   getTenantApiKeys,
+  rotateTenantApiKeys,
+  getTenantWebhookConfig,
+  rotateTenantWebhookSecret,
+  setTenantWebhookAuthMode,
+  getTenantMetrics,
+  setTenantMetrics,
   // Inboxes
   getAllInboxes,
   getInboxByCode,
   getInboxById,
+  getInboxByName,
   createInbox,
   updateInbox,
   deleteInbox,
@@ -763,6 +2646,7 @@ module.exports = {
   removeUserFromInbox,
   getUsersByInbox,
   getUsersByInboxName,
+  getUsersByInboxId,
   getIndividualUsers,
   // System Users (Authentication)
   getSystemUserByEmail,
@@ -776,9 +2660,91 @@ module.exports = {
   deleteSystemUser,
   // Time Off Events (Calendar)
   getTimeOffEvents,
+  getTimeOffFilterOptions,
+  getTimeOffEventById,
   createTimeOffEvent,
-  deleteTimeOffEvent,
+  createTimeOffEvents,
+  updateTimeOffEvent,
+  upsertTimeOffEventByExternalKey,
+  getTimeOffEventsByExternalKeys,
+  cancelTimeOffEventByExternalKey,
+  cancelTimeOffEventByEmployeeDates,
+  setTimeOffEventLastDelivery,
+  isSupervisorOf,
   getTimeOffConflicts,
+  // Time off requests
+  getSupervisorOnFile,
+  getTimeOffRequests,
+  decideTimeOffRequest,
+  cancelTimeOffEvent,
+  // Report Jobs
+  createReportJob,
+  getReportJob,
+  claimReportJob,
+  heartbeatReportJob,
+  appendReportJobResult,
+  finishReportJob,
+  // Metric Snapshots (Analytics Cache)
+  getMetricSnapshots,
+  replaceMetricSnapshots,
+  deleteMetricSnapshots,
+  getMetricSnapshotSummaries,
+  // Metric history
+  upsertMetricHistory,
+  getMetricHistory,
+  getPreviousMetricPeriod,
+  // Front sync
+  createFrontSyncRun,
+  getFrontSyncRun,
+  getFrontSyncRuns,
+  setTenantFrontSyncAutoApply,
+  applyFrontSyncRun,
+  // API tokens
+  createApiToken,
+  useApiToken,
+  getApiTokens,
+  getApiTokenById,
+  revokeApiToken,
+  // Calendar color rules
+  getTenantColorRules,
+  setTenantColorRules,
+  // Work calendar
+  getTenantWorkingDays,
+  setTenantWorkingDays,
+  getTenantHolidays,
+  getWorkCalendar,
+  createTenantHoliday,
+  importTenantHolidays,
+  deleteTenantHoliday,
+  // Coverage
+  setInboxMinOnDuty,
+  getCoverageInboxes,
+  getLinkedTimeOff,
+  getActiveUserIdsByEmail,
+  // Time off usage
+  getTimeOffUsageEvents,
+  getTimeOffAllowances,
+  setTimeOffAllowance,
+  deleteTimeOffAllowance,
+  // Attendance
+  getTimeOffByEmails,
+  // Calendar feeds
+  createCalendarFeed,
+  useCalendarFeed,
+  getCalendarFeeds,
+  getCalendarFeedById,
+  rotateCalendarFeed,
+  revokeCalendarFeed,
+  getCalendarFeedEvents,
+  // Webhook deliveries
+  createWebhookDelivery,
+  claimWebhookDelivery,
+  finishWebhookDelivery,
+  getWebhookDelivery,
+  getWebhookDeliveries,
+  // Audit log
+  createAuditEvent,
+  getAuditEvents,
   // Migration
   migrateFromJSON
 };
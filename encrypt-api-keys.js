@@ -0,0 +1,48 @@
+/**
+ * Script de migración - Cifrado de las API keys de Front y los secretos del webhook de Paylocity (tenants)
+ *
+ * - Primera vez: cifra las keys que todavía están en texto plano.
+ * - Rotación: agregar la nueva master key a API_KEY_MASTER_KEYS (dejando la anterior),
+ *   apuntar API_KEY_MASTER_KEY_ID a la nueva y volver a ejecutar. Las data keys se
+ *   re-cifran con la nueva master key; después la anterior se puede quitar del entorno.
+ *
+ * Es idempotente: los valores que ya están bajo la master key actual no se tocan.
+ *
+ * Usage: node encrypt-api-keys.js
+ * Generar una master key: node -e "console.log(require('crypto').randomBytes(32).toString('base64'))"
+ */
+
+require('dotenv').config();
+
+const db = require('./db');
+const keyEncryption = require('./key-encryption');
+
+async function migrate() {
+  console.log('========================================');
+  console.log('Encrypting tenant Front API keys and webhook secrets');
+  console.log('========================================\n');
+
+  try {
+    if (!keyEncryption.isConfigured()) {
+      throw new Error('API_KEY_MASTER_KEYS is not set. Add "<keyId>:<base64 32-byte key>" to the environment first.');
+    }
+
+    console.log(`Current master key: ${keyEncryption.currentKeyId()}`);
+
+    const { tenants, updated } = await db.rotateTenantApiKeys();
+    console.log(`Tenants with secrets:  ${tenants}`);
+    console.log(`Re-encrypted:          ${updated}`);
+
+    console.log('\n========================================');
+    console.log('Encryption completed!');
+    console.log('========================================\n');
+
+  } catch (error) {
+    console.error('Encryption failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await db.pool.end();
+  }
+}
+
+migrate();
@@ -0,0 +1,355 @@
+/**
+ * Front API Client - Cliente compartido para la API de Front
+ *
+ * - Token bucket por API key, alimentado por los headers X-RateLimit-* y Retry-After de Front
+ * - Errores tipados (auth, rate limit, reporte no listo, error de servidor)
+ * - Polling configurable hasta que un reporte de analytics esté en status 'done'
+ * - fetch inyectable (createFrontClient({ fetch })) para probar contra un Front local
+ */
+
+require('dotenv').config();
+
+// Base URL (FRONT_API_BASE_URL apunta a un mock local en desarrollo)
+const DEFAULT_BASE_URL = process.env.FRONT_API_BASE_URL || 'https://api2.frontapp.com';
+const DEFAULT_REPORTS_ENDPOINT = `${DEFAULT_BASE_URL}/analytics/reports`;
+
+// Límite supuesto hasta que Front mande sus headers (requests por minuto por API key)
+const DEFAULT_RATE_LIMIT_PER_MINUTE = parseInt(process.env.FRONT_RATE_LIMIT_PER_MINUTE || '50', 10);
+
+// Espera por defecto en un 429 sin Retry-After ni X-RateLimit-Reset
+const DEFAULT_RATE_LIMIT_WAIT_MS = 5000;
+
+// ==========================================
+// ERRORS
+// ==========================================
+
+class FrontApiError extends Error {
+  constructor(message, status = null, body = null) {
+    super(message);
+    this.name = 'FrontApiError';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+// 401 / 403: API key inválida o sin permisos (no se reintenta)
+class FrontAuthError extends FrontApiError {
+  constructor(message, status, body) {
+    super(message, status, body);
+    this.name = 'FrontAuthError';
+  }
+}
+
+// 429 después de agotar los reintentos
+class FrontRateLimitError extends FrontApiError {
+  constructor(message, retryAfterMs, body) {
+    super(message, 429, body);
+    this.name = 'FrontRateLimitError';
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// El reporte de analytics no llegó a 'done' dentro del polling configurado
+class FrontNotReadyError extends FrontApiError {
+  constructor(message, reportStatus) {
+    super(message);
+    this.name = 'FrontNotReadyError';
+    this.reportStatus = reportStatus;
+  }
+}
+
+// 5xx o error de red después de agotar los reintentos
+class FrontServerError extends FrontApiError {
+  constructor(message, status, body) {
+    super(message, status, body);
+    this.name = 'FrontServerError';
+  }
+}
+
+// ==========================================
+// RATE LIMITING
+// ==========================================
+
+/**
+ * Token bucket de una API key. Se rellena de forma continua según el límite conocido
+ * y se corrige con lo que Front informa en cada respuesta.
+ */
+class TokenBucket {
+  constructor(perMinute, now) {
+    this.capacity = perMinute;
+    this.tokens = perMinute;
+    this.refillPerMs = perMinute / 60000;
+    this.updatedAt = now;
+    this.blockedUntil = 0;
+  }
+
+  refill(now) {
+    const elapsed = Math.max(0, now - this.updatedAt);
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillPerMs);
+    this.updatedAt = now;
+  }
+
+  /**
+   * Toma un token. Devuelve 0 si lo tomó, o los ms a esperar antes de reintentar.
+   */
+  take(now) {
+    if (this.blockedUntil > now) {
+      return this.blockedUntil - now;
+    }
+    if (this.blockedUntil) {
+      // La ventana de Front se reinició: bucket lleno otra vez
+      this.blockedUntil = 0;
+      this.tokens = this.capacity;
+      this.updatedAt = now;
+    }
+    this.refill(now);
+    if (this.tokens >= 1) {
+      this.tokens -= 1;
+      return 0;
+    }
+    return Math.ceil((1 - this.tokens) / this.refillPerMs);
+  }
+
+  /**
+   * Ajusta el bucket con X-RateLimit-Limit / X-RateLimit-Remaining / X-RateLimit-Reset
+   */
+  updateFromHeaders(headers, now) {
+    const limit = parseInt(headers.get('x-ratelimit-limit'), 10);
+    const remaining = parseInt(headers.get('x-ratelimit-remaining'), 10);
+    const reset = parseFloat(headers.get('x-ratelimit-reset'));
+
+    if (Number.isFinite(limit) && limit > 0) {
+      this.capacity = limit;
+      this.refillPerMs = limit / 60000;
+    }
+    if (Number.isFinite(remaining)) {
+      this.refill(now);
+      this.tokens = Math.min(this.capacity, remaining);
+      if (remaining <= 0) {
+        const resetMs = parseResetMs(reset, now);
+        if (resetMs !== null) this.block(now + resetMs);
+      }
+    }
+  }
+
+  block(untilMs) {
+    this.blockedUntil = Math.max(this.blockedUntil, untilMs);
+  }
+}
+
+/**
+ * X-RateLimit-Reset puede venir como epoch (segundos) o como segundos restantes
+ */
+function parseResetMs(reset, now) {
+  if (!Number.isFinite(reset)) return null;
+  if (reset > 1e9) return Math.max(0, reset * 1000 - now);
+  return Math.max(0, reset * 1000);
+}
+
+/**
+ * ms a esperar después de un 429: Retry-After, luego X-RateLimit-Reset,
+ * luego el número que Front pone en el mensaje de error
+ */
+function getRetryAfterMs(headers, body, now) {
+  const retryAfter = headers.get('retry-after');
+  if (retryAfter) {
+    const seconds = parseFloat(retryAfter);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) return Math.max(0, date - now);
+  }
+
+  const resetMs = parseResetMs(parseFloat(headers.get('x-ratelimit-reset')), now);
+  if (resetMs !== null) return resetMs;
+
+  const fromMessage = parseInt(body?._error?.message?.match(/\d+/)?.[0], 10);
+  return Number.isFinite(fromMessage) ? fromMessage : DEFAULT_RATE_LIMIT_WAIT_MS;
+}
+
+// ==========================================
+// CLIENT
+// ==========================================
+
+/**
+ * Crea un cliente de Front.
+ * @param {Object} [options]
+ * @param {Function} [options.fetch] - fetch a usar (por defecto el global)
+ * @param {string} [options.baseUrl] - base de la API (teammates, channels, reports)
+ * @param {number} [options.maxRetries] - reintentos por 429 / 5xx / error de red
+ * @param {number} [options.pollIntervalMs] - espera inicial entre consultas de un reporte
+ * @param {number} [options.maxPollIntervalMs] - espera máxima entre consultas (backoff progresivo)
+ * @param {number} [options.maxPollAttempts] - consultas antes de FrontNotReadyError
+ * @param {number} [options.rateLimitPerMinute] - límite inicial del token bucket
+ * @param {Function} [options.sleep] - (ms) => Promise, inyectable para tests
+ * @param {Function} [options.now] - () => ms, inyectable para tests
+ */
+function createFrontClient(options = {}) {
+  const fetchImpl = options.fetch || ((...args) => fetch(...args));
+  const baseUrl = (options.baseUrl || DEFAULT_BASE_URL).replace(/\/$/, '');
+  const maxRetries = options.maxRetries ?? 5;
+  const pollIntervalMs = options.pollIntervalMs ?? 3000;
+  const maxPollIntervalMs = options.maxPollIntervalMs ?? 8000;
+  const maxPollAttempts = options.maxPollAttempts ?? 25;
+  const rateLimitPerMinute = options.rateLimitPerMinute || DEFAULT_RATE_LIMIT_PER_MINUTE;
+  const sleep = options.sleep || ((ms) => new Promise(resolve => setTimeout(resolve, ms)));
+  const now = options.now || (() => Date.now());
+
+  const buckets = new Map();
+
+  function getBucket(apiKey) {
+    if (!buckets.has(apiKey)) {
+      buckets.set(apiKey, new TokenBucket(rateLimitPerMinute, now()));
+    }
+    return buckets.get(apiKey);
+  }
+
+  async function acquire(apiKey) {
+    const bucket = getBucket(apiKey);
+    let waitMs;
+    while ((waitMs = bucket.take(now())) > 0) {
+      await sleep(waitMs);
+    }
+  }
+
+  function toUrl(pathOrUrl) {
+    return /^https?:\/\//.test(pathOrUrl) ? pathOrUrl : `${baseUrl}${pathOrUrl}`;
+  }
+
+  /**
+   * Request a Front con rate limiting y reintentos. Devuelve el JSON de la respuesta.
+   */
+  async function request(apiKey, method, pathOrUrl, body = undefined) {
+    const url = toUrl(pathOrUrl);
+    const bucket = getBucket(apiKey);
+    let lastError;
+
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      await acquire(apiKey);
+
+      let response;
+      try {
+        response = await fetchImpl(url, {
+          method,
+          headers: {
+            'Accept': 'application/json',
+            'Authorization': apiKey,
+            ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+          },
+          body: body !== undefined ? JSON.stringify(body) : undefined,
+        });
+      } catch (error) {
+        // Error de red: reintentar con backoff
+        lastError = new FrontServerError(`Front API unreachable: ${error.message}`, null, null);
+        if (attempt < maxRetries) await sleep(Math.min(1000 * 2 ** attempt, 30000));
+        continue;
+      }
+
+      bucket.updateFromHeaders(response.headers, now());
+      const data = await response.json().catch(() => null);
+
+      if (response.ok) {
+        return data;
+      }
+
+      const message = data?._error?.message || `Front API error: ${response.status}`;
+
+      if (response.status === 401 || response.status === 403) {
+        throw new FrontAuthError(message, response.status, data);
+      }
+
+      if (response.status === 429) {
+        const retryAfterMs = getRetryAfterMs(response.headers, data, now());
+        console.log(`  Front rate limited. Waiting ${retryAfterMs}ms...`);
+        bucket.block(now() + retryAfterMs);
+        lastError = new FrontRateLimitError(message, retryAfterMs, data);
+        continue;
+      }
+
+      if (response.status >= 500) {
+        lastError = new FrontServerError(message, response.status, data);
+        if (attempt < maxRetries) await sleep(Math.min(1000 * 2 ** attempt, 30000));
+        continue;
+      }
+
+      throw new FrontApiError(message, response.status, data);
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Crea un reporte de analytics y espera a que esté listo. Devuelve el reporte (status 'done').
+   * Si Front devuelve _links.self se consulta con GET; si no, se repite el POST.
+   * @param {Object} [pollOptions] - { pollIntervalMs, maxPollIntervalMs, maxPollAttempts } para este reporte
+   */
+  async function runAnalyticsReport(apiKey, reportBody, endpoint = null, pollOptions = {}) {
+    const interval = pollOptions.pollIntervalMs ?? pollIntervalMs;
+    const maxInterval = pollOptions.maxPollIntervalMs ?? maxPollIntervalMs;
+    const attempts = pollOptions.maxPollAttempts ?? maxPollAttempts;
+    const url = endpoint || `${baseUrl}/analytics/reports`;
+
+    let report = await request(apiKey, 'POST', url, reportBody);
+
+    for (let attempt = 1; report?.status !== 'done'; attempt++) {
+      if (attempt >= attempts) {
+        throw new FrontNotReadyError(
+          `Report not ready after ${attempts} attempts (status "${report?.status}")`,
+          report?.status
+        );
+      }
+
+      await sleep(Math.min(interval + (attempt - 1) * 500, maxInterval));
+
+      const selfLink = report?._links?.self;
+      report = selfLink
+        ? await request(apiKey, 'GET', selfLink)
+        : await request(apiKey, 'POST', url, reportBody);
+    }
+
+    return report;
+  }
+
+  /**
+   * Lee todas las páginas de un listado de Front siguiendo _pagination.next.
+   * Devuelve la concatenación de los _results.
+   */
+  async function listAll(apiKey, path, maxPages = 100) {
+    const results = [];
+    let next = path;
+
+    for (let page = 0; next && page < maxPages; page++) {
+      const data = await request(apiKey, 'GET', next);
+      results.push(...(data?._results || []));
+      next = data?._pagination?.next || null;
+    }
+
+    if (next) {
+      console.warn(`Front listing ${path} truncated after ${maxPages} pages`);
+    }
+    return results;
+  }
+
+  return {
+    request,
+    get: (apiKey, path) => request(apiKey, 'GET', path),
+    listAll,
+    runAnalyticsReport,
+  };
+}
+
+// Cliente por defecto (comparte los buckets entre server, jobs y scheduler)
+const frontClient = createFrontClient();
+
+module.exports = {
+  FrontApiError,
+  FrontAuthError,
+  FrontRateLimitError,
+  FrontNotReadyError,
+  FrontServerError,
+  DEFAULT_REPORTS_ENDPOINT,
+  createFrontClient,
+  request: frontClient.request,
+  get: frontClient.get,
+  listAll: frontClient.listAll,
+  runAnalyticsReport: frontClient.runAnalyticsReport,
+};
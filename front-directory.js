@@ -0,0 +1,110 @@
+/**
+ * Front Directory - Teammates y canales de Front por tenant, con cache en memoria
+ *
+ * Se leen todas las páginas de Front y se guardan unos minutos por tenant, así las
+ * búsquedas del admin (server-side: filtro + paginado) no llaman a Front cada vez.
+ */
+
+require('dotenv').config();
+
+const frontClient = require('./front-client');
+
+const DIRECTORY_TTL_MS = parseInt(process.env.FRONT_DIRECTORY_TTL_MS || String(5 * 60 * 1000), 10);
+
+// `${tenantId}:${kind}` -> { items, fetchedAt } | { pending }
+const cache = new Map();
+
+function toTeammate(t) {
+  return {
+    id: t.id,
+    email: t.email,
+    name: `${t.first_name || ''} ${t.last_name || ''}`.trim(),
+    first_name: t.first_name,
+    last_name: t.last_name,
+    is_available: t.is_available,
+    is_admin: t.is_admin
+  };
+}
+
+function toChannel(c) {
+  return {
+    id: c.id,
+    name: c.name,
+    address: c.address,
+    type: c.type
+  };
+}
+
+/**
+ * Lee un listado del cache o de Front. Requests simultáneos comparten el mismo fetch.
+ */
+async function getListing(tenantId, kind, apiKey, path, mapItem, refresh) {
+  const key = `${tenantId}:${kind}`;
+  const entry = cache.get(key);
+
+  if (entry && entry.pending) return entry.pending;
+  if (!refresh && entry && Date.now() - entry.fetchedAt < DIRECTORY_TTL_MS) return entry;
+
+  const pending = frontClient.listAll(apiKey, path)
+    .then(results => {
+      const fresh = { items: results.map(mapItem), fetchedAt: Date.now() };
+      cache.set(key, fresh);
+      return fresh;
+    })
+    .catch(error => {
+      cache.delete(key);
+      throw error;
+    });
+
+  cache.set(key, { pending });
+  return pending;
+}
+
+function getTeammates(tenantId, apiKey, refresh = false) {
+  return getListing(tenantId, 'teammates', apiKey, '/teammates', toTeammate, refresh);
+}
+
+function getChannels(tenantId, apiKey, refresh = false) {
+  return getListing(tenantId, 'channels', apiKey, '/channels', toChannel, refresh);
+}
+
+/**
+ * Olvida los listados de un tenant (p.ej. al cambiar sus API keys)
+ */
+function invalidate(tenantId) {
+  for (const key of cache.keys()) {
+    if (key.startsWith(`${tenantId}:`)) cache.delete(key);
+  }
+}
+
+/**
+ * Búsqueda + filtros + paginado sobre un listado.
+ * @param {Array} items
+ * @param {Object} query - { q, fields, filters: { campo: valor }, page, pageSize }
+ */
+function searchListing(items, { q = '', fields = [], filters = {}, page = 1, pageSize = 25 }) {
+  const term = q.toLowerCase().trim();
+
+  const matches = items.filter(item => {
+    if (term && !fields.some(field => String(item[field] || '').toLowerCase().includes(term))) {
+      return false;
+    }
+    return Object.entries(filters).every(([field, value]) => value === undefined || item[field] === value);
+  });
+
+  const totalPages = Math.max(1, Math.ceil(matches.length / pageSize));
+  return {
+    results: matches.slice((page - 1) * pageSize, page * pageSize),
+    total: matches.length,
+    page,
+    pageSize,
+    totalPages
+  };
+}
+
+module.exports = {
+  getTeammates,
+  getChannels,
+  invalidate,
+  searchListing
+};
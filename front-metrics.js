@@ -0,0 +1,67 @@
+/**
+ * Front Analytics Metrics - Catálogo de métricas disponibles para los reportes
+ *
+ * Cada tenant elige su propio set de métricas (tenants.analytics_metrics).
+ * format: cómo se muestra el valor en el dashboard
+ * aggregate: cómo se combinan los valores de varios teammates en las tarjetas
+ */
+
+const METRIC_CATALOG = [
+  { id: 'num_messages_received', label: 'Messages Received', format: 'count', aggregate: 'sum', icon: 'fas fa-envelope-open' },
+  { id: 'num_messages_sent', label: 'Messages Sent', format: 'count', aggregate: 'sum', icon: 'fas fa-paper-plane' },
+  { id: 'avg_response_time', label: 'Avg Reply Time', format: 'duration', aggregate: 'avg', icon: 'fas fa-clock' },
+  { id: 'avg_first_response_time', label: 'Avg First Response Time', format: 'duration', aggregate: 'avg', icon: 'fas fa-stopwatch' },
+  { id: 'avg_resolution_time', label: 'Avg Resolution Time', format: 'duration', aggregate: 'avg', icon: 'fas fa-hourglass-end' },
+  { id: 'avg_handle_time', label: 'Avg Handle Time', format: 'duration', aggregate: 'avg', icon: 'fas fa-hand-paper' },
+  { id: 'avg_reaction_time', label: 'Avg Reaction Time', format: 'duration', aggregate: 'avg', icon: 'fas fa-bolt' },
+  { id: 'num_archived_conversations', label: 'Conversations Archived', format: 'count', aggregate: 'sum', icon: 'fas fa-archive' },
+  { id: 'num_new_conversations', label: 'New Conversations', format: 'count', aggregate: 'sum', icon: 'fas fa-comments' },
+  { id: 'num_csat_survey_response', label: 'CSAT Responses', format: 'count', aggregate: 'sum', icon: 'fas fa-poll' },
+  { id: 'avg_csat_survey_response', label: 'Avg CSAT Score', format: 'score', aggregate: 'avg', icon: 'fas fa-smile' }
+];
+
+// Set histórico (el que siempre se pedía antes de ser configurable)
+const DEFAULT_METRICS = ['num_messages_received', 'num_messages_sent', 'avg_response_time'];
+
+const METRIC_IDS = new Set(METRIC_CATALOG.map(m => m.id));
+
+/**
+ * Devuelve el set de métricas de un tenant, o el set por defecto si no tiene uno válido
+ */
+function resolveTenantMetrics(tenantMetrics) {
+  if (!Array.isArray(tenantMetrics)) return DEFAULT_METRICS;
+  const valid = tenantMetrics.filter(id => METRIC_IDS.has(id));
+  return valid.length > 0 ? valid : DEFAULT_METRICS;
+}
+
+/**
+ * Devuelve los ids que no existen en el catálogo (para validar input)
+ */
+function findUnknownMetrics(metricIds) {
+  return metricIds.filter(id => !METRIC_IDS.has(id));
+}
+
+function getMetricDefinitions(metricIds) {
+  return metricIds.map(id => METRIC_CATALOG.find(m => m.id === id)).filter(Boolean);
+}
+
+/**
+ * Combina los valores de varios teammates igual que las tarjetas del dashboard:
+ * sum suma todo; avg ignora teammates sin actividad (null / 0).
+ * Devuelve null si no hay ningún valor.
+ */
+function aggregateMetric(def, values) {
+  const usable = values.filter(v => v !== null && v !== undefined && !(def.aggregate === 'avg' && v <= 0));
+  if (usable.length === 0) return null;
+  const total = usable.reduce((sum, v) => sum + Number(v), 0);
+  return def.aggregate === 'avg' ? total / usable.length : total;
+}
+
+module.exports = {
+  METRIC_CATALOG,
+  DEFAULT_METRICS,
+  resolveTenantMetrics,
+  findUnknownMetrics,
+  getMetricDefinitions,
+  aggregateMetric
+};
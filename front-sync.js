@@ -0,0 +1,289 @@
+/**
+ * Front Sync - Reconcilia users, inboxes y user_inbox con Front (Multi-Tenant)
+ *
+ * - Canales compartidos de Front -> inboxes (code = channel id)
+ * - Teammates de los inboxes de Front -> users (teammate_id)
+ * - Miembros de cada inbox de Front -> user_inbox
+ *
+ * Cada ejecución guarda primero un dry-run (front_sync_runs) con la lista de cambios;
+ * un admin lo revisa y lo aplica (todo o una parte). Los tenants con
+ * front_sync_auto_apply lo aplican solos en la corrida diaria.
+ * Los teammates bloqueados o borrados en Front se marcan inactivos, nunca se borran,
+ * para no perder su historial de métricas.
+ */
+
+require('dotenv').config();
+
+const db = require('./db');
+const tz = require('./timezone');
+const frontClient = require('./front-client');
+
+// Hora local (de cada tenant) de la corrida diaria, antes del cache de las 6 AM
+const SYNC_HOUR = 5;
+
+function teammateName(teammate) {
+  return `${teammate.first_name || ''} ${teammate.last_name || ''}`.trim() || teammate.email;
+}
+
+/**
+ * Lee de Front los teammates, los canales compartidos y los miembros de cada inbox
+ */
+async function fetchFrontState(keys) {
+  const sharedKey = keys.front_api_key;
+  const teammateKey = keys.front_api_key_individuals || keys.front_api_key;
+
+  const teammates = await frontClient.listAll(teammateKey, '/teammates');
+  const channels = (await frontClient.listAll(sharedKey, '/channels')).filter(c => !c.is_private);
+
+  // Varios canales pueden compartir un inbox: se pide cada inbox una sola vez
+  const membersByInboxUrl = new Map();
+  const warnings = [];
+
+  for (const channel of channels) {
+    const inboxUrl = channel._links?.related?.inbox;
+    if (!inboxUrl || membersByInboxUrl.has(inboxUrl)) continue;
+
+    try {
+      const members = await frontClient.listAll(sharedKey, `${inboxUrl}/teammates`);
+      membersByInboxUrl.set(inboxUrl, members.map(m => m.id));
+    } catch (error) {
+      // Sin miembros no se proponen altas ni bajas para ese inbox
+      membersByInboxUrl.set(inboxUrl, null);
+      warnings.push({ type: 'members_unavailable', channelId: channel.id, name: channel.name, error: error.message });
+    }
+  }
+
+  return {
+    teammates,
+    channels: channels.map(channel => ({
+      id: channel.id,
+      name: channel.name,
+      members: membersByInboxUrl.get(channel._links?.related?.inbox) || null
+    })),
+    warnings
+  };
+}
+
+/**
+ * Calcula el diff entre Front y las tablas locales. No escribe nada.
+ * Cada cambio lleva una `key` estable para poder aplicar solo una selección;
+ * los warnings (p.ej. inboxes locales que ya no existen en Front) solo se informan.
+ */
+function buildDiff(front, localInboxes, localUsers) {
+  const changes = [];
+  const warnings = [...front.warnings];
+
+  const teammatesById = new Map(front.teammates.map(t => [t.id, t]));
+  const usersByTeammateId = new Map(localUsers.map(u => [u.teammate_id, u]));
+  const inboxesByCode = new Map(localInboxes.map(i => [i.code, i]));
+  const channelIds = new Set(front.channels.map(c => c.id));
+
+  // --- Inboxes ---
+  for (const channel of front.channels) {
+    const inbox = inboxesByCode.get(channel.id);
+    if (!inbox) {
+      changes.push({ key: `inbox_create:${channel.id}`, type: 'inbox_create', channelId: channel.id, name: channel.name });
+    } else if (inbox.name !== channel.name) {
+      changes.push({ key: `inbox_rename:${inbox.id}`, type: 'inbox_rename', inboxId: inbox.id, code: inbox.code, from: inbox.name, to: channel.name });
+    }
+  }
+
+  for (const inbox of localInboxes) {
+    if (!channelIds.has(inbox.code)) {
+      warnings.push({ key: `inbox_missing:${inbox.id}`, type: 'inbox_missing', inboxId: inbox.id, code: inbox.code, name: inbox.name });
+    }
+  }
+
+  // --- Users ---
+  const deactivated = new Set();
+
+  for (const user of localUsers) {
+    const teammate = teammatesById.get(user.teammate_id);
+
+    if (!teammate || teammate.is_blocked) {
+      deactivated.add(user.teammate_id);
+      if (user.is_active) {
+        changes.push({
+          key: `user_deactivate:${user.id}`,
+          type: 'user_deactivate',
+          userId: user.id,
+          teammateId: user.teammate_id,
+          name: user.name,
+          reason: teammate ? 'blocked' : 'removed'
+        });
+      }
+      continue;
+    }
+
+    if (!user.is_active) {
+      changes.push({ key: `user_reactivate:${user.id}`, type: 'user_reactivate', userId: user.id, teammateId: user.teammate_id, name: user.name });
+    }
+
+    const name = teammateName(teammate);
+    if (user.email !== teammate.email || user.name !== name) {
+      changes.push({
+        key: `user_update:${user.id}`,
+        type: 'user_update',
+        userId: user.id,
+        teammateId: user.teammate_id,
+        from: { email: user.email, name: user.name },
+        to: { email: teammate.email, name }
+      });
+    }
+  }
+
+  // Solo se crean los teammates que son miembros de algún inbox sincronizado
+  const newTeammateIds = new Set();
+  for (const channel of front.channels) {
+    for (const teammateId of channel.members || []) {
+      const teammate = teammatesById.get(teammateId);
+      if (teammate && !teammate.is_blocked && !usersByTeammateId.has(teammateId)) {
+        newTeammateIds.add(teammateId);
+      }
+    }
+  }
+  for (const teammateId of newTeammateIds) {
+    const teammate = teammatesById.get(teammateId);
+    changes.push({ key: `user_create:${teammateId}`, type: 'user_create', teammateId, email: teammate.email, name: teammateName(teammate) });
+  }
+
+  // --- Membresías ---
+  for (const channel of front.channels) {
+    if (!channel.members) continue;
+
+    const inbox = inboxesByCode.get(channel.id);
+    const members = new Set(channel.members.filter(id => {
+      const teammate = teammatesById.get(id);
+      return teammate && !teammate.is_blocked;
+    }));
+    const current = new Set(
+      localUsers.filter(u => inbox && u.inboxes.some(i => i.inbox_id === inbox.id)).map(u => u.teammate_id)
+    );
+
+    for (const teammateId of members) {
+      if (current.has(teammateId)) continue;
+      const user = usersByTeammateId.get(teammateId);
+      changes.push({
+        key: `membership_add:${channel.id}:${teammateId}`,
+        type: 'membership_add',
+        channelId: channel.id,
+        inboxName: channel.name,
+        teammateId,
+        userName: user ? user.name : teammateName(teammatesById.get(teammateId))
+      });
+    }
+
+    // Los desactivados conservan sus membresías (historial)
+    for (const teammateId of current) {
+      if (members.has(teammateId) || deactivated.has(teammateId)) continue;
+      const user = usersByTeammateId.get(teammateId);
+      changes.push({
+        key: `membership_remove:${inbox.id}:${user.id}`,
+        type: 'membership_remove',
+        inboxId: inbox.id,
+        inboxName: inbox.name,
+        userId: user.id,
+        teammateId,
+        userName: user.name
+      });
+    }
+  }
+
+  const summary = {};
+  for (const change of changes) {
+    summary[change.type] = (summary[change.type] || 0) + 1;
+  }
+  summary.warnings = warnings.length;
+
+  return { changes, warnings, summary, generatedAt: new Date().toISOString() };
+}
+
+/**
+ * Dry-run: consulta Front y guarda el diff como un nuevo run en estado 'preview'.
+ * Si Front falla se guarda un run 'failed' con el error y se relanza.
+ */
+async function previewSync(tenantId, createdBy = null, trigger = 'manual') {
+  const keys = await db.getTenantApiKeys(tenantId);
+  if (!keys) throw new Error(`Tenant ${tenantId} not found`);
+  if (!keys.front_api_key) throw new Error('Front API key not configured for this tenant');
+
+  let diff;
+  try {
+    const front = await fetchFrontState(keys);
+    const [localInboxes, localUsers] = await Promise.all([
+      db.getAllInboxes(tenantId),
+      db.getAllUsers(tenantId)
+    ]);
+    diff = buildDiff(front, localInboxes, localUsers);
+  } catch (error) {
+    await db.createFrontSyncRun(tenantId, trigger, createdBy, null, error.message);
+    throw error;
+  }
+
+  return db.createFrontSyncRun(tenantId, trigger, createdBy, diff);
+}
+
+/**
+ * Aplica un preview. `keys` = cambios seleccionados (undefined = todos).
+ * Devuelve null si el run no existe o ya no está pendiente.
+ */
+async function applySync(runId, tenantId, appliedBy = null, keys = undefined) {
+  const run = await db.getFrontSyncRun(runId, tenantId);
+  if (!run || run.status !== 'preview') return null;
+
+  const selected = keys ? new Set(keys) : null;
+  const changes = run.diff.changes.filter(change => !selected || selected.has(change.key));
+
+  return db.applyFrontSyncRun(runId, tenantId, changes, appliedBy);
+}
+
+/**
+ * Corrida programada de un tenant: preview y, si el tenant lo tiene activado, aplicar
+ */
+async function runScheduledSync(tenant) {
+  try {
+    const run = await previewSync(tenant.id, null, 'schedule');
+    const total = run.diff.changes.length;
+    console.log(`Front sync preview #${run.id} for ${tenant.name}: ${total} change(s)`);
+
+    if (tenant.front_sync_auto_apply && total > 0) {
+      const result = await applySync(run.id, tenant.id);
+      console.log(`Front sync #${run.id} auto-applied for ${tenant.name}:`, result.counts);
+    }
+  } catch (error) {
+    console.error(`Front sync failed for ${tenant.name}:`, error.message);
+  }
+}
+
+/**
+ * Scheduler: una vez al día a las SYNC_HOUR locales de cada tenant con API key
+ */
+function scheduleJobs() {
+  const checkInterval = 5 * 60 * 1000;
+
+  setInterval(async () => {
+    try {
+      const now = new Date();
+      const tenants = await db.getActiveTenants();
+
+      for (const tenant of tenants) {
+        if (!tenant.has_api_key) continue;
+        const { hour, minute } = tz.getPartsInTimezone(tz.resolveTimezone(tenant.timezone), now);
+        if (hour === SYNC_HOUR && minute < 5) {
+          await runScheduledSync(tenant);
+        }
+      }
+    } catch (error) {
+      console.error('Front sync scheduler check failed:', error.message);
+    }
+  }, checkInterval);
+
+  console.log(`Front sync scheduled daily at ${SYNC_HOUR}:00 (tenant local time)`);
+}
+
+module.exports = {
+  previewSync,
+  applySync,
+  buildDiff,
+  scheduleJobs
+};
@@ -0,0 +1,657 @@
+/**
+ * ICS - iCalendar (RFC 5545) para el calendario de time off
+ *
+ * - Export: genera el VCALENDAR de los feeds suscribibles (Outlook / Google "subscribe from URL").
+ *   Los eventos son de día completo: en la base end_date es inclusivo y en ICS DTEND es
+ *   exclusivo, así que se suma un día.
+ * - Import: parseCalendar lee un .ics (líneas plegadas, escapes, TZID, DURATION, RRULE / EXDATE /
+ *   RDATE / RECURRENCE-ID) y devuelve las ocurrencias como time off en la zona del tenant.
+ *   Cada ocurrencia lleva una clave externa derivada del UID para que re-importar el mismo
+ *   archivo actualice los eventos en vez de duplicarlos.
+ */
+
+const crypto = require('crypto');
+const tz = require('./timezone');
+
+const PRODID = '-//Front Analytics//Time Off Calendar//EN';
+const FEED_TOKEN_PREFIX = 'fcf_';
+
+// Outlook/Google vuelven a leer el feed cada tanto; se sugiere una hora
+const REFRESH_INTERVAL = 'PT1H';
+
+/**
+ * Token secreto de la URL de un feed: { token, tokenPrefix, tokenHash } (solo se guarda el hash)
+ */
+function generateFeedToken() {
+  const token = `${FEED_TOKEN_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  return {
+    token,
+    tokenPrefix: token.slice(0, FEED_TOKEN_PREFIX.length + 6),
+    tokenHash: hashFeedToken(token)
+  };
+}
+
+function hashFeedToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Escapa un valor TEXT (RFC 5545 3.3.11)
+ */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Corta una línea en tramos de 75 octetos (RFC 5545 3.1) sin partir caracteres UTF-8
+ */
+function foldLine(line) {
+  if (Buffer.byteLength(line) <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    // Las líneas de continuación empiezan con un espacio, que también cuenta
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + bytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// DATE de pg (Date a medianoche local) o 'YYYY-MM-DD' -> 'YYYY-MM-DD'
+function toDateString(value) {
+  if (value instanceof Date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+  }
+  return String(value).split('T')[0];
+}
+
+function formatDate(dateString) {
+  return dateString.replace(/-/g, '');
+}
+
+function addDays(dateString, days) {
+  const date = new Date(`${dateString}T12:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+function formatTimestamp(value = Date.now()) {
+  return new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * VEVENT de un time_off_event. El UID solo depende del id del evento (y el dominio),
+ * así las actualizaciones reemplazan el evento en el calendario del suscriptor.
+ */
+function buildEvent(event, uidDomain, stamp) {
+  const start = toDateString(event.start_date);
+  const end = toDateString(event.end_date);
+  const summary = `${event.employee_name} - Time off${event.hours_per_day ? ` (${event.hours_per_day}h/day)` : ''}`;
+  const description = [
+    event.employee_email && `Email: ${event.employee_email}`,
+    event.supervisor_email && `Supervisor: ${event.supervisor_email}`,
+    [event.cost_center_1, event.cost_center_2, event.cost_center_3].filter(Boolean).join(' / ')
+  ].filter(Boolean).join('\n');
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:time-off-${event.id}@${uidDomain}`,
+    `DTSTAMP:${stamp}`,
+    `LAST-MODIFIED:${formatTimestamp(event.updated_at || event.created_at)}`,
+    `DTSTART;VALUE=DATE:${formatDate(start)}`,
+    `DTEND;VALUE=DATE:${formatDate(addDays(end, 1))}`,
+    `SUMMARY:${escapeText(summary)}`
+  ];
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (event.status === 'pending') {
+    lines.push('STATUS:TENTATIVE');
+  } else {
+    lines.push('STATUS:CONFIRMED');
+  }
+  // Ausencias de otros: no bloquean la disponibilidad (free/busy) del suscriptor
+  lines.push('TRANSP:TRANSPARENT');
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * VCALENDAR completo (CRLF, líneas plegadas)
+ * @param {Array} events - filas de time_off_events
+ * @param {Object} options - { name, uidDomain }
+ */
+function buildCalendar(events, { name, uidDomain }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `REFRESH-INTERVAL;VALUE=DURATION:${REFRESH_INTERVAL}`,
+    `X-PUBLISHED-TTL:${REFRESH_INTERVAL}`
+  ];
+  // Con METHOD, DTSTAMP es el momento en que se generó el calendario (RFC 5545 3.8.7.2)
+  const stamp = formatTimestamp();
+  for (const event of events) {
+    lines.push(...buildEvent(event, uidDomain, stamp));
+  }
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// ==========================================
+// IMPORT (parser)
+// ==========================================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Las recurrencias se expanden solo dentro de esta ventana (días desde hoy) y con un tope de
+// ocurrencias por evento: una RRULE sin fin no puede generar miles de filas
+const RECURRENCE_PAST_DAYS = 365;
+const RECURRENCE_FUTURE_DAYS = 730;
+const MAX_OCCURRENCES = 500;
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const SUPPORTED_FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const UNSUPPORTED_RULE_PARTS = ['BYSETPOS', 'BYWEEKNO', 'BYYEARDAY', 'BYHOUR', 'BYMINUTE', 'BYSECOND'];
+
+// Outlook / Exchange exportan TZID con nombres de Windows en vez de IANA
+const WINDOWS_TIMEZONES = {
+  'Eastern Standard Time': 'America/New_York',
+  'Central Standard Time': 'America/Chicago',
+  'Mountain Standard Time': 'America/Denver',
+  'US Mountain Standard Time': 'America/Phoenix',
+  'Pacific Standard Time': 'America/Los_Angeles',
+  'Alaskan Standard Time': 'America/Anchorage',
+  'Hawaiian Standard Time': 'Pacific/Honolulu',
+  'Atlantic Standard Time': 'America/Halifax',
+  'Central Standard Time (Mexico)': 'America/Mexico_City',
+  'SA Pacific Standard Time': 'America/Bogota',
+  'Pacific SA Standard Time': 'America/Santiago',
+  'Argentina Standard Time': 'America/Argentina/Buenos_Aires',
+  'E. South America Standard Time': 'America/Sao_Paulo',
+  'GMT Standard Time': 'Europe/London',
+  'W. Europe Standard Time': 'Europe/Berlin',
+  'Romance Standard Time': 'Europe/Paris',
+  'Central Europe Standard Time': 'Europe/Budapest',
+  'India Standard Time': 'Asia/Kolkata',
+  'UTC': 'UTC'
+};
+
+// Líneas de contenido: CRLF (o LF) seguido de espacio o tab es una continuación (RFC 5545 3.1)
+function unfoldLines(text) {
+  return text.replace(/\r\n?/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+}
+
+function splitOutsideQuotes(text, separator) {
+  const parts = [];
+  let current = '';
+  let inQuotes = false;
+  for (const char of text) {
+    if (char === '"') inQuotes = !inQuotes;
+    if (char === separator && !inQuotes) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts;
+}
+
+// 'NAME;PARAM=a;PARAM2="x:y":value' -> { name, params, value }
+function parseProperty(line) {
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ':' && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) return null;
+
+  const [name, ...rawParams] = splitOutsideQuotes(line.slice(0, colon), ';');
+  const params = {};
+  for (const param of rawParams) {
+    const eq = param.indexOf('=');
+    if (eq > 0) params[param.slice(0, eq).toUpperCase()] = param.slice(eq + 1).replace(/^"(.*)"$/, '$1');
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+/**
+ * Des-escapa un valor TEXT (inverso de escapeText)
+ */
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+function resolveTzid(tzid, fallback, warnings) {
+  if (!tzid) return fallback;
+  const name = tzid.replace(/^\//, '');
+  if (tz.isValidTimezone(name)) return name;
+  if (WINDOWS_TIMEZONES[name]) return WINDOWS_TIMEZONES[name];
+  warnings.add(`Unknown TZID "${tzid}", times were read in ${fallback}`);
+  return fallback;
+}
+
+function dayNumber(year, month, day) {
+  return Math.floor(Date.UTC(year, month, day) / DAY_MS);
+}
+
+function dayString(day) {
+  return new Date(day * DAY_MS).toISOString().split('T')[0];
+}
+
+function weekdayOf(day) {
+  return (((day + 4) % 7) + 7) % 7; // 1970-01-01 fue jueves
+}
+
+/**
+ * DATE o DATE-TIME -> { allDay, day (días desde epoch), seconds (hora del día), zone }.
+ * Sin Z ni TZID la hora es "floating" y se toma en la zona del tenant.
+ */
+function parseDateValue(value, params, defaultZone, warnings) {
+  const match = value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!match) return null;
+
+  const [, year, month, day, hours, minutes, seconds, utc] = match;
+  const allDay = hours === undefined || params.VALUE === 'DATE';
+  return {
+    allDay,
+    day: dayNumber(+year, +month - 1, +day),
+    seconds: allDay ? 0 : (+hours * 3600) + (+minutes * 60) + (+seconds),
+    zone: utc ? 'UTC' : resolveTzid(params.TZID, defaultZone, warnings)
+  };
+}
+
+function parseDateList(prop, defaultZone, warnings) {
+  if (prop.params.VALUE === 'PERIOD') {
+    warnings.add('RDATE periods are not supported and were ignored');
+    return [];
+  }
+  return prop.value.split(',')
+    .map(value => parseDateValue(value, prop.params, defaultZone, warnings))
+    .filter(Boolean);
+}
+
+// Instante (ms) de una fecha/hora local; los DATE cuentan desde la medianoche de su zona
+function instantOf(value) {
+  const date = new Date(value.day * DAY_MS);
+  const seconds = value.seconds;
+  return tz.toUnixInTimezone(
+    value.zone, date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(),
+    Math.floor(seconds / 3600), Math.floor(seconds / 60) % 60, seconds % 60
+  ) * 1000;
+}
+
+// 'P1D', 'PT8H', 'P1W'... -> { days, ms }: los días son nominales (respetan DST), el resto exacto
+function parseDuration(value) {
+  const match = value.trim().match(/^\+?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!match) return null;
+  const [, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  return { days: (+weeks * 7) + (+days), ms: ((+hours * 3600) + (+minutes * 60) + (+seconds)) * 1000 };
+}
+
+// Clave de una ocurrencia (la fecha/hora original, como RECURRENCE-ID)
+function occurrenceKey(value) {
+  return value.allDay ? formatDate(dayString(value.day)) : formatTimestamp(instantOf(value));
+}
+
+function parseRule(value) {
+  const rule = {};
+  for (const part of value.split(';')) {
+    const [key, ruleValue] = part.split('=');
+    if (key && ruleValue !== undefined) rule[key.toUpperCase()] = ruleValue.toUpperCase();
+  }
+  return rule;
+}
+
+// 'MO,-1FR,2TU' -> [{ ordinal: null, weekday: 1 }, { ordinal: -1, weekday: 5 }, ...]
+function parseByDay(value) {
+  return value.split(',').map(item => {
+    const match = item.match(/^([+-]?\d+)?(SU|MO|TU|WE|TH|FR|SA)$/);
+    return match ? { ordinal: match[1] ? parseInt(match[1], 10) : null, weekday: WEEKDAYS.indexOf(match[2]) } : null;
+  }).filter(Boolean);
+}
+
+// Días candidatos de un mes según BYMONTHDAY / BYDAY (o el mismo día del mes que DTSTART)
+function monthCandidates(year, month, rule, startDayOfMonth) {
+  const first = dayNumber(year, month, 1);
+  const length = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  const monthDays = Array.from({ length }, (_, i) => first + i);
+
+  if (rule.BYMONTHDAY) {
+    const weekdays = rule.byDay && rule.byDay.map(item => item.weekday);
+    return rule.BYMONTHDAY.split(',').map(Number)
+      .map(value => (value > 0 ? value : length + value + 1))
+      .filter(value => value >= 1 && value <= length)
+      .map(value => first + value - 1)
+      .filter(day => !weekdays || weekdays.includes(weekdayOf(day)));
+  }
+
+  if (rule.byDay) {
+    const days = [];
+    for (const { ordinal, weekday } of rule.byDay) {
+      const matches = monthDays.filter(day => weekdayOf(day) === weekday);
+      if (!ordinal) {
+        days.push(...matches);
+      } else {
+        const pick = ordinal > 0 ? matches[ordinal - 1] : matches[matches.length + ordinal];
+        if (pick !== undefined) days.push(pick);
+      }
+    }
+    return days;
+  }
+
+  // Sin BY*: el mismo día del mes; los meses que no lo tienen (31, 29/02) se saltean
+  return startDayOfMonth <= length ? [first + startDayOfMonth - 1] : [];
+}
+
+/**
+ * Expande una RRULE (DAILY / WEEKLY / MONTHLY / YEARLY con INTERVAL, COUNT, UNTIL, BYDAY,
+ * BYMONTHDAY, BYMONTH, WKST). Devuelve { days, truncated }: días de las ocurrencias dentro de
+ * [windowStart, windowEnd]. COUNT cuenta también las anteriores a la ventana, como pide el RFC.
+ */
+function expandRule(startDay, rule, { windowStart, windowEnd, isBeforeUntil }) {
+  const start = new Date(startDay * DAY_MS);
+  const startYear = start.getUTCFullYear();
+  const startMonth = start.getUTCMonth();
+  const interval = Math.max(parseInt(rule.INTERVAL || '1', 10) || 1, 1);
+  const count = rule.COUNT ? parseInt(rule.COUNT, 10) : Infinity;
+  const byMonth = rule.BYMONTH ? rule.BYMONTH.split(',').map(value => parseInt(value, 10) - 1) : null;
+  const wkst = rule.WKST ? Math.max(WEEKDAYS.indexOf(rule.WKST), 0) : 1;
+  rule.byDay = rule.BYDAY ? parseByDay(rule.BYDAY) : null;
+
+  const days = [];
+  let generated = 0;
+
+  for (let period = 0; ; period++) {
+    let periodStart;
+    let candidates;
+
+    if (rule.FREQ === 'DAILY') {
+      periodStart = startDay + period * interval;
+      candidates = [periodStart];
+      if (rule.byDay) candidates = candidates.filter(day => rule.byDay.some(item => item.weekday === weekdayOf(day)));
+    } else if (rule.FREQ === 'WEEKLY') {
+      periodStart = startDay - ((weekdayOf(startDay) - wkst + 7) % 7) + period * interval * 7;
+      const weekdays = rule.byDay ? rule.byDay.map(item => item.weekday) : [weekdayOf(startDay)];
+      candidates = Array.from({ length: 7 }, (_, i) => periodStart + i).filter(day => weekdays.includes(weekdayOf(day)));
+    } else if (rule.FREQ === 'MONTHLY') {
+      const total = startMonth + period * interval;
+      const year = startYear + Math.floor(total / 12);
+      periodStart = dayNumber(year, total % 12, 1);
+      candidates = monthCandidates(year, total % 12, rule, start.getUTCDate());
+    } else {
+      const year = startYear + period * interval;
+      periodStart = dayNumber(year, 0, 1);
+      candidates = (byMonth || [startMonth]).flatMap(month => monthCandidates(year, month, rule, start.getUTCDate()));
+    }
+
+    if (periodStart > windowEnd) return { days, truncated: false };
+    if (byMonth && rule.FREQ !== 'YEARLY') {
+      candidates = candidates.filter(day => byMonth.includes(new Date(day * DAY_MS).getUTCMonth()));
+    }
+
+    for (const day of [...new Set(candidates)].sort((a, b) => a - b)) {
+      if (day < startDay) continue;
+      if (day > windowEnd || generated >= count || !isBeforeUntil(day)) return { days, truncated: false };
+      generated++;
+      if (day >= windowStart) {
+        if (days.length >= MAX_OCCURRENCES) return { days, truncated: true };
+        days.push(day);
+      }
+    }
+  }
+}
+
+/**
+ * Lee un VCALENDAR y devuelve { events, skipped, warnings }.
+ * events: ocurrencias listas para time_off_events, en la zona del tenant:
+ *   { externalKey, uid, recurrenceKey, summary, description, email,
+ *     startDate, endDate (inclusivo), isAllDay, hoursPerDay }
+ * skipped: VEVENTs cancelados o sin DTSTART válido.
+ * @param {string} text - contenido del .ics
+ * @param {Object} options - { timezone (del tenant, para horas floating), now }
+ */
+function parseCalendar(text, { timezone, now = new Date() } = {}) {
+  const defaultZone = tz.resolveTimezone(timezone);
+  const warnings = new Set();
+
+  // 1) Componentes VEVENT (las propiedades de VALARM / VTIMEZONE anidados no cuentan)
+  const vevents = [];
+  const stack = [];
+  let current = null;
+
+  for (const line of unfoldLines(text)) {
+    if (!line.trim()) continue;
+    const prop = parseProperty(line);
+    if (!prop) continue;
+
+    if (prop.name === 'BEGIN') {
+      stack.push(prop.value.trim().toUpperCase());
+      if (stack[stack.length - 1] === 'VEVENT') current = { exdates: [], rdates: [] };
+      continue;
+    }
+    if (prop.name === 'END') {
+      if (stack.pop() === 'VEVENT' && current) vevents.push(current);
+      if (!stack.includes('VEVENT')) current = null;
+      continue;
+    }
+    if (!current || stack[stack.length - 1] !== 'VEVENT') continue;
+
+    switch (prop.name) {
+      case 'UID':
+        current.uid = prop.value.trim();
+        break;
+      case 'SUMMARY':
+        current.summary = unescapeText(prop.value).trim();
+        break;
+      case 'DESCRIPTION':
+        current.description = unescapeText(prop.value).trim();
+        break;
+      case 'STATUS':
+        current.status = prop.value.trim().toUpperCase();
+        break;
+      case 'DTSTART':
+      case 'DTEND':
+      case 'DURATION':
+      case 'RRULE':
+      case 'RECURRENCE-ID':
+        current[prop.name] = prop;
+        break;
+      case 'EXDATE':
+        current.exdates.push(prop);
+        break;
+      case 'RDATE':
+        current.rdates.push(prop);
+        break;
+      case 'ATTENDEE': {
+        const emailMatch = prop.value.match(/mailto:(.+)/i);
+        if (emailMatch && !current.email) current.email = emailMatch[1].trim();
+        break;
+      }
+    }
+  }
+
+  // 2) Normalización: fechas, duración y clave base (UID, o un fingerprint si no hay UID)
+  const today = tz.getLocalDateString(defaultZone, now).split('-').map(Number);
+  const todayDay = dayNumber(today[0], today[1] - 1, today[2]);
+  const window = { windowStart: todayDay - RECURRENCE_PAST_DAYS, windowEnd: todayDay + RECURRENCE_FUTURE_DAYS };
+
+  const parsed = [];
+  let skipped = 0;
+
+  for (const vevent of vevents) {
+    const start = vevent.DTSTART && parseDateValue(vevent.DTSTART.value, vevent.DTSTART.params, defaultZone, warnings);
+    if (!start) {
+      skipped++;
+      continue;
+    }
+    const end = vevent.DTEND && parseDateValue(vevent.DTEND.value, vevent.DTEND.params, defaultZone, warnings);
+    const duration = !end && vevent.DURATION ? parseDuration(vevent.DURATION.value) : null;
+
+    let lengthDays = 1;
+    let lengthMs = 0;
+    if (start.allDay) {
+      if (end) lengthDays = Math.max(end.day - start.day, 1);
+      else if (duration) lengthDays = Math.max(duration.days + Math.ceil(duration.ms / DAY_MS), 1);
+    } else if (end) {
+      lengthMs = Math.max(instantOf(end) - instantOf(start), 0);
+    } else if (duration) {
+      lengthMs = instantOf({ ...start, day: start.day + duration.days }) - instantOf(start) + duration.ms;
+    }
+
+    const baseKey = vevent.uid
+      ? `ics:${vevent.uid}`
+      : `ics:fp:${crypto.createHash('sha256').update([vevent.summary || '', vevent.DTSTART.value, vevent.DTEND ? vevent.DTEND.value : ''].join('|')).digest('hex')}`;
+    const recurrenceId = vevent['RECURRENCE-ID'] &&
+      parseDateValue(vevent['RECURRENCE-ID'].value, vevent['RECURRENCE-ID'].params, defaultZone, warnings);
+
+    parsed.push({ vevent, start, lengthDays, lengthMs, baseKey, recurrenceKey: recurrenceId ? occurrenceKey(recurrenceId) : null });
+  }
+
+  // Ocurrencias modificadas (RECURRENCE-ID): reemplazan a la generada por la RRULE
+  const overridden = new Set(parsed.filter(item => item.recurrenceKey).map(item => `${item.baseKey}|${item.recurrenceKey}`));
+
+  // 3) Ocurrencias
+  const events = [];
+
+  const addOccurrence = (item, occurrence, recurrenceKey) => {
+    const { vevent } = item;
+    let startDate;
+    let endDate;
+    let hoursPerDay = null;
+
+    if (item.start.allDay) {
+      startDate = dayString(occurrence.day);
+      endDate = dayString(occurrence.day + item.lengthDays - 1);
+    } else {
+      const startMs = instantOf(occurrence);
+      const endMs = startMs + item.lengthMs;
+      startDate = tz.getLocalDateString(defaultZone, new Date(startMs));
+      endDate = tz.getLocalDateString(defaultZone, new Date(Math.max(startMs, endMs - 1000)));
+      if (startDate === endDate && item.lengthMs > 0) hoursPerDay = Math.round(item.lengthMs / 36000) / 100;
+    }
+
+    events.push({
+      externalKey: recurrenceKey ? `${item.baseKey}:${recurrenceKey}` : item.baseKey,
+      uid: vevent.uid || null,
+      recurrenceKey,
+      summary: vevent.summary || null,
+      description: vevent.description || null,
+      email: vevent.email || null,
+      startDate,
+      endDate,
+      isAllDay: item.start.allDay,
+      hoursPerDay
+    });
+  };
+
+  for (const item of parsed) {
+    const { vevent, start } = item;
+    const label = vevent.summary || vevent.uid || 'untitled event';
+
+    if (vevent.status === 'CANCELLED') {
+      skipped++;
+      continue;
+    }
+
+    // Ocurrencia modificada de una serie
+    if (item.recurrenceKey) {
+      addOccurrence(item, start, item.recurrenceKey);
+      continue;
+    }
+
+    if (!vevent.RRULE && vevent.rdates.length === 0) {
+      addOccurrence(item, start, null);
+      continue;
+    }
+
+    let days = [start.day];
+    if (vevent.RRULE) {
+      const rule = parseRule(vevent.RRULE.value);
+      const unsupported = UNSUPPORTED_RULE_PARTS.filter(part => rule[part]);
+
+      if (!SUPPORTED_FREQUENCIES.includes(rule.FREQ) || unsupported.length > 0) {
+        warnings.add(`"${label}": RRULE ${[rule.FREQ, ...unsupported].filter(Boolean).join(', ')} is not supported, only the first occurrence was imported`);
+      } else {
+        let isBeforeUntil = () => true;
+        if (rule.UNTIL) {
+          const until = parseDateValue(rule.UNTIL, {}, defaultZone, warnings);
+          if (until && until.allDay) isBeforeUntil = (day) => day <= until.day;
+          else if (until) isBeforeUntil = (day) => instantOf({ ...start, day }) <= instantOf(until);
+        }
+        const expanded = expandRule(start.day, rule, { ...window, isBeforeUntil });
+        if (expanded.truncated) {
+          warnings.add(`"${label}" has more than ${MAX_OCCURRENCES} occurrences, only the first ${MAX_OCCURRENCES} were imported`);
+        }
+        days = expanded.days;
+      }
+    }
+
+    // RDATE agrega fechas sueltas (misma hora que DTSTART si son DATE)
+    const occurrences = days.map(day => ({ ...start, day }));
+    for (const prop of vevent.rdates) {
+      for (const value of parseDateList(prop, defaultZone, warnings)) {
+        if (value.day >= window.windowStart && value.day <= window.windowEnd) {
+          occurrences.push(value.allDay === start.allDay ? value : { ...start, day: value.day });
+        }
+      }
+    }
+
+    // EXDATE: por instante exacto, o por día si la excepción es DATE
+    const excludedInstants = new Set();
+    const excludedDays = new Set();
+    for (const prop of vevent.exdates) {
+      for (const value of parseDateList(prop, defaultZone, warnings)) {
+        if (value.allDay || start.allDay) excludedDays.add(value.day);
+        else excludedInstants.add(instantOf(value));
+      }
+    }
+
+    const seen = new Set();
+    for (const occurrence of occurrences) {
+      const key = occurrenceKey(occurrence);
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      if (excludedDays.has(occurrence.day) || (!start.allDay && excludedInstants.has(instantOf(occurrence)))) continue;
+      if (overridden.has(`${item.baseKey}|${key}`)) continue;
+      addOccurrence(item, occurrence, key);
+    }
+  }
+
+  events.sort((a, b) => a.startDate.localeCompare(b.startDate) || a.externalKey.localeCompare(b.externalKey));
+  return { events, skipped, warnings: [...warnings] };
+}
+
+module.exports = {
+  FEED_TOKEN_PREFIX,
+  generateFeedToken,
+  hashFeedToken,
+  escapeText,
+  foldLine,
+  buildCalendar,
+  unescapeText,
+  parseCalendar
+};
@@ -0,0 +1,177 @@
+/**
+ * Key Encryption - Envelope encryption de las API keys de Front guardadas en tenants
+ *
+ * Cada valor se cifra con una data key aleatoria (AES-256-GCM) y esa data key se cifra
+ * ("wrap") con una master key del entorno. Rotar la master key solo re-cifra las data keys.
+ *
+ * API_KEY_MASTER_KEYS   = "k2:<base64 32 bytes>,k1:<base64 32 bytes>"  (todas las que se pueden leer)
+ * API_KEY_MASTER_KEY_ID = "k2"  (la que se usa para cifrar; por defecto la primera de la lista)
+ *
+ * Formato guardado: enc:v1:<keyId>:<data key cifrada>:<valor cifrado> (base64 de iv|tag|ciphertext)
+ * Valores sin el prefijo son texto plano anterior a la migración y se devuelven tal cual.
+ */
+
+const crypto = require('crypto');
+require('dotenv').config();
+
+const PREFIX = 'enc:v1:';
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+/**
+ * Error de configuración o de descifrado (master key faltante, valor alterado, etc.)
+ */
+class KeyEncryptionError extends Error {
+  constructor(message, keyId = null) {
+    super(message);
+    this.name = 'KeyEncryptionError';
+    this.keyId = keyId;
+  }
+}
+
+/**
+ * Lee las master keys del entorno: { keys: Map(keyId -> Buffer), currentKeyId }
+ */
+function loadMasterKeys(env = process.env) {
+  const keys = new Map();
+
+  for (const entry of (env.API_KEY_MASTER_KEYS || '').split(',').map(e => e.trim()).filter(Boolean)) {
+    const separator = entry.indexOf(':');
+    const keyId = entry.slice(0, separator);
+    const key = Buffer.from(entry.slice(separator + 1), 'base64');
+
+    if (separator <= 0 || !/^[A-Za-z0-9_-]+$/.test(keyId)) {
+      throw new KeyEncryptionError('API_KEY_MASTER_KEYS entries must look like "<keyId>:<base64 key>"');
+    }
+    if (key.length !== 32) {
+      throw new KeyEncryptionError(`Master key "${keyId}" must be 32 bytes (base64-encoded)`, keyId);
+    }
+    keys.set(keyId, key);
+  }
+
+  const currentKeyId = env.API_KEY_MASTER_KEY_ID || (keys.size > 0 ? keys.keys().next().value : null);
+  if (currentKeyId && !keys.has(currentKeyId)) {
+    throw new KeyEncryptionError(`API_KEY_MASTER_KEY_ID "${currentKeyId}" is not listed in API_KEY_MASTER_KEYS`, currentKeyId);
+  }
+
+  return { keys, currentKeyId };
+}
+
+let masterKeys = null;
+
+function getMasterKeys() {
+  if (!masterKeys) masterKeys = loadMasterKeys();
+  return masterKeys;
+}
+
+function isConfigured() {
+  return !!getMasterKeys().currentKeyId;
+}
+
+function currentKeyId() {
+  return getMasterKeys().currentKeyId;
+}
+
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+}
+
+function open(key, sealed) {
+  const data = Buffer.from(sealed, 'base64');
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, data.subarray(0, IV_BYTES));
+  decipher.setAuthTag(data.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+  return Buffer.concat([decipher.update(data.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+}
+
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+/**
+ * Separa un valor cifrado en { keyId, wrappedKey, payload }
+ */
+function parse(value) {
+  const [keyId, wrappedKey, payload] = value.slice(PREFIX.length).split(':');
+  if (!keyId || !wrappedKey || !payload) {
+    throw new KeyEncryptionError('Malformed encrypted value');
+  }
+  return { keyId, wrappedKey, payload };
+}
+
+function getMasterKey(keyId) {
+  const key = getMasterKeys().keys.get(keyId);
+  if (!key) {
+    throw new KeyEncryptionError(`Master key "${keyId}" is not configured (API_KEY_MASTER_KEYS)`, keyId);
+  }
+  return key;
+}
+
+/**
+ * Cifra un valor con la master key actual. null/'' se guardan tal cual.
+ */
+function encrypt(plaintext) {
+  if (plaintext === null || plaintext === undefined || plaintext === '') return plaintext;
+
+  const keyId = currentKeyId();
+  if (!keyId) {
+    throw new KeyEncryptionError('API_KEY_MASTER_KEYS is not configured; refusing to store a Front API key in plain text');
+  }
+
+  const dataKey = crypto.randomBytes(32);
+  const wrappedKey = seal(getMasterKey(keyId), dataKey);
+  return `${PREFIX}${keyId}:${wrappedKey}:${seal(dataKey, Buffer.from(plaintext, 'utf8'))}`;
+}
+
+/**
+ * Descifra un valor guardado (texto plano legacy se devuelve sin cambios)
+ */
+function decrypt(value) {
+  if (!isEncrypted(value)) return value;
+
+  const { keyId, wrappedKey, payload } = parse(value);
+  try {
+    const dataKey = open(getMasterKey(keyId), wrappedKey);
+    return open(dataKey, payload).toString('utf8');
+  } catch (error) {
+    if (error instanceof KeyEncryptionError) throw error;
+    throw new KeyEncryptionError(`Could not decrypt value with master key "${keyId}"`, keyId);
+  }
+}
+
+/**
+ * Deja un valor cifrado con la master key actual: cifra el texto plano legacy y
+ * re-cifra la data key de los valores de otra master key (el payload no cambia).
+ * Devuelve el mismo valor si no hace falta cambiarlo.
+ */
+function rewrap(value) {
+  if (value === null || value === undefined || value === '') return value;
+  if (!isEncrypted(value)) return encrypt(value);
+
+  const { keyId, wrappedKey, payload } = parse(value);
+  const targetKeyId = currentKeyId();
+  if (keyId === targetKeyId) return value;
+
+  let dataKey;
+  try {
+    dataKey = open(getMasterKey(keyId), wrappedKey);
+  } catch (error) {
+    if (error instanceof KeyEncryptionError) throw error;
+    throw new KeyEncryptionError(`Could not unwrap data key with master key "${keyId}"`, keyId);
+  }
+  return `${PREFIX}${targetKeyId}:${seal(getMasterKey(targetKeyId), dataKey)}:${payload}`;
+}
+
+module.exports = {
+  KeyEncryptionError,
+  loadMasterKeys,
+  isConfigured,
+  currentKeyId,
+  isEncrypted,
+  encrypt,
+  decrypt,
+  rewrap
+};
@@ -0,0 +1,208 @@
+/**
+ * Metric Store - Almacenamiento del cache de analytics en PostgreSQL (metric_snapshots)
+ *
+ * Interfaz compartida por el scheduler (escribe) y el servidor (lee).
+ * Un "snapshot" es el resultado de un inbox (o de los usuarios individuales) para un rango,
+ * con el mismo formato que devolvía el cache en JSON: { department, range, apiResponses, ... }.
+ * Se guarda una fila por teammate, identificada por tenant, inbox id, rango y teammate.
+ * Además cada período calculado queda en metric_history para ver tendencias.
+ */
+
+const db = require('./db');
+const frontMetrics = require('./front-metrics');
+
+// Nombre usado para los usuarios individuales (inbox_id NULL)
+const INDIVIDUALS = 'individuals';
+
+const RANGE_LABELS = {
+  lastWeek: 'Last Week',
+  lastMonth: 'Last Month',
+  lastQuarter: 'Last Quarter'
+};
+
+/**
+ * Lee el snapshot de un inbox (inboxId null = individuales) para un rango.
+ * Devuelve null si no hay datos.
+ */
+async function readSnapshot(tenantId, inboxId, rangeName, departmentName) {
+  const rows = await db.getMetricSnapshots(tenantId, inboxId, rangeName);
+  if (rows.length === 0) return null;
+
+  const generatedAt = rows.reduce((latest, row) => (row.generated_at > latest ? row.generated_at : latest), rows[0].generated_at);
+
+  return {
+    department: departmentName || (inboxId === null ? INDIVIDUALS : rows[0].record.inbox),
+    inboxId,
+    range: rangeName,
+    rangeLabel: RANGE_LABELS[rangeName] || rangeName,
+    timestampStart: Number(rows[0].timestamp_start),
+    timestampEnd: Number(rows[0].timestamp_end),
+    generatedAt: new Date(generatedAt).toISOString(),
+    totalRecords: rows.length,
+    metrics: rows[0].metrics,
+    apiResponses: rows.map(row => ({
+      recordIndex: row.record_index,
+      record: row.record,
+      ...(row.api_data ? { apiData: row.api_data } : {}),
+      ...(row.error ? { error: row.error } : {})
+    }))
+  };
+}
+
+/**
+ * Guarda (reemplaza) el snapshot de un inbox para un rango.
+ * `data` tiene el formato que producen precalculateDepartment / precalculateIndividuals.
+ */
+async function saveSnapshot(tenantId, inboxId, rangeName, data) {
+  const rows = data.apiResponses.map(response => ({
+    teammateId: response.record.id,
+    recordIndex: response.recordIndex,
+    record: response.record,
+    apiData: response.apiData || null,
+    error: response.error || null,
+    metrics: data.metrics,
+    timestampStart: data.timestampStart,
+    timestampEnd: data.timestampEnd,
+    generatedAt: data.generatedAt
+  }));
+
+  await db.replaceMetricSnapshots(tenantId, inboxId, rangeName, rows);
+
+  // Historial: solo los teammates con datos; el snapshot actual se reemplaza, el historial no
+  const historyRows = data.apiResponses
+    .filter(response => response.apiData && response.apiData.metrics)
+    .map(response => ({
+      teammateId: response.record.id,
+      record: response.record,
+      values: extractMetricValues(response.apiData),
+      periodStart: data.timestampStart,
+      periodEnd: data.timestampEnd,
+      generatedAt: data.generatedAt
+    }));
+
+  if (historyRows.length > 0) {
+    await db.upsertMetricHistory(tenantId, inboxId, rangeName, historyRows);
+  }
+}
+
+/**
+ * { metricId: value } a partir de la respuesta de Front
+ */
+function extractMetricValues(apiData) {
+  const values = {};
+  for (const metric of apiData.metrics) {
+    values[metric.id] = metric.value !== undefined ? metric.value : null;
+  }
+  return values;
+}
+
+async function deleteSnapshot(tenantId, inboxId, rangeName) {
+  return db.deleteMetricSnapshots(tenantId, inboxId, rangeName);
+}
+
+/**
+ * Lista los snapshots de un tenant (para el panel de cache)
+ */
+async function listSnapshots(tenantId) {
+  const summaries = await db.getMetricSnapshotSummaries(tenantId);
+  return summaries.map(s => ({
+    inboxId: s.inbox_id,
+    department: s.inbox_id === null ? INDIVIDUALS : s.inbox_name,
+    range: s.range_name,
+    rangeLabel: RANGE_LABELS[s.range_name] || s.range_name,
+    generatedAt: new Date(s.generated_at).toISOString(),
+    totalRecords: s.total_records,
+    errorCount: s.error_count
+  }));
+}
+
+/**
+ * Serie temporal de una métrica: un punto por período, por teammate y para todo el inbox
+ * (el valor del inbox se agrega igual que las tarjetas del dashboard).
+ */
+async function getTrends(tenantId, inboxId, rangeName, metricId, periods) {
+  const def = frontMetrics.getMetricDefinitions([metricId])[0];
+  const rows = await db.getMetricHistory(tenantId, inboxId, rangeName, periods);
+
+  const periodMap = new Map();
+  const teammateMap = new Map();
+
+  for (const row of rows) {
+    const periodStart = Number(row.period_start);
+    const value = row.metric_values[metricId] !== undefined ? row.metric_values[metricId] : null;
+
+    if (!periodMap.has(periodStart)) {
+      periodMap.set(periodStart, { periodStart, periodEnd: Number(row.period_end), values: [] });
+    }
+    periodMap.get(periodStart).values.push(value);
+
+    if (!teammateMap.has(row.teammate_id)) {
+      teammateMap.set(row.teammate_id, {
+        id: row.teammate_id,
+        name: row.record.name,
+        email: row.record.email,
+        points: []
+      });
+    }
+    teammateMap.get(row.teammate_id).points.push({ periodStart, periodEnd: Number(row.period_end), value });
+  }
+
+  const series = [...periodMap.values()];
+
+  return {
+    metric: def,
+    range: rangeName,
+    rangeLabel: RANGE_LABELS[rangeName] || rangeName,
+    periods: series.map(p => ({ periodStart: p.periodStart, periodEnd: p.periodEnd })),
+    inbox: series.map(p => ({
+      periodStart: p.periodStart,
+      periodEnd: p.periodEnd,
+      value: frontMetrics.aggregateMetric(def, p.values),
+      teammates: p.values.length
+    })),
+    teammates: [...teammateMap.values()]
+  };
+}
+
+/**
+ * Totales del período anterior a `periodStart` ({ metricId: valor agregado }), o null si
+ * todavía no hay historial. Se usa para el "vs previous period" de las tarjetas.
+ */
+async function getPreviousPeriodTotals(tenantId, inboxId, rangeName, periodStart, metricIds) {
+  const rows = await db.getPreviousMetricPeriod(tenantId, inboxId, rangeName, periodStart);
+  if (rows.length === 0) return null;
+
+  const totals = {};
+  for (const def of frontMetrics.getMetricDefinitions(metricIds)) {
+    totals[def.id] = frontMetrics.aggregateMetric(def, rows.map(row => (
+      row.metric_values[def.id] !== undefined ? row.metric_values[def.id] : null
+    )));
+  }
+
+  return {
+    timestampStart: Number(rows[0].period_start),
+    timestampEnd: Number(rows[0].period_end),
+    totals
+  };
+}
+
+/**
+ * Resuelve el nombre de departamento que usa el dashboard al inbox id
+ * ('individuals' -> null). Devuelve undefined si el inbox no existe.
+ */
+async function resolveDepartment(tenantId, departmentName) {
+  if (departmentName === INDIVIDUALS) return null;
+  const inbox = await db.getInboxByName(departmentName, tenantId);
+  return inbox ? inbox.id : undefined;
+}
+
+module.exports = {
+  INDIVIDUALS,
+  readSnapshot,
+  saveSnapshot,
+  deleteSnapshot,
+  listSnapshots,
+  getTrends,
+  getPreviousPeriodTotals,
+  resolveDepartment
+};
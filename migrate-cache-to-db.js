@@ -0,0 +1,111 @@
+/**
+ * Script de migración - Cache JSON a PostgreSQL
+ * Importa los archivos del directorio de cache ({tenant-slug}_{department}_{range}.json)
+ * a la tabla metric_snapshots. Se ejecuta una sola vez; los archivos no se borran.
+ *
+ * Usage: node migrate-cache-to-db.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+const db = require('./db');
+const metricStore = require('./metric-store');
+const frontMetrics = require('./front-metrics');
+
+const CACHE_DIR = process.env.CACHE_DIR || path.join(__dirname, 'cache');
+const VALID_RANGES = ['lastWeek', 'lastMonth', 'lastQuarter'];
+
+async function migrate() {
+  console.log('========================================');
+  console.log('Importing cache files into PostgreSQL');
+  console.log(`Cache directory: ${CACHE_DIR}`);
+  console.log('========================================\n');
+
+  try {
+    await db.initializeDatabase();
+
+    if (!fs.existsSync(CACHE_DIR)) {
+      console.log('Cache directory not found, nothing to import.');
+      return;
+    }
+
+    const files = fs.readdirSync(CACHE_DIR).filter(f => f.endsWith('.json'));
+    console.log(`Found ${files.length} cache file(s)\n`);
+
+    // Longest slug first so "acme-east" wins over "acme"
+    const tenants = (await db.getAllTenants()).sort((a, b) => b.slug.length - a.slug.length);
+    const inboxesByTenant = new Map();
+
+    let imported = 0;
+    const skipped = [];
+
+    for (const filename of files) {
+      const tenant = tenants.find(t => filename.startsWith(`${t.slug}_`));
+      if (!tenant) {
+        skipped.push({ filename, reason: 'no tenant matches the file prefix' });
+        continue;
+      }
+
+      let data;
+      try {
+        data = JSON.parse(fs.readFileSync(path.join(CACHE_DIR, filename), 'utf8'));
+      } catch (error) {
+        skipped.push({ filename, reason: `invalid JSON (${error.message})` });
+        continue;
+      }
+
+      if (!VALID_RANGES.includes(data.range) || !Array.isArray(data.apiResponses)) {
+        skipped.push({ filename, reason: 'missing range or apiResponses' });
+        continue;
+      }
+
+      let inboxId = null;
+      if (data.department !== metricStore.INDIVIDUALS) {
+        if (!inboxesByTenant.has(tenant.id)) {
+          inboxesByTenant.set(tenant.id, await db.getAllInboxes(tenant.id));
+        }
+        const inbox = inboxesByTenant.get(tenant.id).find(i => i.name === data.department);
+        if (!inbox) {
+          skipped.push({ filename, reason: `inbox "${data.department}" not found for tenant ${tenant.slug}` });
+          continue;
+        }
+        inboxId = inbox.id;
+      }
+
+      const responses = data.apiResponses.filter(r => r.record && r.record.id);
+      if (responses.length === 0) {
+        skipped.push({ filename, reason: 'no records with a teammate id' });
+        continue;
+      }
+
+      // Caches anteriores a las métricas configurables no tienen campo metrics
+      await metricStore.saveSnapshot(tenant.id, inboxId, data.range, {
+        ...data,
+        metrics: data.metrics || frontMetrics.DEFAULT_METRICS,
+        apiResponses: responses
+      });
+      imported++;
+      console.log(`   ✅ ${filename} -> ${tenant.slug} / ${data.department} / ${data.range} (${responses.length} records)`);
+    }
+
+    console.log(`\nImported ${imported} of ${files.length} file(s)`);
+    if (skipped.length > 0) {
+      console.log(`Skipped ${skipped.length} file(s):`);
+      skipped.forEach(s => console.log(`   ⚠️  ${s.filename}: ${s.reason}`));
+    }
+
+    console.log('\n========================================');
+    console.log('Import completed!');
+    console.log('========================================\n');
+
+  } catch (error) {
+    console.error('Import failed:', error);
+    process.exit(1);
+  } finally {
+    await db.pool.end();
+  }
+}
+
+migrate();
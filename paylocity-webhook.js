@@ -0,0 +1,165 @@
+/**
+ * Paylocity Webhook - Autenticación de los webhooks de time off por tenant
+ *
+ * Cada tenant tiene su propio secreto (cifrado como las API keys, ver key-encryption.js)
+ * y elige cómo lo manda Paylocity:
+ *
+ * - hmac:   X-Paylocity-Timestamp: <unix segundos>
+ *           X-Paylocity-Signature: sha256=<hex HMAC-SHA256(secreto, "<timestamp>.<raw body>")>
+ *           El timestamp tiene que estar dentro de la tolerancia y cada firma se acepta una sola vez.
+ * - header: X-Webhook-Secret: <secreto>  (para integraciones que no pueden firmar)
+ *           Si viene X-Paylocity-Timestamp también se controla, pero no está firmado: este modo
+ *           no protege contra replays, solo contra llamadas de quien no conoce el secreto.
+ *
+ * Al rotar el secreto el anterior sigue valiendo PREVIOUS_SECRET_GRACE_HOURS horas,
+ * para poder actualizar la configuración en Paylocity sin perder entregas.
+ *
+ * Los eventos se identifican por una clave externa (getExternalKey) para que un reenvío,
+ * una modificación o una cancelación actualicen el mismo time_off_event en vez de duplicarlo.
+ */
+
+const crypto = require('crypto');
+require('dotenv').config();
+
+const AUTH_MODES = ['hmac', 'header'];
+
+const SIGNATURE_HEADER = 'X-Paylocity-Signature';
+const TIMESTAMP_HEADER = 'X-Paylocity-Timestamp';
+const SECRET_HEADER = 'X-Webhook-Secret';
+
+// Diferencia máxima (segundos) entre el timestamp del request y el reloj del servidor
+const TIMESTAMP_TOLERANCE_SECONDS = parseInt(process.env.PAYLOCITY_WEBHOOK_TOLERANCE_SECONDS || '300', 10);
+
+const PREVIOUS_SECRET_GRACE_HOURS = 24;
+
+// eventType / requestStatus que significan que la ausencia ya no va (se cancela el evento)
+const CANCEL_PATTERN = /cancel|denied|deleted|withdrawn|rejected/i;
+
+/**
+ * Request rechazado (sin credenciales, firma inválida, timestamp fuera de rango, replay)
+ */
+class WebhookAuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'WebhookAuthError';
+    this.status = status;
+  }
+}
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+function sign(secret, timestamp, rawBody) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function checkTimestamp(timestamp, now) {
+  if (!/^\d+$/.test(timestamp)) {
+    throw new WebhookAuthError(`Invalid ${TIMESTAMP_HEADER} header`);
+  }
+  if (Math.abs(Math.floor(now.getTime() / 1000) - parseInt(timestamp, 10)) > TIMESTAMP_TOLERANCE_SECONDS) {
+    throw new WebhookAuthError(`${TIMESTAMP_HEADER} is outside the allowed window of ${TIMESTAMP_TOLERANCE_SECONDS}s`);
+  }
+}
+
+/**
+ * Verifica un request contra la configuración del tenant.
+ * @param {Object} config - { authMode, secrets: [secreto actual, anterior en período de gracia...] }
+ * @param {Function} getHeader - (nombre) => valor, p.ej. req.get.bind(req)
+ * @param {string} rawBody - body tal cual llegó (la firma se calcula sobre los bytes originales)
+ * @returns {{ signature: string|null }} firma aceptada (para detectar replays) o null en modo header
+ * @throws {WebhookAuthError}
+ */
+function verifyRequest(config, getHeader, rawBody, now = new Date()) {
+  if (!config.secrets.length) {
+    throw new WebhookAuthError('Webhook secret not configured for this tenant', 403);
+  }
+
+  const timestamp = getHeader(TIMESTAMP_HEADER);
+
+  if (config.authMode === 'header') {
+    const provided = getHeader(SECRET_HEADER);
+    if (!provided) throw new WebhookAuthError(`Missing ${SECRET_HEADER} header`);
+    if (!config.secrets.some(secret => safeEqual(secret, provided))) {
+      throw new WebhookAuthError('Invalid webhook secret');
+    }
+    if (timestamp) checkTimestamp(timestamp, now);
+    return { signature: null };
+  }
+
+  const header = getHeader(SIGNATURE_HEADER);
+  if (!header || !timestamp) {
+    throw new WebhookAuthError(`Missing ${SIGNATURE_HEADER} or ${TIMESTAMP_HEADER} header`);
+  }
+  checkTimestamp(timestamp, now);
+
+  const signature = header.replace(/^sha256=/i, '').toLowerCase();
+  if (!config.secrets.some(secret => safeEqual(sign(secret, timestamp, rawBody), signature))) {
+    throw new WebhookAuthError('Invalid signature');
+  }
+  return { signature };
+}
+
+/**
+ * Headers que se guardan en el log de entregas (nunca el secreto)
+ */
+function loggedHeaders(getHeader) {
+  const headers = {};
+  for (const name of ['Content-Type', 'User-Agent', SIGNATURE_HEADER, TIMESTAMP_HEADER]) {
+    const value = getHeader(name);
+    if (value) headers[name] = value;
+  }
+  if (getHeader(SECRET_HEADER)) headers[SECRET_HEADER] = '[redacted]';
+  return headers;
+}
+
+/**
+ * Clave externa del evento: companyId:employeeId:timeOffRequestId cuando Paylocity manda el id
+ * del request. Si no, un fingerprint de empleado + fechas: deduplica reenvíos y permite cancelar,
+ * pero un cambio de fechas sin id de request crea un evento nuevo.
+ * Una cancelación cuya clave no coincide con ningún evento (aprobación con id de request,
+ * cancelación sin él) se resuelve en server.js buscando por empleado y fechas.
+ */
+function getExternalKey(payload) {
+  const requestId = payload.timeOffRequestId || payload.requestId;
+  if (payload.companyId && payload.employeeId && requestId) {
+    return `${payload.companyId}:${payload.employeeId}:${requestId}`;
+  }
+
+  const employee = payload.employeeId || String(payload.employeeName || '').trim().toLowerCase();
+  const fingerprint = crypto.createHash('sha256')
+    .update([payload.companyId || '', employee, payload.timeOffStartDate, payload.timeOffEndDate].join('|'))
+    .digest('hex');
+  return `fp:${fingerprint}`;
+}
+
+/**
+ * 'cancel' o 'upsert' (aprobación, reenvío o modificación) según eventType / requestStatus
+ */
+function getPayloadAction(payload) {
+  const type = payload.eventType || payload.requestStatus || payload.status || '';
+  return CANCEL_PATTERN.test(String(type)) ? 'cancel' : 'upsert';
+}
+
+module.exports = {
+  AUTH_MODES,
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  SECRET_HEADER,
+  TIMESTAMP_TOLERANCE_SECONDS,
+  PREVIOUS_SECRET_GRACE_HOURS,
+  WebhookAuthError,
+  generateSecret,
+  sign,
+  verifyRequest,
+  loggedHeaders,
+  getExternalKey,
+  getPayloadAction
+};
@@ -8,6 +8,9 @@ document.addEventListener("DOMContentLoaded", () => {
     'Last Quarter': 'lastQuarter'
   };
 
+  // Intervalo de consulta del estado de un reporte en curso
+  const REPORT_POLL_INTERVAL_MS = 2000;
+
   // Variable para trackear el rango seleccionado
   let selectedRangeLabel = null;
 
@@ -25,15 +28,28 @@ document.addEventListener("DOMContentLoaded", () => {
     'default': 'fas fa-inbox'
   };
 
+  // Metric definitions for the tenant (loaded from /api/analytics/metrics)
+  let metricDefs = [];
+  // Metrics shown in the current table (ids, in report order)
+  let activeMetricIds = [];
+
+  // Optional column: messages sent per working day present (time off excluded)
+  let showSentPerDayPresent = false;
+  // Last renderEmployeeTable arguments, to re-render when the column is toggled
+  let lastTableArgs = null;
+
   // Departments will be loaded from database
   let departments = [];
   const employees = [];
 
+  // Tenant timezone (IANA): date ranges are computed in the tenant's zone, not the browser's
+  let tenantTimezone = 'America/New_York';
+
   // Global state
   let selectedDepartmentId = null;
   let selectedDepartmentName = null;
-  let currentStartDate = moment();
-  let currentEndDate = moment();
+  let currentStartDate = moment.tz(tenantTimezone);
+  let currentEndDate = moment.tz(tenantTimezone);
   let isIndividualMode = false;
   let totalStats = { received: 0, sent: 0, avgTime: 0 };
 
@@ -130,8 +146,80 @@ document.addEventListener("DOMContentLoaded", () => {
     }
   }
 
+  // Load the tenant's timezone and rebuild the date picker ranges with it
+  async function loadTenantSettings() {
+    try {
+      const response = await fetch(`/api/tenant-settings${tenantParam()}`);
+      if (!response.ok) throw new Error('Failed to load tenant settings');
+      const settings = await response.json();
+      tenantTimezone = settings.timezone || 'America/New_York';
+    } catch (error) {
+      console.error('Error loading tenant settings:', error);
+      tenantTimezone = 'America/New_York';
+    }
+    currentStartDate = moment.tz(tenantTimezone);
+    currentEndDate = moment.tz(tenantTimezone);
+    selectedRangeLabel = null;
+    initializeDatePicker();
+  }
+
+  // Load the tenant's analytics metric definitions
+  async function loadMetricDefinitions() {
+    try {
+      const response = await fetch(`/api/analytics/metrics${tenantParam()}`);
+      if (!response.ok) throw new Error('Failed to load metrics');
+      metricDefs = await response.json();
+    } catch (error) {
+      console.error('Error loading metric definitions:', error);
+      metricDefs = [];
+    }
+    activeMetricIds = metricDefs.map(m => m.id);
+  }
+
+  // Definition for a metric id (falls back to a generic one for ids not in the tenant's set)
+  function getMetricDef(id) {
+    return metricDefs.find(m => m.id === id) || {
+      id,
+      label: id.replace(/_/g, ' ').replace(/^num /, '# ').replace(/^avg /, 'Avg '),
+      format: id.startsWith('avg_') ? 'duration' : 'count',
+      aggregate: id.startsWith('avg_') ? 'avg' : 'sum',
+      icon: 'fas fa-chart-bar'
+    };
+  }
+
+  // Use the metric list a report was generated with (older caches have none)
+  function setActiveMetrics(metricIds) {
+    if (Array.isArray(metricIds) && metricIds.length > 0) {
+      activeMetricIds = metricIds;
+    } else {
+      activeMetricIds = metricDefs.map(m => m.id);
+    }
+  }
+
+  function getMetricValue(result, metricId) {
+    const metric = result.apiData.metrics.find(m => m.id === metricId);
+    return metric && metric.value !== null && metric.value !== undefined ? metric.value : null;
+  }
+
+  function formatDuration(seconds) {
+    const totalSeconds = Math.round(seconds);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    return `${hours}h ${minutes}m`;
+  }
+
+  function formatMetricValue(def, value) {
+    if (value === null) return '-';
+    if (def.format === 'duration') return formatDuration(value);
+    if (def.format === 'score') return Number(value).toFixed(2);
+    return Number(value).toLocaleString();
+  }
+
   // Load departments from database
   async function loadDepartments() {
+    await loadTenantSettings();
+    await loadMetricDefinitions();
+
     try {
       const response = await fetch(`/api/inboxes${tenantParam()}`);
       if (!response.ok) throw new Error('Failed to load inboxes');
@@ -233,6 +321,20 @@ document.addEventListener("DOMContentLoaded", () => {
     container.innerHTML = loadingHTML;
   }
 
+  // Update the loading text with report job progress
+  function updateLoadingProgress(job) {
+    const loadingText = document.querySelector('#employee-content .loading-text');
+    if (!loadingText) return;
+
+    if (job.status === 'queued') {
+      loadingText.textContent = 'Report queued, waiting to start...';
+      return;
+    }
+    const errorCount = job.errors ? job.errors.length : 0;
+    loadingText.textContent = `Fetching analytics data... ${job.processedRecords}/${job.totalRecords} teammates` +
+      (errorCount > 0 ? ` (${errorCount} error${errorCount === 1 ? '' : 's'})` : '');
+  }
+
   function updatePageTitle(departmentName, isIndividual = false) {
     const titleElement = document.getElementById('inbox-title');
     const iconElement = document.querySelector('.page-title-icon i');
@@ -317,7 +419,28 @@ document.addEventListener("DOMContentLoaded", () => {
     });
   }
 
-  function renderStatsCards(data) {
+  /**
+   * Delta "vs previous period" de una tarjeta (solo con datos cacheados que tienen historial).
+   * En métricas de tiempo bajar es mejorar.
+   */
+  function renderStatDelta(def, value, previousValue) {
+    if (previousValue === null || previousValue === undefined || previousValue === 0) return '';
+
+    const change = ((value - previousValue) / previousValue) * 100;
+    const rounded = Math.round(change * 10) / 10;
+    if (rounded === 0) {
+      return '<div class="stat-delta neutral">No change vs previous period</div>';
+    }
+
+    const improved = def.format === 'duration' ? rounded < 0 : rounded > 0;
+    return `
+        <div class="stat-delta ${improved ? 'positive' : 'negative'}" title="Previous period: ${formatMetricValue(def, previousValue)}">
+          <i class="fas fa-arrow-${rounded > 0 ? 'up' : 'down'}"></i>
+          ${Math.abs(rounded)}% vs previous period
+        </div>`;
+  }
+
+  function renderStatsCards(data, previousPeriod = null) {
     const statsContainer = document.getElementById('stats-container');
 
     if (!data || data.length === 0) {
@@ -325,57 +448,45 @@ document.addEventListener("DOMContentLoaded", () => {
       return;
     }
 
-    let totalReceived = 0;
-    let totalSent = 0;
-    let totalTime = 0;
-    let validTimeCount = 0;
-
-    data.forEach(result => {
-      if (result.apiData && result.apiData.metrics) {
-        totalReceived += result.apiData.metrics[0].value || 0;
-        totalSent += result.apiData.metrics[1].value || 0;
-        const time = result.apiData.metrics[2].value || 0;
-        if (time > 0) {
-          totalTime += time;
-          validTimeCount++;
-        }
-      }
-    });
+    const validResults = data.filter(result => result.apiData && result.apiData.metrics);
 
-    const avgTime = validTimeCount > 0 ? totalTime / validTimeCount : 0;
-    const avgHours = Math.floor(avgTime / 3600);
-    const avgMinutes = Math.floor((avgTime % 3600) / 60);
+    statsContainer.innerHTML = activeMetricIds.map(metricId => {
+      const def = getMetricDef(metricId);
+      let total = 0;
+      let count = 0;
 
-    statsContainer.innerHTML = `
-      <div class="stat-card">
-        <div class="stat-icon">
-          <i class="fas fa-envelope-open"></i>
-        </div>
-        <div class="stat-value">${totalReceived.toLocaleString()}</div>
-        <div class="stat-label">Messages Received</div>
-      </div>
-      <div class="stat-card">
-        <div class="stat-icon">
-          <i class="fas fa-paper-plane"></i>
-        </div>
-        <div class="stat-value">${totalSent.toLocaleString()}</div>
-        <div class="stat-label">Messages Sent</div>
-      </div>
+      validResults.forEach(result => {
+        const value = getMetricValue(result, metricId);
+        // Averages skip teammates without activity (value 0 / null)
+        if (value === null || (def.aggregate === 'avg' && value <= 0)) return;
+        total += value;
+        count++;
+      });
+
+      const value = def.aggregate === 'avg' ? (count > 0 ? total / count : 0) : total;
+
+      return `
       <div class="stat-card">
         <div class="stat-icon">
-          <i class="fas fa-clock"></i>
+          <i class="${def.icon}"></i>
         </div>
-        <div class="stat-value">${avgHours}h ${avgMinutes}m</div>
-        <div class="stat-label">Avg Response Time</div>
+        <div class="stat-value">${formatMetricValue(def, value)}</div>
+        <div class="stat-label">${def.label}</div>
+        ${previousPeriod ? renderStatDelta(def, value, previousPeriod.totals[metricId]) : ''}
       </div>
     `;
+    }).join('');
   }
 
-  function renderEmployeeTable(departmentId = null, selectedDepartmentName, apiResponses = null, isIndividual = null) {
+  function renderEmployeeTable(departmentId = null, selectedDepartmentName, apiResponses = null, isIndividual = null, previousPeriod = null) {
+    lastTableArgs = [departmentId, selectedDepartmentName, apiResponses, isIndividual, previousPeriod];
     const contentContainer = document.getElementById("employee-content");
     const departmentEmployees = employees.filter((emp) => emp.departmentId === departmentId);
     const department = departments.find((dept) => dept.id === departmentId);
     let departmentName = department ? department.name : 'Unknown';
+    // Reports joined with time off carry result.timeOff (days out, per-day-present metric)
+    const hasTimeOff = Boolean(apiResponses && apiResponses.some(result => result.timeOff));
+    const showPerDayColumn = hasTimeOff && showSentPerDayPresent;
 
     if (isIndividual) {
       departmentName = 'Individual';
@@ -384,7 +495,7 @@ document.addEventListener("DOMContentLoaded", () => {
 
     // Render stats if we have data
     if (apiResponses && apiResponses.length > 0) {
-      renderStatsCards(apiResponses);
+      renderStatsCards(apiResponses, previousPeriod);
     } else {
       document.getElementById('stats-container').innerHTML = '';
     }
@@ -397,6 +508,11 @@ document.addEventListener("DOMContentLoaded", () => {
             Employee Metrics
           </h3>
           ${apiResponses ? `<span class="table-badge">${apiResponses.length} Records</span>` : ''}
+          ${hasTimeOff ? `
+            <label class="per-day-toggle" title="Messages sent divided by the working days each teammate was not on time off">
+              <input type="checkbox" id="toggle-per-day-present" ${showSentPerDayPresent ? 'checked' : ''}>
+              Sent / day present
+            </label>` : ''}
         </div>
         <div class="table-wrapper">
           <table id="miTabla" class="display">
@@ -404,9 +520,8 @@ document.addEventListener("DOMContentLoaded", () => {
               <tr>
                 <th>Name</th>
                 <th>Email</th>
-                <th class="text-center">Messages Received</th>
-                <th class="text-center">Messages Sent</th>
-                <th class="text-center">Avg Reply Time</th>
+                ${activeMetricIds.map(id => `<th class="text-center">${getMetricDef(id).label}</th>`).join('')}
+                ${showPerDayColumn ? '<th class="text-center">Sent / Day Present</th>' : ''}
               </tr>
             </thead>
             <tbody>
@@ -427,19 +542,27 @@ document.addEventListener("DOMContentLoaded", () => {
     if (apiResponses) {
       apiResponses.forEach((result) => {
         if (result.apiData && result.apiData.metrics) {
-          const totalSeconds = Math.round(result.apiData.metrics[2].value);
-          const hours = Math.floor(totalSeconds / 3600);
-          const minutes = Math.floor((totalSeconds % 3600) / 60);
-          const formattedTime = `${hours}h ${minutes}m`;
-          const timeClass = totalSeconds > 7200 ? 'text-danger' : 'text-success';
+          const metricCells = activeMetricIds.map(metricId => {
+            const def = getMetricDef(metricId);
+            const value = getMetricValue(result, metricId);
+            if (def.format === 'duration' && value !== null) {
+              const timeClass = value > 7200 ? 'text-danger' : 'text-success';
+              return `<td class="text-center" data-order="${value}"><span class="${timeClass}">${formatMetricValue(def, value)}</span></td>`;
+            }
+            return `<td class="text-center" data-order="${value !== null ? value : -1}"><span class="metric-value">${formatMetricValue(def, value)}</span></td>`;
+          }).join('');
+
+          const perDay = result.timeOff ? result.timeOff.messagesSentPerDayPresent : null;
+          const perDayCell = showPerDayColumn
+            ? `<td class="text-center" data-order="${perDay !== null ? perDay : -1}"><span class="metric-value">${perDay !== null ? Number(perDay).toFixed(2) : '-'}</span></td>`
+            : '';
 
           html += `
             <tr>
-              <td class="fw-medium">${result.record.name}</td>
+              <td class="fw-medium">${result.record.name}${renderTimeOffBadge(result.timeOff)}</td>
               <td><a href="mailto:${result.record.email || ''}">${result.record.email || '-'}</a></td>
-              <td class="text-center"><span class="metric-value">${result.apiData.metrics[0].value}</span></td>
-              <td class="text-center"><span class="metric-value">${result.apiData.metrics[1].value}</span></td>
-              <td class="text-center"><span class="${timeClass}">${formattedTime}</span></td>
+              ${metricCells}
+              ${perDayCell}
             </tr>
           `;
         }
@@ -477,6 +600,14 @@ document.addEventListener("DOMContentLoaded", () => {
 
     contentContainer.innerHTML = html;
 
+    const perDayToggle = document.getElementById('toggle-per-day-present');
+    if (perDayToggle) {
+      perDayToggle.addEventListener('change', () => {
+        showSentPerDayPresent = perDayToggle.checked;
+        renderEmployeeTable(...lastTableArgs);
+      });
+    }
+
     // Show empty state if no data
     if (!apiResponses && departmentEmployees.length === 0) {
       contentContainer.innerHTML = `
@@ -493,7 +624,21 @@ document.addEventListener("DOMContentLoaded", () => {
     }
   }
 
+  // "out N days" next to the name when the teammate had approved time off in the period
+  function renderTimeOffBadge(timeOff) {
+    if (!timeOff || !timeOff.daysOut) return '';
+    const days = Number(timeOff.daysOut);
+    const label = `out ${days} ${days === 1 ? 'day' : 'days'}`;
+    return ` <span class="time-off-badge" title="Time off: ${days} of ${timeOff.workingDays} working days (${timeOff.hoursOut}h)"><i class="fas fa-umbrella-beach"></i> ${label}</span>`;
+  }
+
   function initializeDatePicker() {
+    // Re-initialized when the tenant (and its timezone) changes
+    const existingPicker = $('#daterange').data('daterangepicker');
+    if (existingPicker) existingPicker.remove();
+
+    const today = () => moment.tz(tenantTimezone);
+
     $('#daterange').daterangepicker({
       opens: 'right',
       autoUpdateInput: true,
@@ -507,14 +652,14 @@ document.addEventListener("DOMContentLoaded", () => {
       startDate: currentStartDate,
       endDate: currentEndDate,
       ranges: {
-        'Last Week': [moment().subtract(1, 'week').startOf('week'), moment().subtract(1, 'week').endOf('week')],
+        'Last Week': [today().subtract(1, 'week').startOf('week'), today().subtract(1, 'week').endOf('week')],
         'Last Month': [
-          moment().subtract(1, 'month').startOf('month'),
-          moment().subtract(1, 'month').endOf('month')
+          today().subtract(1, 'month').startOf('month'),
+          today().subtract(1, 'month').endOf('month')
         ],
         'Last Quarter': [
-          moment().subtract(1, 'quarter').startOf('quarter'),
-          moment().subtract(1, 'quarter').endOf('quarter')
+          today().subtract(1, 'quarter').startOf('quarter'),
+          today().subtract(1, 'quarter').endOf('quarter')
         ]
       }
     }, function (start, end, label) {
@@ -556,6 +701,16 @@ document.addEventListener("DOMContentLoaded", () => {
     }
   }
 
+  /**
+   * Selected dates as whole days in the tenant's timezone (same bounds as the cache scheduler)
+   */
+  function getSelectedRangeTimestamps() {
+    return {
+      startTimestampSeconds: moment.tz(currentStartDate.format('YYYY-MM-DD'), tenantTimezone).startOf('day').unix(),
+      endTimestampSeconds: moment.tz(currentEndDate.format('YYYY-MM-DD'), tenantTimezone).endOf('day').unix()
+    };
+  }
+
   async function actualizarDatos() {
     // Primero intentar obtener datos del cache si es un rango predefinido
     if (selectedRangeLabel && CACHE_RANGE_MAP[selectedRangeLabel]) {
@@ -563,22 +718,26 @@ document.addEventListener("DOMContentLoaded", () => {
       const cachedData = await tryGetCachedData(selectedDepartmentName, selectedRangeLabel);
 
       if (cachedData && cachedData.apiResponses) {
+        setActiveMetrics(cachedData.metrics);
         showCacheIndicator(cachedData.cacheAge);
-        renderEmployeeTable(selectedDepartmentId, selectedDepartmentName, cachedData.apiResponses);
+        renderEmployeeTable(selectedDepartmentId, selectedDepartmentName, cachedData.apiResponses, null, cachedData.previousPeriod);
         return;
       }
       console.log('Cache miss. Fetching from API...');
     }
 
     // Si no hay cache, hacer la llamada normal
-    const startTimestampSeconds = currentStartDate.unix();
-    const endUTC5 = moment.tz(currentEndDate.format('YYYY-MM-DD'), 'America/New_York');
-    const endTimestampSeconds = endUTC5.unix();
+    const { startTimestampSeconds, endTimestampSeconds } = getSelectedRangeTimestamps();
 
     try {
-      const registros = await obtenerRegistrosPorInbox(selectedDepartmentName);
-      const data = await callApi(startTimestampSeconds, endTimestampSeconds, registros);
+      const data = await runReport({
+        type: 'inbox',
+        inbox: selectedDepartmentName,
+        timestampStart: startTimestampSeconds,
+        timestampEnd: endTimestampSeconds
+      });
       const apiResponses = data.apiResponses || [];
+      setActiveMetrics(data.metrics);
       hideCacheIndicator();
       renderEmployeeTable(selectedDepartmentId, selectedDepartmentName, apiResponses);
     } catch (error) {
@@ -634,26 +793,25 @@ document.addEventListener("DOMContentLoaded", () => {
       const cachedData = await tryGetCachedData('individuals', selectedRangeLabel);
 
       if (cachedData && cachedData.apiResponses) {
+        setActiveMetrics(cachedData.metrics);
         showCacheIndicator(cachedData.cacheAge);
-        renderEmployeeTable(null, null, cachedData.apiResponses, true);
+        renderEmployeeTable(null, null, cachedData.apiResponses, true, cachedData.previousPeriod);
         return;
       }
       console.log('Cache miss for individuals. Fetching from API...');
     }
 
     // If no cache, call API for all individual users
-    const startTimestampSeconds = currentStartDate.unix();
-    const endUTC5 = moment.tz(currentEndDate.format('YYYY-MM-DD'), 'America/New_York');
-    const endTimestampSeconds = endUTC5.unix();
+    const { startTimestampSeconds, endTimestampSeconds } = getSelectedRangeTimestamps();
 
     try {
-      // Fetch all individual users from DB
-      const respuesta = await fetch(`/api/analytics/individuals${tenantParam()}`);
-      if (!respuesta.ok) throw new Error('Failed to load individual users');
-      const inboxes = await respuesta.json();
-
-      const data = await callApiIndividuals(startTimestampSeconds, endTimestampSeconds, inboxes);
+      const data = await runReport({
+        type: 'individuals',
+        timestampStart: startTimestampSeconds,
+        timestampEnd: endTimestampSeconds
+      });
       const apiResponses = data.apiResponses || [];
+      setActiveMetrics(data.metrics);
       hideCacheIndicator();
       renderEmployeeTable(null, null, apiResponses, true);
     } catch (error) {
@@ -666,75 +824,41 @@ document.addEventListener("DOMContentLoaded", () => {
     }
   }
 
-  async function callApi(timestampStart, timestampEnd, registros) {
-    try {
-      if (!timestampStart || !timestampEnd || !Array.isArray(registros)) {
-        throw new Error('Faltan datos requeridos: timestampStart, timestampEnd o registros');
-      }
-
-      const url = `/getData${tenantParam()}`;
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ timestampStart, timestampEnd, registros }),
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(`Error del servidor: ${errorData.error || response.statusText || 'Unknown error'}`);
-      }
+  /**
+   * Envía un reporte como job y consulta su estado hasta que termine
+   */
+  async function runReport(params) {
+    const response = await fetch(`/api/reports${tenantParam()}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(params),
+    });
 
-      const data = await response.json();
-      return data;
-    } catch (error) {
-      console.error('Error al llamar al API:', error.message);
-      throw error;
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(`Error del servidor: ${errorData.error || response.statusText || 'Unknown error'}`);
     }
-  }
-
-  async function callApiIndividuals(timestampStart, timestampEnd, inboxes) {
-    try {
-      if (!timestampStart || !timestampEnd || !Array.isArray(inboxes)) {
-        throw new Error('Faltan datos requeridos: timestampStart, timestampEnd o registros');
-      }
 
-      const url = `/getDataIndividuals${tenantParam()}`;
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ timestampStart, timestampEnd, inboxes }),
-      });
+    const { id } = await response.json();
+    return pollReport(id);
+  }
 
+  async function pollReport(id) {
+    while (true) {
+      const response = await fetch(`/api/reports/${id}${tenantParam()}`);
       if (!response.ok) {
         const errorData = await response.json().catch(() => ({}));
         throw new Error(`Error del servidor: ${errorData.error || response.statusText || 'Unknown error'}`);
       }
 
-      const data = await response.json();
-      return data;
-    } catch (error) {
-      console.error('Error al llamar al API:', error.message);
-      throw error;
-    }
-  }
+      const job = await response.json();
+      if (job.status === 'done') return job;
+      if (job.status === 'failed') throw new Error(job.error || 'Report failed');
 
-  async function obtenerRegistrosPorInbox(nombreInbox) {
-    nombreInbox = !nombreInbox ? 'Secto' : nombreInbox;
-    try {
-      // Usar nuevo endpoint de la API (PostgreSQL)
-      const respuesta = await fetch(`/api/analytics/inbox/${encodeURIComponent(nombreInbox)}${tenantParam()}`);
-      if (!respuesta.ok) {
-        throw new Error(`Error al obtener datos: ${respuesta.status} ${respuesta.statusText}`);
-      }
-      const datos = await respuesta.json();
-      return datos;
-    } catch (error) {
-      console.error('Error al obtener registros:', error);
-      return [];
+      updateLoadingProgress(job);
+      await new Promise(resolve => setTimeout(resolve, REPORT_POLL_INTERVAL_MS));
     }
   }
 
@@ -0,0 +1,205 @@
+/**
+ * Report Jobs - Procesa reportes de analytics en segundo plano
+ *
+ * Los jobs se guardan en report_jobs (PostgreSQL): el request HTTP solo crea el job
+ * y el dashboard consulta el progreso. Cada resultado por teammate se guarda al
+ * terminarlo, así un job interrumpido por un reinicio continúa donde quedó.
+ * El worker que toma un job tiene un lease (claim_token) que renueva con un heartbeat
+ * mientras trabaja; si deja de renovarlo otra instancia lo retoma y el primero ya no
+ * puede escribir resultados.
+ */
+
+require('dotenv').config();
+
+const crypto = require('crypto');
+
+const db = require('./db');
+const tz = require('./timezone');
+const frontClient = require('./front-client');
+
+// Utility function to delay execution
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Cada cuánto se revisa la cola (jobs de otras instancias o interrumpidos por reinicio)
+const POLL_INTERVAL_MS = 30 * 1000;
+
+// Pausa entre teammates para no saturar la API de Front
+const RECORD_DELAY_MS = 3000;
+
+// Heartbeat del lease mientras se procesa un job, y sin heartbeat cuánto tarda en darse por caído
+const HEARTBEAT_INTERVAL_MS = 60 * 1000;
+const STALE_AFTER_MINUTES = 5;
+
+let isProcessing = false;
+
+/**
+ * Pide el reporte de un teammate a Front. Los errores quedan en el resultado del
+ * teammate en vez de cortar el job.
+ */
+async function fetchRecordReport(requestBody, recordIndex, apiKey, endpoint) {
+  try {
+    console.log(`Requesting report for record ${recordIndex}:`, requestBody);
+    const apiData = await frontClient.runAnalyticsReport(apiKey, requestBody, endpoint);
+    return { apiData };
+  } catch (error) {
+    console.error(`Error calling FRONT API for record ${recordIndex} (${error.name}):`, error.message);
+    return { error: error.message };
+  }
+}
+
+/**
+ * Arma el body del reporte de Front para un teammate
+ * (inbox: filtrado por canal + teammate; individuals: solo teammate)
+ */
+function buildRequestBody(job, record, timezone) {
+  const filters = job.report_type === 'inbox'
+    ? { channel_ids: [record.code], teammate_ids: [record.id] }
+    : { teammate_ids: [record.id] };
+
+  return {
+    filters,
+    start: Number(job.timestamp_start),
+    end: Number(job.timestamp_end),
+    timezone,
+    metrics: job.metrics,
+  };
+}
+
+/**
+ * Ejecuta un job: procesa los teammates pendientes y guarda cada resultado.
+ * El heartbeat corre aparte, así las esperas largas de Front no vencen el lease.
+ */
+async function runJob(job) {
+  let leaseLost = false;
+  const heartbeat = setInterval(async () => {
+    try {
+      if (!(await db.heartbeatReportJob(job.id, job.claim_token))) leaseLost = true;
+    } catch (error) {
+      console.error(`[ReportJobs] Heartbeat failed for job ${job.id}:`, error.message);
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+
+  try {
+    await processJobRecords(job, () => leaseLost);
+  } finally {
+    clearInterval(heartbeat);
+  }
+}
+
+async function processJobRecords(job, isLeaseLost) {
+  console.log(`[ReportJobs] Running job ${job.id} (${job.report_type}${job.inbox_name ? `: ${job.inbox_name}` : ''}), ${job.total_records} record(s)`);
+
+  const keys = await db.getTenantApiKeys(job.tenant_id);
+  const tenant = await db.getTenantById(job.tenant_id);
+  const timezone = tz.resolveTimezone(tenant && tenant.timezone);
+  const apiKey = job.report_type === 'inbox'
+    ? keys && keys.front_api_key
+    : keys && keys.front_api_key_individuals;
+
+  if (!apiKey) {
+    await db.finishReportJob(job.id, 'failed', 'Front API key not configured for this tenant', job.claim_token);
+    return;
+  }
+
+  // Resumed jobs skip the records they already have a result for
+  const done = new Set(job.results.map(r => r.recordIndex));
+  const pending = job.records
+    .map((record, index) => ({ record, recordIndex: index + 1 }))
+    .filter(item => !done.has(item.recordIndex));
+
+  for (const [i, { record, recordIndex }] of pending.entries()) {
+    if (isLeaseLost()) {
+      console.warn(`[ReportJobs] Job ${job.id} was reclaimed by another worker; stopping`);
+      return;
+    }
+
+    const result = await fetchRecordReport(buildRequestBody(job, record, timezone), recordIndex, apiKey, keys.front_endpoint);
+    const saved = await db.appendReportJobResult(job.id, job.claim_token, { recordIndex, record, ...result });
+    if (!saved && !(await db.heartbeatReportJob(job.id, job.claim_token))) {
+      console.warn(`[ReportJobs] Job ${job.id} is no longer ours; stopping`);
+      return;
+    }
+
+    if (i < pending.length - 1) {
+      await delay(RECORD_DELAY_MS);
+    }
+  }
+
+  await db.finishReportJob(job.id, 'done', null, job.claim_token);
+  console.log(`[ReportJobs] Job ${job.id} done`);
+}
+
+/**
+ * Procesa la cola hasta que no queden jobs (un job a la vez por instancia)
+ */
+async function processQueue() {
+  if (isProcessing) return;
+  isProcessing = true;
+
+  try {
+    let job;
+    while ((job = await db.claimReportJob(crypto.randomUUID(), STALE_AFTER_MINUTES))) {
+      try {
+        await runJob(job);
+      } catch (error) {
+        console.error(`[ReportJobs] Job ${job.id} failed:`, error.message);
+        await db.finishReportJob(job.id, 'failed', error.message, job.claim_token).catch(() => {});
+      }
+    }
+  } catch (error) {
+    console.error('[ReportJobs] Error processing queue:', error.message);
+  } finally {
+    isProcessing = false;
+  }
+}
+
+/**
+ * Crea un job y arranca la cola sin esperar a que termine
+ */
+async function submitJob(tenantId, createdBy, data) {
+  const job = await db.createReportJob(tenantId, createdBy, data);
+  processQueue();
+  return job;
+}
+
+/**
+ * Formatea un job para la API (resultados parciales + errores por teammate)
+ */
+function toApiResponse(job) {
+  const apiResponses = [...job.results].sort((a, b) => a.recordIndex - b.recordIndex);
+  return {
+    id: job.id,
+    type: job.report_type,
+    inbox: job.inbox_name,
+    status: job.status,
+    totalRecords: job.total_records,
+    processedRecords: job.processed_records,
+    timestampStart: Number(job.timestamp_start),
+    timestampEnd: Number(job.timestamp_end),
+    metrics: job.metrics,
+    apiResponses,
+    errors: apiResponses
+      .filter(r => r.error)
+      .map(r => ({ recordIndex: r.recordIndex, record: r.record, error: r.error })),
+    error: job.error,
+    createdAt: job.created_at,
+    startedAt: job.started_at,
+    finishedAt: job.finished_at
+  };
+}
+
+/**
+ * Arranca el worker: procesa lo pendiente (jobs que sobrevivieron un reinicio)
+ * y revisa la cola periódicamente
+ */
+function startWorker() {
+  console.log('Report job worker started');
+  processQueue();
+  setInterval(processQueue, POLL_INTERVAL_MS);
+}
+
+module.exports = {
+  submitJob,
+  toApiResponse,
+  startWorker
+};
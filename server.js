@@ -1,6 +1,5 @@
 const express = require('express');
 const path = require('path');
-const fs = require('fs');
 const session = require('express-session');
 const pgSession = require('connect-pg-simple')(session);
 const passport = require('passport');
@@ -9,25 +8,39 @@ const cookieParser = require('cookie-parser');
 require('dotenv').config();
 
 const db = require('./db');
+const teamsAuth = require('./teams-auth');
+const frontMetrics = require('./front-metrics');
+const reportJobs = require('./report-jobs');
+const metricStore = require('./metric-store');
+const tz = require('./timezone');
+const frontClient = require('./front-client');
+const frontDirectory = require('./front-directory');
+const frontSync = require('./front-sync');
+const keyEncryption = require('./key-encryption');
+const apiTokens = require('./api-tokens');
+const paylocityWebhook = require('./paylocity-webhook');
+const ics = require('./ics');
+const csv = require('./csv');
+const coverage = require('./coverage');
+const workCalendar = require('./work-calendar');
+const usage = require('./usage');
+const attendance = require('./attendance');
 
 const app = express();
 const port = process.env.PORT || 3001;
 
-// Cache directory (configurable for Azure App Service)
-const CACHE_DIR = process.env.CACHE_DIR || path.join(__dirname, 'cache');
-
-// Asegurar que existe el directorio de cache
-if (!fs.existsSync(CACHE_DIR)) {
-  fs.mkdirSync(CACHE_DIR, { recursive: true });
-}
-
 // Inicializar base de datos al arrancar
 db.initializeDatabase().catch(err => {
   console.error('Failed to initialize database:', err);
 });
 
 // Middleware to parse JSON, form bodies, and text (for ICS import)
-app.use(express.json());
+// Webhooks keep the raw body: signatures are computed over the original bytes
+app.use(express.json({
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/webhook/')) req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 app.use(express.text({ type: 'text/*', limit: '10mb' }));
 app.use(cookieParser());
@@ -49,7 +62,7 @@ if (isProduction) {
 }
 
 // Session configuration with PostgreSQL store
-app.use(session({
+const sessionMiddleware = session({
   store: new pgSession({
     pool: db.pool,
     tableName: 'session',
@@ -65,11 +78,20 @@ app.use(session({
     sameSite: isProduction ? 'none' : 'lax', // 'none' required for Teams iframe in production
     partitioned: isProduction // CHIPS support for third-party cookie restrictions
   }
-}));
+});
+
+// API token requests are stateless: no session row or cookie per script call.
+// Same for calendar feed polls (Outlook / Google fetch the secret URL every hour or so).
+const passportSession = passport.session();
+const unlessApiToken = (middleware) => (req, res, next) => (
+  apiTokens.getBearerToken(req) || req.path.startsWith('/api/calendar/feed/') ? next() : middleware(req, res, next)
+);
+
+app.use(unlessApiToken(sessionMiddleware));
 
 // Initialize Passport
 app.use(passport.initialize());
-app.use(passport.session());
+app.use(unlessApiToken(passportSession));
 
 // Azure AD OIDC Strategy Configuration
 if (process.env.AZURE_CLIENT_ID && process.env.AZURE_TENANT_ID) {
@@ -212,6 +234,12 @@ function requireAuth(req, res, next) {
     return next();
   }
 
+  // Scripts: personal API token (Authorization: Bearer fat_...)
+  const bearerToken = apiTokens.getBearerToken(req);
+  if (bearerToken) {
+    return authenticateApiToken(req, res, next, bearerToken);
+  }
+
   // For API requests, return JSON error
   if (req.path.startsWith('/api/') || req.xhr || req.headers.accept?.includes('application/json')) {
     return res.status(401).json({ error: 'Unauthorized', redirectTo: '/login.html' });
@@ -222,6 +250,39 @@ function requireAuth(req, res, next) {
   return res.redirect('/login.html');
 }
 
+// Authenticates a request with a personal API token. The token's owner becomes req.user,
+// so role and tenant rules (requireFullUser, getEffectiveTenantId...) apply unchanged.
+// Only the routes listed in api-tokens.js ROUTE_SCOPES accept tokens.
+async function authenticateApiToken(req, res, next, token) {
+  try {
+    const scope = apiTokens.getRouteScope(req);
+    if (!scope) {
+      return res.status(403).json({ error: 'This endpoint does not accept API tokens' });
+    }
+
+    const owner = await db.useApiToken(apiTokens.hashToken(token), req.ip);
+    if (!owner || !owner.is_active) {
+      return res.status(401).json({ error: 'Invalid, expired or revoked API token' });
+    }
+    if (!owner.scopes.includes(scope)) {
+      return res.status(403).json({ error: `API token is missing the "${scope}" scope` });
+    }
+
+    req.user = {
+      id: owner.id,
+      email: owner.email,
+      name: owner.name,
+      role: owner.role,
+      tenantId: owner.tenant_id
+    };
+    req.apiToken = { id: owner.token_id, scopes: owner.scopes };
+    return next();
+  } catch (error) {
+    console.error('Error validating API token:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
 // Check if user is admin (tenant admin OR super admin)
 function requireAdmin(req, res, next) {
   if (req.isAuthenticated() && (req.user.role === 'admin' || req.user.role === 'super_admin')) {
@@ -260,7 +321,7 @@ function requireFullUser(req, res, next) {
   return next();
 }
 
-// Helper: get the effective tenant ID for the current request
+// Helper: get the effective tenant ID for the current request (session or API token user)
 // Super admins can specify a tenant context via query param or header
 function getEffectiveTenantId(req) {
   if (req.user.role === 'super_admin') {
@@ -277,6 +338,48 @@ function isSuperAdmin(req) {
   return req.user.role === 'super_admin';
 }
 
+// Calendar permissions: admins manage every event of their tenant (super admin: any tenant);
+// everyone else only their own events (employee_email) and their reports' (supervisor_email)
+function isCalendarManager(req) {
+  return req.user.role === 'admin' || isSuperAdmin(req);
+}
+
+// 'YYYY-MM-DD' that is a real calendar date (2024-02-31 or 2024-13-01 are not):
+// Postgres would reject it later with a 500
+function isValidDateString(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+function canManageTimeOffEvent(req, event) {
+  if (isCalendarManager(req)) return true;
+  const email = (req.user.email || '').toLowerCase();
+  return [event.employee_email, event.supervisor_email].some(value => value && value.toLowerCase() === email);
+}
+
+// Helper: record an audit event for a mutating request. The actor comes from the session
+// (or `actorName` for unauthenticated callers like webhooks); tenantId defaults to the
+// request's tenant context. Audit failures are logged and never fail the request.
+async function audit(req, action, { tenantId, targetType = null, targetId = null, before = null, after = null, actorName } = {}) {
+  try {
+    await db.createAuditEvent({
+      tenantId: tenantId !== undefined ? tenantId : (req.user ? getEffectiveTenantId(req) : null),
+      actorId: req.user ? req.user.id : null,
+      actorEmail: req.user ? req.user.email : null,
+      actorName: actorName || (req.user ? req.user.name : null),
+      action,
+      targetType,
+      targetId,
+      before,
+      after,
+      ip: req.ip
+    });
+  } catch (error) {
+    console.error(`Audit event "${action}" could not be recorded:`, error.message);
+  }
+}
+
 // ==========================================
 // STATIC FILES & PUBLIC ROUTES
 // ==========================================
@@ -439,11 +542,8 @@ app.post('/auth/teams-sso', async (req, res) => {
     const { token } = req.body;
     if (!token) return res.status(400).json({ error: 'No token provided' });
 
-    // Decode the JWT payload (Teams SSO token is a valid Azure AD token)
-    const parts = token.split('.');
-    if (parts.length !== 3) return res.status(400).json({ error: 'Invalid token' });
-
-    const payload = JSON.parse(Buffer.from(parts[1], 'base64').toString());
+    // Verify signature (Azure AD JWKS), audience, issuer and lifetime
+    const payload = await teamsAuth.verifyTeamsToken(token);
     const email = payload.preferred_username || payload.upn || payload.email;
     const name = payload.name || email;
     const azureOid = payload.oid;
@@ -452,15 +552,24 @@ app.post('/auth/teams-sso', async (req, res) => {
 
     // Look up or auto-create user (same logic as passport callback)
     let systemUser = await db.getSystemUserByEmail(email);
+    let tenant = null;
 
-    if (!systemUser) {
+    if (systemUser) {
+      tenant = systemUser.tenant_id ? await db.getTenantById(systemUser.tenant_id) : null;
+    } else {
       const emailDomain = email.split('@')[1];
-      const tenant = await db.getTenantByDomain(emailDomain);
+      tenant = await db.getTenantByDomain(emailDomain);
 
       if (!tenant) {
         return res.status(403).json({ error: 'Access denied - domain not registered' });
       }
+    }
 
+    // The token must come from the tenant's own Azure AD directory
+    // (super admins have no tenant and are checked against the app's directory)
+    teamsAuth.verifyTokenTenant(payload, tenant ? tenant.azure_tenant_id : process.env.AZURE_TENANT_ID);
+
+    if (!systemUser) {
       systemUser = await db.createSystemUser(email, name, 'calendar_user', azureOid, tenant.id);
       console.log('Teams SSO: Auto-created calendar_user for:', email, 'tenant:', tenant.slug);
     }
@@ -495,6 +604,10 @@ app.post('/auth/teams-sso', async (req, res) => {
       });
     });
   } catch (err) {
+    if (err instanceof teamsAuth.TokenValidationError) {
+      console.log('Teams SSO: Token rejected:', err.reason, '-', err.message);
+      return res.status(401).json({ error: 'Invalid token', reason: err.reason, message: err.message });
+    }
     console.error('Teams SSO error:', err);
     res.status(500).json({ error: 'SSO authentication failed' });
   }
@@ -525,9 +638,6 @@ app.get('/api/auth/status', (req, res) => {
   });
 });
 
-// Utility function to delay execution
-const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
-
 // ==========================================
 // TENANT MANAGEMENT ENDPOINTS (Super Admin only)
 // ==========================================
@@ -546,7 +656,7 @@ app.get('/api/tenants', requireAuth, requireSuperAdmin, async (req, res) => {
 // CREATE tenant
 app.post('/api/tenants', requireAuth, requireSuperAdmin, async (req, res) => {
   try {
-    const { name, slug, domain, azure_tenant_id } = req.body;
+    const { name, slug, domain, azure_tenant_id, timezone } = req.body;
     if (!name || !slug) {
       return res.status(400).json({ error: 'Name and slug are required' });
     }
@@ -554,7 +664,11 @@ app.post('/api/tenants', requireAuth, requireSuperAdmin, async (req, res) => {
     if (!/^[a-z0-9-]+$/.test(slug)) {
       return res.status(400).json({ error: 'Slug must contain only lowercase letters, numbers, and hyphens' });
     }
-    const tenant = await db.createTenant(name, slug, domain, azure_tenant_id);
+    if (timezone && !tz.isValidTimezone(timezone)) {
+      return res.status(400).json({ error: `Invalid timezone: ${timezone}. Use an IANA name like America/Chicago` });
+    }
+    const tenant = await db.createTenant(name, slug, domain, azure_tenant_id, timezone || null);
+    await audit(req, 'tenant.create', { tenantId: tenant.id, targetType: 'tenant', targetId: tenant.id, after: tenant });
     res.status(201).json(tenant);
   } catch (error) {
     if (error.code === '23505') {
@@ -582,20 +696,26 @@ app.get('/api/tenants/:id', requireAuth, requireSuperAdmin, async (req, res) =>
 // UPDATE tenant
 app.put('/api/tenants/:id', requireAuth, requireSuperAdmin, async (req, res) => {
   try {
-    const { name, slug, domain, azure_tenant_id, is_active } = req.body;
+    const { name, slug, domain, azure_tenant_id, is_active, timezone } = req.body;
     if (!name || !slug) {
       return res.status(400).json({ error: 'Name and slug are required' });
     }
     if (!/^[a-z0-9-]+$/.test(slug)) {
       return res.status(400).json({ error: 'Slug must contain only lowercase letters, numbers, and hyphens' });
     }
+    if (timezone && !tz.isValidTimezone(timezone)) {
+      return res.status(400).json({ error: `Invalid timezone: ${timezone}. Use an IANA name like America/Chicago` });
+    }
+    const before = await db.getTenantById(parseInt(req.params.id));
     const tenant = await db.updateTenant(
       parseInt(req.params.id), name, slug, domain, azure_tenant_id,
-      is_active !== undefined ? is_active : true
+      is_active !== undefined ? is_active : true,
+      timezone || null
     );
     if (!tenant) {
       return res.status(404).json({ error: 'Tenant not found' });
     }
+    await audit(req, 'tenant.update', { tenantId: tenant.id, targetType: 'tenant', targetId: tenant.id, before, after: tenant });
     res.json(tenant);
   } catch (error) {
     console.error('Error updating tenant:', error);
@@ -610,6 +730,7 @@ app.delete('/api/tenants/:id', requireAuth, requireSuperAdmin, async (req, res)
     if (!tenant) {
       return res.status(404).json({ error: 'Tenant not found' });
     }
+    await audit(req, 'tenant.delete', { tenantId: tenant.id, targetType: 'tenant', targetId: tenant.id, before: tenant });
     res.json({ message: 'Tenant deleted', tenant });
   } catch (error) {
     console.error('Error deleting tenant:', error);
@@ -664,20 +785,109 @@ app.put('/api/tenants/:id/api-keys', requireAuth, requireAdmin, async (req, res)
     }
 
     const { front_api_key, front_api_key_individuals, front_endpoint } = req.body;
+    const before = await db.getTenantById(tenantIdParam);
     const tenant = await db.setTenantApiKeys(
       tenantIdParam,
       front_api_key,
       front_api_key_individuals,
-      front_endpoint || 'https://api2.frontapp.com/analytics/reports'
+      front_endpoint || frontClient.DEFAULT_REPORTS_ENDPOINT
     );
 
     if (!tenant) {
       return res.status(404).json({ error: 'Tenant not found' });
     }
 
+    // Cached Front listings were read with the old keys
+    frontDirectory.invalidate(tenantIdParam);
+
+    // Never the keys themselves: only whether each one is set and which ones were sent
+    const keyState = (t) => t && {
+      has_api_key: t.has_api_key,
+      has_api_key_individuals: t.has_api_key_individuals,
+      front_endpoint: t.front_endpoint
+    };
+    await audit(req, 'tenant.api_keys.update', {
+      tenantId: tenantIdParam,
+      targetType: 'tenant',
+      targetId: tenantIdParam,
+      before: keyState(before),
+      after: {
+        ...keyState(tenant),
+        changed: ['front_api_key', 'front_api_key_individuals'].filter(field => req.body[field] !== undefined)
+      }
+    });
+
     res.json({ message: 'API keys updated successfully' });
   } catch (error) {
     console.error('Error updating tenant API keys:', error);
+    if (error instanceof keyEncryption.KeyEncryptionError) {
+      return res.status(500).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET tenant analytics metric set - accessible to super admin or tenant admin for own tenant
+app.get('/api/tenants/:id/metrics', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const tenantIdParam = parseInt(req.params.id);
+
+    if (!isSuperAdmin(req) && req.user.tenantId !== tenantIdParam) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    const tenant = await db.getTenantById(tenantIdParam);
+    if (!tenant) {
+      return res.status(404).json({ error: 'Tenant not found' });
+    }
+
+    res.json({
+      metrics: frontMetrics.resolveTenantMetrics(tenant.analytics_metrics),
+      isDefault: !tenant.analytics_metrics,
+      catalog: frontMetrics.METRIC_CATALOG
+    });
+  } catch (error) {
+    console.error('Error getting tenant metrics:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// UPDATE tenant analytics metric set - accessible to super admin or tenant admin for own tenant
+app.put('/api/tenants/:id/metrics', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const tenantIdParam = parseInt(req.params.id);
+
+    if (!isSuperAdmin(req) && req.user.tenantId !== tenantIdParam) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    // null/empty resets to the default set
+    const { metrics } = req.body;
+    if (metrics !== null && metrics !== undefined && !Array.isArray(metrics)) {
+      return res.status(400).json({ error: 'metrics must be an array of metric ids' });
+    }
+
+    const unknown = metrics ? frontMetrics.findUnknownMetrics(metrics) : [];
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown metrics: ${unknown.join(', ')}` });
+    }
+
+    const before = await db.getTenantMetrics(tenantIdParam);
+    const tenant = await db.setTenantMetrics(tenantIdParam, metrics && metrics.length > 0 ? [...new Set(metrics)] : null);
+    if (!tenant) {
+      return res.status(404).json({ error: 'Tenant not found' });
+    }
+    await audit(req, 'tenant.metrics.update', {
+      tenantId: tenantIdParam,
+      targetType: 'tenant',
+      targetId: tenantIdParam,
+      before: { metrics: before },
+      after: { metrics: tenant.analytics_metrics }
+    });
+
+    res.json({ message: 'Metrics updated successfully', metrics: frontMetrics.resolveTenantMetrics(tenant.analytics_metrics) });
+  } catch (error) {
+    console.error('Error updating tenant metrics:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
@@ -686,6 +896,43 @@ app.put('/api/tenants/:id/api-keys', requireAuth, requireAdmin, async (req, res)
 // CACHED DATA ENDPOINTS (Tenant-Scoped)
 // ==========================================
 
+/**
+ * Días out (time off aprobado) de cada teammate en el período del reporte, por email.
+ * report: { timestampStart, timestampEnd, apiResponses } (snapshot del cache o job).
+ * Devuelve apiResponses con timeOff y el período en días del tenant; si falla, el
+ * reporte sigue sin timeOff.
+ */
+async function attachTimeOff(tenantId, report) {
+  if (!Array.isArray(report.apiResponses) || !report.timestampStart || !report.timestampEnd) {
+    return report;
+  }
+  try {
+    const tenant = await db.getTenantById(tenantId);
+    const timezone = tz.resolveTimezone(tenant && tenant.timezone);
+    const start = tz.getLocalDateString(timezone, new Date(Number(report.timestampStart) * 1000));
+    const end = tz.getLocalDateString(timezone, new Date(Number(report.timestampEnd) * 1000));
+
+    const emails = [...new Set(report.apiResponses
+      .map(apiResponse => apiResponse.record && apiResponse.record.email)
+      .filter(Boolean)
+      .map(email => email.toLowerCase()))];
+    const [timeOff, calendar] = await Promise.all([
+      db.getTimeOffByEmails(tenantId, emails, start, end),
+      db.getWorkCalendar(tenantId, start, end)
+    ]);
+
+    const result = attendance.computeAttendance({ timeOff, calendar: workCalendar.createWorkCalendar(calendar) }, start, end);
+    return {
+      ...report,
+      apiResponses: attendance.annotateApiResponses(report.apiResponses, result),
+      timeOffPeriod: { start, end, workingDays: result.workingDays }
+    };
+  } catch (error) {
+    console.error('Error attaching time off to report:', error);
+    return report;
+  }
+}
+
 /**
  * Endpoint para obtener datos cacheados
  * GET /getCachedData?department=Concierge&range=thisWeek
@@ -707,36 +954,36 @@ app.get('/getCachedData', requireAuth, requireFullUser, async (req, res) => {
       });
     }
 
-    // Get tenant slug for cache file prefix
     const tenantId = getEffectiveTenantId(req);
-    let tenantSlug = '';
-
-    if (tenantId) {
-      const tenant = await db.getTenantById(tenantId);
-      if (!tenant) {
-        return res.status(404).json({ error: 'Tenant not found' });
-      }
-      tenantSlug = tenant.slug;
+    if (!tenantId) {
+      return res.status(400).json({ error: 'No tenant context' });
     }
 
-    const filename = `${tenantSlug}_${department.toLowerCase().replace(/\s+/g, '-')}_${range}.json`;
-    const filepath = path.join(CACHE_DIR, filename);
+    // 'individuals' -> inbox_id NULL; cualquier otro nombre se resuelve al inbox del tenant
+    const inboxId = await metricStore.resolveDepartment(tenantId, department);
+    const cachedData = inboxId === undefined
+      ? null
+      : await metricStore.readSnapshot(tenantId, inboxId, range, department);
 
-    if (!fs.existsSync(filepath)) {
+    if (!cachedData) {
       return res.status(404).json({
         error: 'Cache not found',
         message: 'No cached data available for this department/range combination. Run the cache scheduler first.'
       });
     }
 
-    const cachedData = JSON.parse(fs.readFileSync(filepath, 'utf8'));
-
     // Verificar antigüedad del cache
     const generatedAt = new Date(cachedData.generatedAt);
     const ageMinutes = Math.floor((Date.now() - generatedAt.getTime()) / (1000 * 60));
 
+    // Totales del período anterior para el "vs previous period" de las tarjetas
+    const previousPeriod = await metricStore.getPreviousPeriodTotals(
+      tenantId, inboxId, range, cachedData.timestampStart, cachedData.metrics || frontMetrics.DEFAULT_METRICS
+    );
+
     res.status(200).json({
-      ...cachedData,
+      ...(await attachTimeOff(tenantId, cachedData)),
+      previousPeriod,
       cacheAge: `${ageMinutes} minutes ago`,
       fromCache: true
     });
@@ -753,38 +1000,12 @@ app.get('/getCachedData', requireAuth, requireFullUser, async (req, res) => {
  */
 app.get('/listCaches', requireAuth, requireFullUser, async (req, res) => {
   try {
-    if (!fs.existsSync(CACHE_DIR)) {
-      return res.status(200).json({ caches: [] });
-    }
-
-    // Get tenant slug for filtering
     const tenantId = getEffectiveTenantId(req);
-    let tenantSlug = '';
-
-    if (tenantId) {
-      const tenant = await db.getTenantById(tenantId);
-      if (tenant) tenantSlug = tenant.slug;
+    if (!tenantId) {
+      return res.status(200).json({ caches: [] });
     }
 
-    const files = fs.readdirSync(CACHE_DIR)
-      .filter(f => f.endsWith('.json') && f.startsWith(`${tenantSlug}_`));
-
-    const caches = files.map(filename => {
-      const filepath = path.join(CACHE_DIR, filename);
-      const data = JSON.parse(fs.readFileSync(filepath, 'utf8'));
-      const errorCount = data.apiResponses
-        ? data.apiResponses.filter(r => r.error || !r.apiData).length
-        : 0;
-      return {
-        filename,
-        department: data.department,
-        range: data.range,
-        rangeLabel: data.rangeLabel,
-        generatedAt: data.generatedAt,
-        totalRecords: data.totalRecords,
-        errorCount
-      };
-    });
+    const caches = await metricStore.listSnapshots(tenantId);
 
     res.status(200).json({ caches });
   } catch (error) {
@@ -797,199 +1018,98 @@ app.get('/listCaches', requireAuth, requireFullUser, async (req, res) => {
 // DATA ENDPOINTS (Tenant-Scoped)
 // ==========================================
 
-app.post('/getData', requireAuth, requireFullUser, async (req, res) => {
+/**
+ * Submit an analytics report job (returns immediately)
+ * POST /api/reports { type: 'inbox' | 'individuals', inbox, timestampStart, timestampEnd }
+ */
+app.post('/api/reports', requireAuth, requireFullUser, async (req, res) => {
   try {
-    const { timestampStart, timestampEnd, registros } = req.body;
+    const { type, inbox, timestampStart, timestampEnd } = req.body;
 
-    // Validate input
-    if (!timestampStart || !timestampEnd || !Array.isArray(registros)) {
-      console.error('Validation failed:', { timestampStart, timestampEnd, registros });
-      return res.status(400).json({
-        error: 'Invalid input: timestampStart, timestampEnd, and registros (array) are required',
-      });
+    if (!['inbox', 'individuals'].includes(type)) {
+      return res.status(400).json({ error: 'Invalid type. Valid options: inbox, individuals' });
+    }
+    if (!timestampStart || !timestampEnd) {
+      return res.status(400).json({ error: 'timestampStart and timestampEnd are required' });
+    }
+    if (type === 'inbox' && !inbox) {
+      return res.status(400).json({ error: 'inbox is required for inbox reports' });
     }
 
-    // Load tenant API keys
     const tenantId = getEffectiveTenantId(req);
-    const tenantKeys = tenantId ? await db.getTenantApiKeys(tenantId) : null;
+    if (!tenantId) {
+      return res.status(400).json({ error: 'No tenant context' });
+    }
 
-    if (!tenantKeys || !tenantKeys.front_api_key) {
+    const tenantKeys = await db.getTenantApiKeys(tenantId);
+    if (type === 'inbox' && (!tenantKeys || !tenantKeys.front_api_key)) {
       return res.status(400).json({ error: 'Front API key not configured for this tenant' });
     }
+    if (type === 'individuals' && (!tenantKeys || !tenantKeys.front_api_key_individuals)) {
+      return res.status(400).json({ error: 'Front Individual API key not configured for this tenant' });
+    }
 
-    console.log('Received data:', { timestampStart, timestampEnd, registros });
-
-    // Store API responses
-    const apiResponses = [];
-
-    // Iterate over registros with a delay
-    for (const [index, record] of registros.entries()) {
-      console.log(`Processing record ${index + 1} at ${new Date().toISOString()}:`, record);
-
-      const requestBody = {
-        filters: {
-          channel_ids: [record.code],
-          teammate_ids: [record.id],
-        },
-        start: timestampStart,
-        end: timestampEnd,
-        timezone: 'America/New_York',
-        metrics: [
-          'num_messages_received',
-          'num_messages_sent',
-          'avg_response_time',
-        ],
-      };
-
-      // Call FRONT API with tenant's API key
-      const result = await callFrontApi(requestBody, index + 1, tenantKeys.front_api_key, tenantKeys.front_endpoint);
-      apiResponses.push({
-        recordIndex: index + 1,
-        record,
-        ...result,
-      });
+    const records = type === 'inbox'
+      ? await db.getUsersByInboxName(inbox, tenantId)
+      : await db.getIndividualUsers(tenantId);
 
-      // Wait before the next record (except after the last one)
-      if (index < registros.length - 1) {
-        console.log(`Waiting 2 seconds before processing next record...`);
-        await delay(3000);
-      }
+    if (records.length === 0) {
+      return res.status(400).json({ error: 'No users found for this report' });
     }
 
-    // Send success response
-    const response = {
-      message: 'Records processed successfully',
-      totalRecords: registros.length,
+    const metrics = frontMetrics.resolveTenantMetrics(await db.getTenantMetrics(tenantId));
+
+    const job = await reportJobs.submitJob(tenantId, req.user.id, {
+      reportType: type,
+      inboxName: type === 'inbox' ? inbox : null,
       timestampStart,
       timestampEnd,
-      apiResponses,
-    };
-    console.log('Sending response:', response);
-    res.status(200).json(response);
+      metrics,
+      records
+    });
+
+    await audit(req, 'report.create', {
+      targetType: 'report_job',
+      targetId: job.id,
+      after: { type, inbox: inbox || null, timestampStart, timestampEnd, totalRecords: records.length }
+    });
+
+    console.log(`Report job ${job.id} queued: ${type}${inbox ? ` (${inbox})` : ''}, ${records.length} record(s)`);
+    res.status(202).json({ id: job.id, status: job.status, totalRecords: job.total_records });
   } catch (error) {
-    console.error('Error processing /getData:', error);
+    console.error('Error submitting report job:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-app.post('/getDataIndividuals', requireAuth, requireFullUser, async (req, res) => {
+/**
+ * Report job status, partial results and per-record errors
+ * GET /api/reports/:id
+ */
+app.get('/api/reports/:id', requireAuth, requireFullUser, async (req, res) => {
   try {
-    const { timestampStart, timestampEnd, inboxes } = req.body;
-    // Validación de entrada
-    if (!timestampStart || !timestampEnd || !Array.isArray(inboxes)) {
-      console.error('Validation failed:', { timestampStart, timestampEnd, inboxes });
-      return res.status(400).json({
-        error: 'Invalid input: timestampStart, timestampEnd, and registros (array) are required'
-      });
-    }
-
-    // Load tenant API keys
     const tenantId = getEffectiveTenantId(req);
-    const tenantKeys = tenantId ? await db.getTenantApiKeys(tenantId) : null;
-
-    if (!tenantKeys || !tenantKeys.front_api_key_individuals) {
-      return res.status(400).json({ error: 'Front Individual API key not configured for this tenant' });
+    if (!tenantId) {
+      return res.status(400).json({ error: 'No tenant context' });
     }
 
-    const apiResponses = [];
-
-    for (const [index, record] of inboxes.entries()) {
-      console.log(`Processing record ${index + 1} at ${new Date().toISOString()}:`, record);
-      const requestBody = {
-        filters: {
-          teammate_ids: [record.id],
-        },
-        start: timestampStart,
-        end: timestampEnd,
-        timezone: 'America/New_York',
-        metrics: [
-          'num_messages_received',
-          'num_messages_sent',
-          'avg_response_time',
-        ],
-      };
-
-      // Llamar a la API con tenant's individual API key
-      const result = await callFrontApi(requestBody, index + 1, tenantKeys.front_api_key_individuals, tenantKeys.front_endpoint);
-      apiResponses.push({
-        recordIndex: index + 1,
-        record,
-        ...result,
-      });
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return res.status(400).json({ error: 'Invalid ID' });
 
-      // Espera antes de procesar el siguiente registro (si no es el último)
-      if (index < inboxes.length - 1) {
-        console.log(`Waiting 2 seconds before processing next record...`);
-        await delay(3000);
-      }
+    const job = await db.getReportJob(id, tenantId);
+    if (!job) {
+      return res.status(404).json({ error: 'Report not found' });
     }
 
-    // Enviar la respuesta una sola vez, después de procesar todos los registros
-    const response = {
-      message: 'Records processed successfully',
-      totalRecords: inboxes.length,
-      timestampStart,
-      timestampEnd,
-      apiResponses,
-    };
-    console.log('Sending response:', response);
-    return res.status(200).json(response);
-
+    const report = reportJobs.toApiResponse(job);
+    // Time off solo con el reporte terminado (mientras corre se consulta cada pocos segundos)
+    res.json(report.status === 'done' ? await attachTimeOff(tenantId, report) : report);
   } catch (error) {
-    console.error('Error processing /getDataIndividuals:', error);
-    return res.status(500).json({ error: 'Internal server error' });
+    console.error('Error getting report job:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-
-// Function to call FRONT API with retries (now takes apiKey and endpoint as params)
-async function callFrontApi(requestBody, recordIndex, apiKey, endpoint) {
-  const maxRetries = 10;
-  let retries = 0;
-
-  while (retries < maxRetries) {
-    try {
-      console.log(`Attempt ${retries + 1} for record ${recordIndex}:`, requestBody);
-      const frontResponse = await fetch(endpoint, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          Accept: 'application/json',
-          Authorization: apiKey,
-        },
-        body: JSON.stringify(requestBody),
-      });
-
-      if (!frontResponse.ok) {
-        const errorData = await frontResponse.json().catch(() => ({}));
-        console.error(`Error calling FRONT API for record ${recordIndex} (attempt ${retries + 1}):`, errorData);
-        throw new Error(errorData.message || 'FRONT API error');
-      }
-
-      const responseData = await frontResponse.json();
-      console.log(`FRONT API response for record ${recordIndex} (attempt ${retries + 1}):`, responseData);
-
-      if (responseData.status === 'done') {
-        return { apiData: responseData };
-      }
-
-      // Status is not 'done', retry after delay
-      console.log(`Record ${recordIndex} status is "${responseData.status}", retrying after 2 seconds...`);
-      retries++;
-      if (retries < maxRetries) {
-        await delay(3000);
-      }
-    } catch (error) {
-      console.error(`Error calling FRONT API for record ${recordIndex} (attempt ${retries + 1}):`, error.message);
-      return { error: error.message }; // Return error immediately on failure
-    }
-  }
-
-  // Max retries reached
-  console.error(`Max retries (${maxRetries}) reached for record ${recordIndex}, status not 'done'`);
-  return { error: `Max retries reached, status not 'done'` };
-}
-
 // ==========================================
 // API ENDPOINTS - INBOXES (Tenant-Scoped)
 // ==========================================
@@ -1027,6 +1147,15 @@ app.get('/api/inboxes/:id', requireAuth, requireFullUser, async (req, res) => {
   }
 });
 
+// Coverage rule of an inbox (body.minOnDuty): undefined = unchanged, null / '' = no rule,
+// false = invalid
+function parseMinOnDuty(value) {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isInteger(number) && number >= 0 ? number : false;
+}
+
 // CREATE inbox (Admin only)
 app.post('/api/inboxes', requireAuth, requireAdmin, async (req, res) => {
   try {
@@ -1038,7 +1167,13 @@ app.post('/api/inboxes', requireAuth, requireAdmin, async (req, res) => {
     if (!code || !name) {
       return res.status(400).json({ error: 'Code and name are required' });
     }
-    const inbox = await db.createInbox(code, name, description, tenantId);
+    const minOnDuty = parseMinOnDuty(req.body.minOnDuty);
+    if (minOnDuty === false) {
+      return res.status(400).json({ error: 'minOnDuty must be a whole number of 0 or more (empty = no coverage rule)' });
+    }
+    let inbox = await db.createInbox(code, name, description, tenantId);
+    if (minOnDuty !== undefined) inbox = await db.setInboxMinOnDuty(inbox.id, tenantId, minOnDuty);
+    await audit(req, 'inbox.create', { tenantId, targetType: 'inbox', targetId: inbox.id, after: inbox });
     res.status(201).json(inbox);
   } catch (error) {
     console.error('Error creating inbox:', error);
@@ -1060,10 +1195,17 @@ app.put('/api/inboxes/:id', requireAuth, requireAdmin, async (req, res) => {
     if (!code || !name) {
       return res.status(400).json({ error: 'Code and name are required' });
     }
-    const inbox = await db.updateInbox(parseInt(req.params.id), code, name, description, tenantId);
+    const minOnDuty = parseMinOnDuty(req.body.minOnDuty);
+    if (minOnDuty === false) {
+      return res.status(400).json({ error: 'minOnDuty must be a whole number of 0 or more (empty = no coverage rule)' });
+    }
+    const before = await db.getInboxById(parseInt(req.params.id), tenantId);
+    let inbox = await db.updateInbox(parseInt(req.params.id), code, name, description, tenantId);
     if (!inbox) {
       return res.status(404).json({ error: 'Inbox not found' });
     }
+    if (minOnDuty !== undefined) inbox = await db.setInboxMinOnDuty(inbox.id, tenantId, minOnDuty);
+    await audit(req, 'inbox.update', { tenantId, targetType: 'inbox', targetId: inbox.id, before, after: inbox });
     res.json(inbox);
   } catch (error) {
     console.error('Error updating inbox:', error);
@@ -1082,6 +1224,7 @@ app.delete('/api/inboxes/:id', requireAuth, requireAdmin, async (req, res) => {
     if (!inbox) {
       return res.status(404).json({ error: 'Inbox not found' });
     }
+    await audit(req, 'inbox.delete', { tenantId, targetType: 'inbox', targetId: inbox.id, before: inbox });
     res.json({ message: 'Inbox deleted', inbox });
   } catch (error) {
     console.error('Error deleting inbox:', error);
@@ -1138,6 +1281,7 @@ app.post('/api/users', requireAuth, requireAdmin, async (req, res) => {
       return res.status(400).json({ error: 'teammate_id, email and name are required' });
     }
     const user = await db.createUser(teammate_id, email, name, is_individual || false, tenantId);
+    await audit(req, 'user.create', { tenantId, targetType: 'user', targetId: user.id, after: user });
     res.status(201).json(user);
   } catch (error) {
     console.error('Error creating user:', error);
@@ -1159,10 +1303,12 @@ app.put('/api/users/:id', requireAuth, requireAdmin, async (req, res) => {
     if (!teammate_id || !email || !name) {
       return res.status(400).json({ error: 'teammate_id, email and name are required' });
     }
+    const before = await db.getUserById(parseInt(req.params.id), tenantId);
     const user = await db.updateUser(parseInt(req.params.id), teammate_id, email, name, is_individual, tenantId);
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
+    await audit(req, 'user.update', { tenantId, targetType: 'user', targetId: user.id, before, after: user });
     res.json(user);
   } catch (error) {
     console.error('Error updating user:', error);
@@ -1181,6 +1327,7 @@ app.delete('/api/users/:id', requireAuth, requireAdmin, async (req, res) => {
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
+    await audit(req, 'user.delete', { tenantId, targetType: 'user', targetId: user.id, before: user });
     res.json({ message: 'User deleted', user });
   } catch (error) {
     console.error('Error deleting user:', error);
@@ -1221,6 +1368,11 @@ app.post('/api/inboxes/:inboxId/users/:userId', requireAuth, requireAdmin, async
     if (!assignment) {
       return res.json({ message: 'Assignment already exists' });
     }
+    await audit(req, 'assignment.create', {
+      targetType: 'assignment',
+      targetId: `${assignment.inbox_id}:${assignment.user_id}`,
+      after: assignment
+    });
     res.status(201).json({ message: 'User assigned to inbox', assignment });
   } catch (error) {
     console.error('Error assigning user to inbox:', error);
@@ -1238,6 +1390,11 @@ app.delete('/api/inboxes/:inboxId/users/:userId', requireAuth, requireAdmin, asy
     if (!result) {
       return res.status(404).json({ error: 'Assignment not found' });
     }
+    await audit(req, 'assignment.delete', {
+      targetType: 'assignment',
+      targetId: `${result.inbox_id}:${result.user_id}`,
+      before: result
+    });
     res.json({ message: 'User removed from inbox' });
   } catch (error) {
     console.error('Error removing user from inbox:', error);
@@ -1279,97 +1436,432 @@ app.get('/api/analytics/individuals', requireAuth, requireFullUser, async (req,
   }
 });
 
-// ==========================================
-// FRONT API - TEAMMATES (Tenant-Scoped)
-// ==========================================
-
-// GET all teammates from Front API (Admin only)
-app.get('/api/front/teammates', requireAuth, requireAdmin, async (req, res) => {
+// GET tenant settings the frontend needs (timezone for date ranges)
+app.get('/api/tenant-settings', requireAuth, async (req, res) => {
   try {
-    // Load tenant's API keys
     const tenantId = getEffectiveTenantId(req);
-    const tenantKeys = tenantId ? await db.getTenantApiKeys(tenantId) : null;
-
-    if (!tenantKeys || !tenantKeys.front_api_key_individuals) {
-      return res.status(400).json({ error: 'Front Individual API key not configured for this tenant' });
+    if (!tenantId) {
+      return res.status(400).json({ error: 'No tenant context' });
     }
-
-    const response = await fetch('https://api2.frontapp.com/teammates', {
-      method: 'GET',
-      headers: {
-        'Accept': 'application/json',
-        'Authorization': tenantKeys.front_api_key_individuals
-      }
-    });
-
-    if (!response.ok) {
-      const error = await response.json().catch(() => ({}));
-      throw new Error(error._error?.message || 'Failed to fetch teammates');
+    const tenant = await db.getTenantById(tenantId);
+    if (!tenant) {
+      return res.status(404).json({ error: 'Tenant not found' });
     }
-
-    const data = await response.json();
-
-    // Transform data to simpler format
-    const teammates = data._results.map(t => ({
-      id: t.id,
-      email: t.email,
-      name: `${t.first_name} ${t.last_name}`.trim(),
-      first_name: t.first_name,
-      last_name: t.last_name,
-      is_available: t.is_available,
-      is_admin: t.is_admin
-    }));
-
-    res.json(teammates);
+    res.json({ tenantId: tenant.id, timezone: tz.resolveTimezone(tenant.timezone) });
   } catch (error) {
-    console.error('Error fetching teammates from Front:', error);
-    res.status(500).json({ error: error.message });
+    console.error('Error getting tenant settings:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// GET all channels (shared inboxes) from Front API (Admin only)
-app.get('/api/front/channels', requireAuth, requireAdmin, async (req, res) => {
+// GET metric definitions for the tenant's analytics (for dashboard rendering)
+app.get('/api/analytics/metrics', requireAuth, requireFullUser, async (req, res) => {
   try {
-    // Load tenant's API keys
     const tenantId = getEffectiveTenantId(req);
-    const tenantKeys = tenantId ? await db.getTenantApiKeys(tenantId) : null;
+    if (!tenantId) {
+      return res.status(400).json({ error: 'No tenant context' });
+    }
+    const metrics = frontMetrics.resolveTenantMetrics(await db.getTenantMetrics(tenantId));
+    res.json(frontMetrics.getMetricDefinitions(metrics));
+  } catch (error) {
+    console.error('Error getting analytics metrics:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    if (!tenantKeys || !tenantKeys.front_api_key) {
-      return res.status(400).json({ error: 'Front API key not configured for this tenant' });
+/**
+ * Time series of one metric across past periods, per teammate and for the whole inbox
+ * GET /api/analytics/trends?inbox=Concierge&metric=avg_response_time&range=lastWeek&periods=12
+ */
+app.get('/api/analytics/trends', requireAuth, requireFullUser, async (req, res) => {
+  try {
+    const tenantId = getEffectiveTenantId(req);
+    if (!tenantId) {
+      return res.status(400).json({ error: 'No tenant context' });
     }
 
-    const response = await fetch('https://api2.frontapp.com/channels', {
-      method: 'GET',
-      headers: {
-        'Accept': 'application/json',
-        'Authorization': tenantKeys.front_api_key
-      }
-    });
+    const { inbox, metric } = req.query;
+    const range = req.query.range || 'lastWeek';
+    const periods = req.query.periods === undefined ? 12 : parseInt(req.query.periods, 10);
 
-    if (!response.ok) {
-      const error = await response.json().catch(() => ({}));
-      throw new Error(error._error?.message || 'Failed to fetch channels');
+    if (!inbox || !metric) {
+      return res.status(400).json({ error: 'Missing parameters: inbox and metric are required' });
+    }
+    if (frontMetrics.findUnknownMetrics([metric]).length > 0) {
+      return res.status(400).json({ error: `Unknown metric: ${metric}` });
     }
 
-    const data = await response.json();
+    const validRanges = ['lastWeek', 'lastMonth', 'lastQuarter'];
+    if (!validRanges.includes(range)) {
+      return res.status(400).json({ error: `Invalid range. Valid options: ${validRanges.join(', ')}` });
+    }
+    if (!Number.isInteger(periods) || periods < 1 || periods > 52) {
+      return res.status(400).json({ error: 'periods must be an integer between 1 and 52' });
+    }
 
-    // Transform channels
-    const channels = data._results.map(c => ({
-      id: c.id,
-      name: c.name,
-      address: c.address,
-      type: c.type
-    }));
+    const inboxId = await metricStore.resolveDepartment(tenantId, inbox);
+    if (inboxId === undefined) {
+      return res.status(404).json({ error: 'Inbox not found' });
+    }
 
-    res.json(channels);
+    const trends = await metricStore.getTrends(tenantId, inboxId, range, metric, periods);
+    res.json({ inbox, ...trends });
   } catch (error) {
-    console.error('Error fetching channels from Front:', error);
-    res.status(500).json({ error: error.message });
+    console.error('Error getting analytics trends:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
 // ==========================================
-// API ENDPOINTS - SYSTEM USERS (Scoped)
+// FRONT API - TEAMMATES (Tenant-Scoped)
+// ==========================================
+
+// Paging / filter query for the Front listings: ?q=&page=1&pageSize=25&refresh=true
+function parseListingQuery(req) {
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const pageSize = Math.min(100, Math.max(1, parseInt(req.query.pageSize, 10) || 25));
+  return {
+    q: req.query.q || '',
+    page,
+    pageSize,
+    refresh: req.query.refresh === 'true'
+  };
+}
+
+// 'true' / 'false' query values (anything else = no filter)
+function parseBoolQuery(value) {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return undefined;
+}
+
+// HTTP status for a Front client error (bad key -> 502 so it isn't confused with our own session 401)
+function frontErrorStatus(error) {
+  if (error instanceof frontClient.FrontRateLimitError) return 429;
+  if (error instanceof frontClient.FrontAuthError || error instanceof frontClient.FrontServerError) return 502;
+  return 500;
+}
+
+// GET teammates from Front API, all pages (Admin only)
+// ?q= (name/email) &available=true|false &admin=true|false &page= &pageSize= &refresh=true
+app.get('/api/front/teammates', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    // Load tenant's API keys
+    const tenantId = getEffectiveTenantId(req);
+    const tenantKeys = tenantId ? await db.getTenantApiKeys(tenantId) : null;
+
+    if (!tenantKeys || !tenantKeys.front_api_key_individuals) {
+      return res.status(400).json({ error: 'Front Individual API key not configured for this tenant' });
+    }
+
+    const query = parseListingQuery(req);
+    const listing = await frontDirectory.getTeammates(tenantId, tenantKeys.front_api_key_individuals, query.refresh);
+
+    res.json({
+      ...frontDirectory.searchListing(listing.items, {
+        q: query.q,
+        fields: ['name', 'email'],
+        filters: {
+          is_available: parseBoolQuery(req.query.available),
+          is_admin: parseBoolQuery(req.query.admin)
+        },
+        page: query.page,
+        pageSize: query.pageSize
+      }),
+      fetchedAt: new Date(listing.fetchedAt).toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching teammates from Front:', error);
+    res.status(frontErrorStatus(error)).json({ error: error.message });
+  }
+});
+
+// GET channels (shared inboxes) from Front API, all pages (Admin only)
+// ?q= (name/address/id) &type= &page= &pageSize= &refresh=true
+app.get('/api/front/channels', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    // Load tenant's API keys
+    const tenantId = getEffectiveTenantId(req);
+    const tenantKeys = tenantId ? await db.getTenantApiKeys(tenantId) : null;
+
+    if (!tenantKeys || !tenantKeys.front_api_key) {
+      return res.status(400).json({ error: 'Front API key not configured for this tenant' });
+    }
+
+    const query = parseListingQuery(req);
+    const listing = await frontDirectory.getChannels(tenantId, tenantKeys.front_api_key, query.refresh);
+
+    res.json({
+      ...frontDirectory.searchListing(listing.items, {
+        q: query.q,
+        fields: ['name', 'address', 'id'],
+        filters: { type: req.query.type || undefined },
+        page: query.page,
+        pageSize: query.pageSize
+      }),
+      fetchedAt: new Date(listing.fetchedAt).toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching channels from Front:', error);
+    res.status(frontErrorStatus(error)).json({ error: error.message });
+  }
+});
+
+// ==========================================
+// FRONT SYNC - Users / Inboxes (Tenant-Scoped)
+// ==========================================
+
+// Recent sync runs plus the latest pending preview (full diff) and the auto-apply setting
+app.get('/api/front-sync', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const tenantId = getEffectiveTenantId(req);
+    if (!tenantId) {
+      return res.status(400).json({ error: 'No tenant context' });
+    }
+
+    const [tenant, runs] = await Promise.all([
+      db.getTenantById(tenantId),
+      db.getFrontSyncRuns(tenantId)
+    ]);
+    const pending = runs.find(run => run.status === 'preview');
+
+    res.json({
+      autoApply: !!(tenant && tenant.front_sync_auto_apply),
+      runs,
+      pending: pending ? await db.getFrontSyncRun(pending.id, tenantId) : null
+    });
+  } catch (error) {
+    console.error('Error getting Front sync runs:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Dry-run: reads Front and stores the diff for review (nothing is changed yet)
+app.post('/api/front-sync/preview', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const tenantId = getEffectiveTenantId(req);
+    if (!tenantId) {
+      return res.status(400).json({ error: 'No tenant context' });
+    }
+
+    const tenantKeys = await db.getTenantApiKeys(tenantId);
+    if (!tenantKeys || !tenantKeys.front_api_key) {
+      return res.status(400).json({ error: 'Front API key not configured for this tenant' });
+    }
+
+    const run = await frontSync.previewSync(tenantId, req.user.id);
+    await audit(req, 'front_sync.preview', { tenantId, targetType: 'front_sync_run', targetId: run.id, after: run.diff.summary });
+    res.status(201).json(run);
+  } catch (error) {
+    console.error('Error previewing Front sync:', error);
+    res.status(frontErrorStatus(error)).json({ error: error.message });
+  }
+});
+
+// Apply a pending preview. Body: { keys?: [change keys] } (omitted = every change)
+app.post('/api/front-sync/:id/apply', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const tenantId = getEffectiveTenantId(req);
+    if (!tenantId) {
+      return res.status(400).json({ error: 'No tenant context' });
+    }
+
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return res.status(400).json({ error: 'Invalid ID' });
+
+    const { keys } = req.body || {};
+    if (keys !== undefined && (!Array.isArray(keys) || keys.some(key => typeof key !== 'string'))) {
+      return res.status(400).json({ error: 'keys must be an array of change keys' });
+    }
+
+    const result = await frontSync.applySync(id, tenantId, req.user.id, keys);
+    if (!result) {
+      return res.status(409).json({ error: 'This sync preview was already applied or replaced by a newer one' });
+    }
+
+    await audit(req, 'front_sync.apply', {
+      tenantId,
+      targetType: 'front_sync_run',
+      targetId: id,
+      after: { counts: result.counts, selected: keys ? keys.length : 'all' }
+    });
+    res.json({ message: 'Front sync applied', counts: result.counts });
+  } catch (error) {
+    console.error('Error applying Front sync:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Toggle automatic apply of the daily sync. Body: { autoApply: boolean }
+app.put('/api/front-sync/settings', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const tenantId = getEffectiveTenantId(req);
+    if (!tenantId) {
+      return res.status(400).json({ error: 'No tenant context' });
+    }
+
+    if (typeof req.body.autoApply !== 'boolean') {
+      return res.status(400).json({ error: 'autoApply must be a boolean' });
+    }
+
+    const tenant = await db.setTenantFrontSyncAutoApply(tenantId, req.body.autoApply);
+    if (!tenant) {
+      return res.status(404).json({ error: 'Tenant not found' });
+    }
+    await audit(req, 'front_sync.settings', { tenantId, targetType: 'tenant', targetId: tenantId, after: { autoApply: tenant.front_sync_auto_apply } });
+
+    res.json({ autoApply: tenant.front_sync_auto_apply });
+  } catch (error) {
+    console.error('Error updating Front sync settings:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ==========================================
+// API TOKENS (Admin, Tenant-Scoped)
+// ==========================================
+
+// GET tokens of the tenant's system users (super admin: all tenants unless ?tenantId=)
+app.get('/api/api-tokens', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const tenantId = getEffectiveTenantId(req);
+    if (!tenantId && !isSuperAdmin(req)) {
+      return res.status(400).json({ error: 'No tenant context' });
+    }
+
+    const tokens = await db.getApiTokens(tenantId || null);
+    res.json({ tokens, scopes: apiTokens.SCOPES });
+  } catch (error) {
+    console.error('Error getting API tokens:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// CREATE token. Body: { name, scopes: [...], expiresInDays?, systemUserId? (default: yourself) }
+// The secret is only returned in this response.
+app.post('/api/api-tokens', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { name, scopes, systemUserId } = req.body;
+    const expiresInDays = req.body.expiresInDays === undefined
+      ? apiTokens.DEFAULT_EXPIRY_DAYS
+      : parseInt(req.body.expiresInDays, 10);
+
+    if (!name || typeof name !== 'string' || name.length > 100) {
+      return res.status(400).json({ error: 'name is required (max 100 characters)' });
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({ error: `scopes must be a non-empty array. Valid: ${Object.keys(apiTokens.SCOPES).join(', ')}` });
+    }
+    const unknown = apiTokens.findUnknownScopes(scopes);
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown scopes: ${unknown.join(', ')}` });
+    }
+    if (isNaN(expiresInDays) || expiresInDays < 1 || expiresInDays > apiTokens.MAX_EXPIRY_DAYS) {
+      return res.status(400).json({ error: `expiresInDays must be between 1 and ${apiTokens.MAX_EXPIRY_DAYS}` });
+    }
+
+    const owner = await db.getSystemUserById(systemUserId ? parseInt(systemUserId, 10) : req.user.id);
+    if (!owner || !owner.is_active) {
+      return res.status(404).json({ error: 'System user not found or inactive' });
+    }
+
+    // Tenant admin: only for users of their tenant, never for super admins
+    if (!isSuperAdmin(req) && (owner.tenant_id !== getEffectiveTenantId(req) || owner.role === 'super_admin')) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    const { token, tokenPrefix, tokenHash } = apiTokens.generateToken();
+    const created = await db.createApiToken(owner.id, {
+      name,
+      tokenPrefix,
+      tokenHash,
+      scopes: [...new Set(scopes)],
+      expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+    }, req.user.id);
+
+    await audit(req, 'api_token.create', {
+      tenantId: owner.tenant_id,
+      targetType: 'api_token',
+      targetId: created.id,
+      after: { ...created, user_email: owner.email }
+    });
+
+    res.status(201).json({ ...created, token });
+  } catch (error) {
+    console.error('Error creating API token:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// REVOKE token
+app.delete('/api/api-tokens/:id', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return res.status(400).json({ error: 'Invalid ID' });
+
+    const existing = await db.getApiTokenById(id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Token not found' });
+    }
+    if (!isSuperAdmin(req) && existing.tenant_id !== getEffectiveTenantId(req)) {
+      return res.status(404).json({ error: 'Token not found' });
+    }
+
+    const token = await db.revokeApiToken(id);
+    if (!token) {
+      return res.status(409).json({ error: 'Token was already revoked' });
+    }
+
+    await audit(req, 'api_token.revoke', { tenantId: existing.tenant_id, targetType: 'api_token', targetId: id, before: existing, after: token });
+    res.json({ message: 'Token revoked', token });
+  } catch (error) {
+    console.error('Error revoking API token:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ==========================================
+// AUDIT LOG (Admin, Tenant-Scoped)
+// ==========================================
+
+// GET audit events, newest first
+// ?action=tenant.update (or 'tenant.*') &actor= (email/name) &targetType= &targetId= &from=YYYY-MM-DD &to=YYYY-MM-DD &page= &pageSize=
+// Tenant admins only see their tenant; super admins see every tenant unless ?tenantId= is given
+app.get('/api/audit', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { action, actor, targetType, targetId, from, to } = req.query;
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    if ((from && !datePattern.test(from)) || (to && !datePattern.test(to))) {
+      return res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD)' });
+    }
+
+    const tenantId = getEffectiveTenantId(req);
+    if (!tenantId && !isSuperAdmin(req)) {
+      return res.status(400).json({ error: 'No tenant context' });
+    }
+
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const pageSize = Math.min(200, Math.max(1, parseInt(req.query.pageSize, 10) || 50));
+
+    const { results, total } = await db.getAuditEvents({
+      tenantId: tenantId || undefined,
+      action,
+      actor,
+      targetType,
+      targetId,
+      from,
+      to
+    }, page, pageSize);
+
+    res.json({ results, total, page, pageSize, totalPages: Math.max(1, Math.ceil(total / pageSize)) });
+  } catch (error) {
+    console.error('Error getting audit events:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ==========================================
+// API ENDPOINTS - SYSTEM USERS (Scoped)
 // ==========================================
 
 // GET all system users
@@ -1431,6 +1923,7 @@ app.post('/api/system-users', requireAuth, requireAdmin, async (req, res) => {
     }
 
     const user = await db.createSystemUser(email, name, assignedRole, null, assignedTenantId);
+    await audit(req, 'system_user.create', { tenantId: assignedTenantId, targetType: 'system_user', targetId: user.id, after: user });
     res.status(201).json(user);
   } catch (error) {
     if (error.code === '23505') {
@@ -1446,6 +1939,8 @@ app.put('/api/system-users/:id', requireAuth, requireAdmin, async (req, res) =>
   try {
     const { email, name, role, is_active, tenant_id } = req.body;
 
+    const before = await db.getSystemUserById(parseInt(req.params.id));
+
     // Validate role based on who's editing
     if (isSuperAdmin(req)) {
       if (role && !['admin', 'user', 'super_admin'].includes(role)) {
@@ -1457,8 +1952,7 @@ app.put('/api/system-users/:id', requireAuth, requireAdmin, async (req, res) =>
         return res.status(403).json({ error: 'Cannot assign super_admin role' });
       }
       // Tenant admin can only edit users in their tenant
-      const existingUser = await db.getSystemUserById(parseInt(req.params.id));
-      if (!existingUser || existingUser.tenant_id !== getEffectiveTenantId(req)) {
+      if (!before || before.tenant_id !== getEffectiveTenantId(req)) {
         return res.status(403).json({ error: 'Forbidden' });
       }
     }
@@ -1480,6 +1974,16 @@ app.put('/api/system-users/:id', requireAuth, requireAdmin, async (req, res) =>
       await db.updateSystemUserTenant(user.id, newTenantId);
     }
 
+    // Role changes (e.g. promotion to super_admin) get their own action so they can be filtered
+    const after = await db.getSystemUserById(user.id);
+    await audit(req, before && before.role !== after.role ? 'system_user.role_change' : 'system_user.update', {
+      tenantId: after.tenant_id !== null ? after.tenant_id : (before ? before.tenant_id : null),
+      targetType: 'system_user',
+      targetId: user.id,
+      before,
+      after
+    });
+
     res.json(user);
   } catch (error) {
     console.error('Error updating system user:', error);
@@ -1507,6 +2011,7 @@ app.delete('/api/system-users/:id', requireAuth, requireAdmin, async (req, res)
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
+    await audit(req, 'system_user.delete', { tenantId: user.tenant_id, targetType: 'system_user', targetId: user.id, before: user });
     res.json({ message: 'User deleted', user });
   } catch (error) {
     console.error('Error deleting system user:', error);
@@ -1531,23 +2036,11 @@ app.get('/api/front/teammates/search', requireAuth, requireAdmin, async (req, re
       return res.status(400).json({ error: 'Front Individual API key not configured for this tenant' });
     }
 
-    const response = await fetch('https://api2.frontapp.com/teammates', {
-      method: 'GET',
-      headers: {
-        'Accept': 'application/json',
-        'Authorization': tenantKeys.front_api_key_individuals
-      }
-    });
-
-    if (!response.ok) {
-      throw new Error('Failed to fetch teammates');
-    }
-
-    const data = await response.json();
+    const listing = await frontDirectory.getTeammates(tenantId, tenantKeys.front_api_key_individuals);
 
     // Find teammate by email (case insensitive)
-    const teammate = data._results.find(
-      t => t.email.toLowerCase() === email.toLowerCase()
+    const teammate = listing.items.find(
+      t => t.email && t.email.toLowerCase() === email.toLowerCase()
     );
 
     if (!teammate) {
@@ -1557,13 +2050,13 @@ app.get('/api/front/teammates/search', requireAuth, requireAdmin, async (req, re
     res.json({
       id: teammate.id,
       email: teammate.email,
-      name: `${teammate.first_name} ${teammate.last_name}`.trim(),
+      name: teammate.name,
       first_name: teammate.first_name,
       last_name: teammate.last_name
     });
   } catch (error) {
     console.error('Error searching teammate:', error);
-    res.status(500).json({ error: error.message });
+    res.status(frontErrorStatus(error)).json({ error: error.message });
   }
 });
 
@@ -1571,6 +2064,7 @@ app.get('/api/front/teammates/search', requireAuth, requireAdmin, async (req, re
 app.post('/api/cache/regenerate', requireAuth, requireSuperAdmin, async (req, res) => {
   try {
     const cacheScheduler = require('./cache-scheduler');
+    await audit(req, 'cache.regenerate', { tenantId: null, targetType: 'cache', after: { force: !!req.body.force } });
     res.json({ message: 'Cache regeneration started. This may take several minutes.' });
     // Run in background (don't await)
     cacheScheduler.runPrecalculation(req.body.force || false).then(() => {
@@ -1584,7 +2078,7 @@ app.post('/api/cache/regenerate', requireAuth, requireSuperAdmin, async (req, re
   }
 });
 
-// Delete specific cache files and resync from Front API (Super Admin only)
+// Delete specific cached snapshots and resync from Front API (Super Admin only)
 app.post('/api/cache/delete-and-sync', requireAuth, requireSuperAdmin, async (req, res) => {
   try {
     const tenantId = getEffectiveTenantId(req);
@@ -1599,14 +2093,17 @@ app.post('/api/cache/delete-and-sync', requireAuth, requireSuperAdmin, async (re
 
     const validRanges = ['lastWeek', 'lastMonth', 'lastQuarter'];
     for (const item of items) {
-      if (!item.department || typeof item.department !== 'string') {
-        return res.status(400).json({ error: 'Each item must have a department string.' });
+      const hasInboxId = item.inboxId === null || Number.isInteger(item.inboxId);
+      if (!hasInboxId && (!item.department || typeof item.department !== 'string')) {
+        return res.status(400).json({ error: 'Each item must have an inboxId or a department string.' });
       }
       if (!item.range || !validRanges.includes(item.range)) {
         return res.status(400).json({ error: `Invalid range "${item.range}". Valid: ${validRanges.join(', ')}` });
       }
     }
 
+    await audit(req, 'cache.delete_and_sync', { tenantId, targetType: 'cache', after: { items } });
+
     // Respond immediately, run in background
     res.json({ message: `Delete & resync started for ${items.length} item(s). This runs in the background.` });
 
@@ -1623,82 +2120,491 @@ app.post('/api/cache/delete-and-sync', requireAuth, requireSuperAdmin, async (re
 });
 
 // ==========================================
-// CALENDAR - TIME OFF EVENTS (Tenant-Scoped)
+// PAYLOCITY WEBHOOK (Tenant-Scoped)
 // ==========================================
 
-// Public webhook endpoint - Paylocity sends time off approvals here
+// Fields compared to tell a real modification from a re-sent approval
+const PAYLOCITY_EVENT_FIELDS = [
+  'employee_name', 'employee_email', 'cost_center_1', 'cost_center_2', 'cost_center_3',
+  'supervisor_email', 'start_date', 'end_date', 'is_all_day', 'hours_per_day'
+];
+
+// Applies a Paylocity payload (webhook deliveries and replays) idempotently: approvals and
+// modifications upsert the event by its external key, cancellations soft-delete it.
+// Returns { httpStatus, action, event } (action: created, updated, unchanged, cancelled),
+// { httpStatus, action: 'ignored', reason } for a cancellation that matches no active event,
+// or { httpStatus, error } for invalid payloads; throws on server errors.
+async function processPaylocityTimeOff(req, tenant, payload) {
+  const {
+    companyId, employeeId, employeeName,
+    employeeWorkEMailAddress,
+    employeeCostCenter1, employeeCostCenter2, employeeCostCenter3,
+    supervisorWorkEmail,
+    timeOffStartDate, timeOffEndDate,
+    isAllDayEvent, hoursPerDay
+  } = payload || {};
+  const requestId = payload && (payload.timeOffRequestId || payload.requestId);
+  const actorName = req.user ? undefined : 'Paylocity webhook';
+
+  if (payload && paylocityWebhook.getPayloadAction(payload) === 'cancel') {
+    if (!(companyId && employeeId && requestId) && !((employeeId || employeeName) && timeOffStartDate && timeOffEndDate)) {
+      return { httpStatus: 400, error: 'Cancellation needs companyId, employeeId and timeOffRequestId, or the employee and timeOffStartDate/timeOffEndDate' };
+    }
+
+    let event = await db.cancelTimeOffEventByExternalKey(tenant.id, paylocityWebhook.getExternalKey(payload));
+    if (!event && timeOffStartDate && timeOffEndDate) {
+      // La clave no coincide (p. ej. aprobación con timeOffRequestId y cancelación sin él):
+      // se busca el evento por empleado y fechas
+      const fallback = await db.cancelTimeOffEventByEmployeeDates(tenant.id, {
+        companyId,
+        employeeId,
+        employeeEmail: employeeWorkEMailAddress,
+        employeeName,
+        startDate: timeOffStartDate,
+        endDate: timeOffEndDate
+      });
+      if (fallback.matches > 1) {
+        const reason = 'Cancellation matches several active events of the employee with these dates; none was cancelled';
+        console.warn(`[Webhook] ${reason} tenant=${tenant.slug}`);
+        return { httpStatus: 200, action: 'ignored', reason, event: null };
+      }
+      event = fallback.event;
+    }
+    if (!event) {
+      const reason = 'No active time off matches the cancellation (already cancelled or never received)';
+      console.log(`[Webhook] ${reason} tenant=${tenant.slug}`);
+      return { httpStatus: 200, action: 'ignored', reason, event: null };
+    }
+
+    await audit(req, 'time_off.cancel', {
+      tenantId: tenant.id,
+      targetType: 'time_off_event',
+      targetId: event.id,
+      after: event,
+      actorName
+    });
+
+    console.log(`[Webhook] Time off cancelled: ${event.employee_name} (${timeOffStartDate || event.start_date} - ${timeOffEndDate || event.end_date}) tenant=${tenant.slug}`);
+    return { httpStatus: 200, action: 'cancelled', event };
+  }
+
+  if (!employeeName || !timeOffStartDate || !timeOffEndDate) {
+    return { httpStatus: 400, error: 'Missing required fields: employeeName, timeOffStartDate, timeOffEndDate' };
+  }
+
+  const { event, before } = await db.upsertTimeOffEventByExternalKey(tenant.id, paylocityWebhook.getExternalKey(payload), {
+    companyId,
+    employeeId,
+    employeeName,
+    employeeEmail: employeeWorkEMailAddress,
+    costCenter1: employeeCostCenter1,
+    costCenter2: employeeCostCenter2,
+    costCenter3: employeeCostCenter3,
+    supervisorEmail: supervisorWorkEmail,
+    startDate: timeOffStartDate,
+    endDate: timeOffEndDate,
+    isAllDay: isAllDayEvent !== false,
+    hoursPerDay,
+    externalRequestId: requestId,
+    source: 'webhook'
+  });
+
+  let action = 'created';
+  if (before) {
+    const changed = before.cancelled_at ||
+      PAYLOCITY_EVENT_FIELDS.some(field => String(before[field]) !== String(event[field]));
+    action = changed ? 'updated' : 'unchanged';
+  }
+
+  if (action !== 'unchanged') {
+    await audit(req, action === 'created' ? 'time_off.create' : 'time_off.update', {
+      tenantId: tenant.id,
+      targetType: 'time_off_event',
+      targetId: event.id,
+      before,
+      after: event,
+      actorName
+    });
+  }
+
+  console.log(`[Webhook] Time off ${action}: ${employeeName} (${timeOffStartDate} - ${timeOffEndDate}) tenant=${tenant.slug}`);
+  return { httpStatus: 200, action, event };
+}
+
+// Helper: store a webhook delivery. Like audit(), a logging failure never fails the request.
+async function logWebhookDelivery(tenantId, delivery) {
+  try {
+    return await db.createWebhookDelivery(tenantId, delivery);
+  } catch (error) {
+    console.error('[Webhook] Delivery could not be logged:', error.message);
+    return null;
+  }
+}
+
+// Delivery row of a processed payload: 'ignored' when it changed nothing (with the reason)
+function webhookResultDelivery(result) {
+  return {
+    status: result.action === 'ignored' ? 'ignored' : 'processed',
+    httpStatus: result.httpStatus,
+    result: {
+      action: result.action,
+      timeOffEventId: result.event ? result.event.id : null,
+      ...(result.reason ? { reason: result.reason } : {})
+    }
+  };
+}
+
+// Closes the delivery row claimed for a signed request, or logs a new one (unsigned requests)
+async function recordWebhookOutcome(tenantId, claimed, delivery) {
+  if (!claimed) return logWebhookDelivery(tenantId, delivery);
+  try {
+    return await db.finishWebhookDelivery(claimed.id, delivery);
+  } catch (error) {
+    console.error('[Webhook] Delivery could not be updated:', error.message);
+    return null;
+  }
+}
+
+// Public webhook endpoint - Paylocity sends time off approvals here.
+// Authenticated with the tenant's webhook secret (see paylocity-webhook.js); every request is logged.
+// A signed delivery claims its signature (unique per tenant) before anything is processed,
+// so a replay - even one racing the original - gets 409.
 app.post('/api/webhook/paylocity/:tenantSlug', async (req, res) => {
+  let tenant = null;
+  let claimed = null;
+  const getHeader = (name) => req.get(name);
+  const rawBody = req.rawBody ? req.rawBody.toString('utf8') : JSON.stringify(req.body || {});
+  const delivery = { headers: paylocityWebhook.loggedHeaders(getHeader), payload: rawBody, ip: req.ip };
+
   try {
-    const tenant = await db.getTenantBySlug(req.params.tenantSlug);
+    tenant = await db.getTenantBySlug(req.params.tenantSlug);
     if (!tenant || !tenant.is_active) {
       return res.status(404).json({ error: 'Tenant not found' });
     }
 
-    const {
-      companyId, employeeId, employeeName,
-      employeeWorkEMailAddress,
-      employeeCostCenter1, employeeCostCenter2, employeeCostCenter3,
-      supervisorWorkEmail,
-      timeOffStartDate, timeOffEndDate,
-      isAllDayEvent, hoursPerDay
-    } = req.body;
-
-    if (!employeeName || !timeOffStartDate || !timeOffEndDate) {
-      return res.status(400).json({ error: 'Missing required fields: employeeName, timeOffStartDate, timeOffEndDate' });
+    try {
+      const config = await db.getTenantWebhookConfig(tenant.id);
+      const { signature } = paylocityWebhook.verifyRequest(config, getHeader, rawBody);
+      if (signature) {
+        claimed = await db.claimWebhookDelivery(tenant.id, { ...delivery, signature });
+        if (!claimed) {
+          throw new paylocityWebhook.WebhookAuthError('Delivery was already processed (replayed signature)', 409);
+        }
+      }
+    } catch (error) {
+      if (!(error instanceof paylocityWebhook.WebhookAuthError)) throw error;
+      await logWebhookDelivery(tenant.id, { ...delivery, status: 'rejected', httpStatus: error.status, error: error.message });
+      console.warn(`[Webhook] Rejected delivery tenant=${tenant.slug}: ${error.message}`);
+      return res.status(error.status).json({ error: error.message });
     }
 
-    const event = await db.createTimeOffEvent(tenant.id, {
-      companyId,
-      employeeId,
-      employeeName,
-      employeeEmail: employeeWorkEMailAddress,
-      costCenter1: employeeCostCenter1,
-      costCenter2: employeeCostCenter2,
-      costCenter3: employeeCostCenter3,
-      supervisorEmail: supervisorWorkEmail,
-      startDate: timeOffStartDate,
-      endDate: timeOffEndDate,
-      isAllDay: isAllDayEvent !== false,
-      hoursPerDay,
-      source: 'webhook'
-    });
+    const result = await processPaylocityTimeOff(req, tenant, req.body);
+    if (result.error) {
+      await recordWebhookOutcome(tenant.id, claimed, { ...delivery, status: 'failed', httpStatus: result.httpStatus, error: result.error });
+      return res.status(result.httpStatus).json({ error: result.error });
+    }
 
-    console.log(`[Webhook] Time off approved: ${employeeName} (${timeOffStartDate} - ${timeOffEndDate}) tenant=${tenant.slug}`);
-    res.status(200).json({ success: true, id: event.id });
+    const logged = await recordWebhookOutcome(tenant.id, claimed, { ...delivery, ...webhookResultDelivery(result) });
+    if (logged && result.event) {
+      await db.setTimeOffEventLastDelivery(result.event.id, logged.id);
+    }
+    res.status(200).json({ success: true, action: result.action, id: result.event ? result.event.id : null, ...(result.reason ? { reason: result.reason } : {}) });
   } catch (err) {
     console.error('[Webhook] Error:', err.message);
+    if (tenant) {
+      await recordWebhookOutcome(tenant.id, claimed, { ...delivery, status: 'failed', httpStatus: 500, error: err.message });
+    }
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Get calendar events (with optional date range filter)
-// Super admin without tenantId sees ALL tenants
-app.get('/api/calendar/events', requireAuth, async (req, res) => {
+// GET webhook settings of the current tenant (never the secret itself)
+app.get('/api/paylocity-webhook', requireAuth, requireAdmin, async (req, res) => {
   try {
     const tenantId = getEffectiveTenantId(req);
+    if (!tenantId) {
+      return res.status(400).json({ error: 'No tenant context' });
+    }
 
-    const { start, end } = req.query;
-    const events = await db.getTimeOffEvents(tenantId, start, end);
+    const [tenant, config] = await Promise.all([
+      db.getTenantById(tenantId),
+      db.getTenantWebhookConfig(tenantId)
+    ]);
+    if (!tenant) {
+      return res.status(404).json({ error: 'Tenant not found' });
+    }
 
-    // Transform to FullCalendar format
-    // FullCalendar treats 'end' as exclusive, so add 1 day to inclusive end_date
-    // pg returns DATE columns as JS Date objects, so convert to ISO string first
-    const calendarEvents = events.map(e => {
-      const startStr = e.start_date instanceof Date ? e.start_date.toISOString().split('T')[0] : e.start_date;
-      let endStr = e.end_date instanceof Date ? e.end_date.toISOString().split('T')[0] : e.end_date;
-      if (e.is_all_day && endStr) {
+    res.json({
+      path: `/api/webhook/paylocity/${tenant.slug}`,
+      authMode: config.authMode,
+      authModes: paylocityWebhook.AUTH_MODES,
+      hasSecret: tenant.has_webhook_secret,
+      previousSecretExpiresAt: config.previousExpiresAt,
+      toleranceSeconds: paylocityWebhook.TIMESTAMP_TOLERANCE_SECONDS,
+      headers: {
+        signature: paylocityWebhook.SIGNATURE_HEADER,
+        timestamp: paylocityWebhook.TIMESTAMP_HEADER,
+        secret: paylocityWebhook.SECRET_HEADER
+      }
+    });
+  } catch (error) {
+    console.error('Error getting webhook settings:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// UPDATE how Paylocity authenticates: HMAC signature or shared-secret header
+app.put('/api/paylocity-webhook/settings', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const tenantId = getEffectiveTenantId(req);
+    if (!tenantId) {
+      return res.status(400).json({ error: 'No tenant context' });
+    }
+
+    const { authMode } = req.body;
+    if (!paylocityWebhook.AUTH_MODES.includes(authMode)) {
+      return res.status(400).json({ error: `authMode must be one of: ${paylocityWebhook.AUTH_MODES.join(', ')}` });
+    }
+
+    const before = await db.getTenantWebhookConfig(tenantId);
+    const tenant = await db.setTenantWebhookAuthMode(tenantId, authMode);
+    if (!tenant) {
+      return res.status(404).json({ error: 'Tenant not found' });
+    }
+
+    await audit(req, 'tenant.webhook.update', {
+      tenantId,
+      targetType: 'tenant',
+      targetId: tenantId,
+      before: { authMode: before.authMode },
+      after: { authMode }
+    });
+    res.json({ authMode: tenant.paylocity_webhook_auth_mode });
+  } catch (error) {
+    console.error('Error updating webhook settings:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Generate a new webhook secret, shown only in this response. The previous one keeps
+// working for a grace period unless `revokePrevious` is set.
+app.post('/api/paylocity-webhook/rotate-secret', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const tenantId = getEffectiveTenantId(req);
+    if (!tenantId) {
+      return res.status(400).json({ error: 'No tenant context' });
+    }
+
+    const secret = paylocityWebhook.generateSecret();
+    const graceHours = req.body.revokePrevious ? 0 : paylocityWebhook.PREVIOUS_SECRET_GRACE_HOURS;
+    const tenant = await db.rotateTenantWebhookSecret(tenantId, secret, graceHours);
+    if (!tenant) {
+      return res.status(404).json({ error: 'Tenant not found' });
+    }
+
+    await audit(req, 'tenant.webhook.rotate_secret', {
+      tenantId,
+      targetType: 'tenant',
+      targetId: tenantId,
+      after: { previousSecretExpiresAt: tenant.paylocity_webhook_previous_expires_at }
+    });
+
+    res.json({ secret, previousSecretExpiresAt: tenant.paylocity_webhook_previous_expires_at });
+  } catch (error) {
+    console.error('Error rotating webhook secret:', error);
+    if (error instanceof keyEncryption.KeyEncryptionError) {
+      return res.status(500).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET webhook delivery log (paginated, newest first)
+app.get('/api/paylocity-webhook/deliveries', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const tenantId = getEffectiveTenantId(req);
+    if (!tenantId) {
+      return res.status(400).json({ error: 'No tenant context' });
+    }
+
+    const { status } = req.query;
+    if (status && !['processing', 'processed', 'ignored', 'rejected', 'failed'].includes(status)) {
+      return res.status(400).json({ error: 'status must be processed, rejected or failed' });
+    }
+
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const pageSize = Math.min(200, Math.max(1, parseInt(req.query.pageSize, 10) || 25));
+
+    const { results, total } = await db.getWebhookDeliveries(tenantId, { status }, page, pageSize);
+    res.json({ results, total, page, pageSize, totalPages: Math.max(1, Math.ceil(total / pageSize)) });
+  } catch (error) {
+    console.error('Error getting webhook deliveries:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Replay a failed delivery with its stored payload. Rejected deliveries (bad signature)
+// can't be replayed: their payload was never authenticated.
+app.post('/api/paylocity-webhook/deliveries/:id/replay', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const tenantId = getEffectiveTenantId(req);
+    if (!tenantId) {
+      return res.status(400).json({ error: 'No tenant context' });
+    }
+
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return res.status(400).json({ error: 'Invalid ID' });
+
+    const original = await db.getWebhookDelivery(id, tenantId);
+    if (!original) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+    if (original.status !== 'failed') {
+      return res.status(409).json({ error: 'Only failed deliveries can be replayed' });
+    }
+    if (original.replayed_id) {
+      return res.status(409).json({ error: `Delivery was already replayed successfully (#${original.replayed_id})` });
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(original.payload);
+    } catch (error) {
+      return res.status(400).json({ error: 'Stored payload is not valid JSON' });
+    }
+
+    const tenant = await db.getTenantById(tenantId);
+    const replay = { payload: original.payload, ip: req.ip, replayOf: original.id, replayedBy: req.user.id };
+
+    let result;
+    try {
+      result = await processPaylocityTimeOff(req, tenant, payload);
+    } catch (error) {
+      console.error('[Webhook] Replay error:', error.message);
+      result = { httpStatus: 500, error: error.message };
+    }
+
+    const delivery = await db.createWebhookDelivery(tenantId, result.error
+      ? { ...replay, status: 'failed', httpStatus: result.httpStatus, error: result.error }
+      : { ...replay, ...webhookResultDelivery(result) });
+    if (result.event) {
+      await db.setTimeOffEventLastDelivery(result.event.id, delivery.id);
+    }
+
+    await audit(req, 'webhook.replay', {
+      tenantId,
+      targetType: 'webhook_delivery',
+      targetId: original.id,
+      after: { replayId: delivery.id, status: delivery.status, error: delivery.error }
+    });
+
+    res.json(delivery);
+  } catch (error) {
+    console.error('Error replaying webhook delivery:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ==========================================
+// CALENDAR - TIME OFF EVENTS (Tenant-Scoped)
+// ==========================================
+
+// Query string value as a list: repeated params (?source=ics&source=csv) or a single one
+function queryList(value) {
+  const values = Array.isArray(value) ? value : (value === undefined ? [] : [value]);
+  return values.map(item => String(item).trim()).filter(Boolean);
+}
+
+// Calendar filters shared by the events list and the CSV export (see db.getTimeOffEvents)
+function parseTimeOffFilters(query) {
+  return {
+    costCenter1: queryList(query.costCenter1),
+    costCenter2: queryList(query.costCenter2),
+    costCenter3: queryList(query.costCenter3),
+    supervisorEmail: queryList(query.supervisor),
+    source: queryList(query.source),
+    employee: typeof query.employee === 'string' && query.employee.trim() ? query.employee.trim() : null
+  };
+}
+
+// Fields a color rule can match (case-insensitive, whole value) and their column
+const COLOR_RULE_FIELDS = {
+  costCenter1: { column: 'cost_center_1', label: 'Cost Center 1' },
+  costCenter2: { column: 'cost_center_2', label: 'Cost Center 2' },
+  costCenter3: { column: 'cost_center_3', label: 'Cost Center 3' },
+  supervisorEmail: { column: 'supervisor_email', label: 'Supervisor' },
+  source: { column: 'source', label: 'Source' }
+};
+
+const MAX_COLOR_RULES = 50;
+
+// Validated rules ({ field, value, color }) or { error }
+function normalizeColorRules(rules) {
+  if (!Array.isArray(rules)) return { error: 'rules must be a list' };
+  if (rules.length > MAX_COLOR_RULES) return { error: `Too many rules (max ${MAX_COLOR_RULES})` };
+
+  const normalized = [];
+  for (const [index, rule] of rules.entries()) {
+    const value = rule && typeof rule.value === 'string' ? rule.value.trim() : '';
+    if (!rule || !COLOR_RULE_FIELDS[rule.field]) {
+      return { error: `Rule ${index + 1}: field must be one of ${Object.keys(COLOR_RULE_FIELDS).join(', ')}` };
+    }
+    if (!value || value.length > 200) {
+      return { error: `Rule ${index + 1}: value is required (max 200 characters)` };
+    }
+    if (typeof rule.color !== 'string' || !/^#[0-9a-f]{6}$/i.test(rule.color)) {
+      return { error: `Rule ${index + 1}: color must be a hex color like #3788d8` };
+    }
+    normalized.push({ field: rule.field, value, color: rule.color.toLowerCase() });
+  }
+  return { rules: normalized };
+}
+
+// Index of the first rule the event matches, or -1
+function findColorRule(rules, event) {
+  return rules.findIndex(rule => {
+    const eventValue = event[COLOR_RULE_FIELDS[rule.field].column];
+    return !!eventValue && eventValue.toLowerCase() === rule.value.toLowerCase();
+  });
+}
+
+// Get calendar events (with optional date range and filters, see parseTimeOffFilters)
+// Super admin without tenantId sees ALL tenants
+app.get('/api/calendar/events', requireAuth, async (req, res) => {
+  try {
+    const tenantId = getEffectiveTenantId(req);
+
+    const { start, end } = req.query;
+    const events = await db.getTimeOffEvents(tenantId, start, end, parseTimeOffFilters(req.query));
+
+    // Color rules of each tenant in the result (one tenant unless a super admin sees them all)
+    const tenantIds = tenantId ? [tenantId] : [...new Set(events.map(e => e.tenant_id))];
+    const colorRules = new Map(await Promise.all(tenantIds.map(async id => [id, await db.getTenantColorRules(id)])));
+
+    // Transform to FullCalendar format
+    // FullCalendar treats 'end' as exclusive, so add 1 day to inclusive end_date
+    // pg returns DATE columns as JS Date objects, so convert to ISO string first
+    const calendarEvents = events.map(e => {
+      const rules = colorRules.get(e.tenant_id) || [];
+      const ruleIndex = findColorRule(rules, e);
+      const startStr = e.start_date instanceof Date ? e.start_date.toISOString().split('T')[0] : e.start_date;
+      let endStr = e.end_date instanceof Date ? e.end_date.toISOString().split('T')[0] : e.end_date;
+      if (e.is_all_day && endStr) {
         const d = new Date(endStr + 'T12:00:00');
         d.setDate(d.getDate() + 1);
         endStr = d.toISOString().split('T')[0];
       }
       return {
       id: e.id,
-      title: `${e.employee_name}${e.hours_per_day ? ` (${e.hours_per_day}h)` : ''}`,
+      title: `${e.employee_name}${e.hours_per_day ? ` (${e.hours_per_day}h)` : ''}${e.status === 'pending' ? ' (pending)' : ''}`,
       start: startStr,
       end: endStr,
       allDay: e.is_all_day,
-      color: e.color,
+      color: ruleIndex >= 0 ? rules[ruleIndex].color : e.color,
+      classNames: e.status === 'pending' ? ['event-pending'] : [],
       extendedProps: {
+        status: e.status,
+        requestNote: e.request_note,
         employeeName: e.employee_name,
         employeeEmail: e.employee_email,
         supervisorEmail: e.supervisor_email,
@@ -1707,8 +2613,13 @@ app.get('/api/calendar/events', requireAuth, async (req, res) => {
         costCenter3: e.cost_center_3,
         hoursPerDay: e.hours_per_day,
         source: e.source,
+        externalRequestId: e.external_request_id,
+        lastDeliveryId: e.last_delivery_id,
         createdAt: e.created_at,
-        tenantName: e.tenant_name
+        updatedAt: e.updated_at,
+        tenantName: e.tenant_name,
+        colorRule: ruleIndex >= 0 ? ruleIndex : null,
+        canEdit: canManageTimeOffEvent(req, e)
       }
     };
     });
@@ -1720,8 +2631,68 @@ app.get('/api/calendar/events', requireAuth, async (req, res) => {
   }
 });
 
-// Create manual time off event
-// Requires tenant context (super admin must use ?tenantId=X)
+// Values to filter the calendar by
+app.get('/api/calendar/filter-options', requireAuth, async (req, res) => {
+  try {
+    const options = await db.getTimeOffFilterOptions(getEffectiveTenantId(req));
+    res.json({
+      costCenter1: options.cost_center_1,
+      costCenter2: options.cost_center_2,
+      costCenter3: options.cost_center_3,
+      supervisors: options.supervisor_email,
+      sources: options.source
+    });
+  } catch (err) {
+    console.error('[Calendar] Error getting filter options:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Color rules of the tenant (first match wins; events no rule matches keep their own color)
+app.get('/api/calendar/color-rules', requireAuth, async (req, res) => {
+  try {
+    const tenantId = getEffectiveTenantId(req);
+    if (!tenantId) return res.status(400).json({ error: 'Tenant context required. Super admin: use ?tenantId=X' });
+
+    const fields = Object.fromEntries(Object.entries(COLOR_RULE_FIELDS).map(([field, { label }]) => [field, label]));
+    res.json({ fields, rules: await db.getTenantColorRules(tenantId) });
+  } catch (err) {
+    console.error('[Calendar] Error getting color rules:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// REPLACE color rules: { rules: [{ field, value, color }] }, in priority order
+app.put('/api/calendar/color-rules', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const tenantId = getEffectiveTenantId(req);
+    if (!tenantId) return res.status(400).json({ error: 'Tenant context required. Super admin: use ?tenantId=X' });
+
+    const { rules, error } = normalizeColorRules(req.body.rules);
+    if (error) return res.status(400).json({ error });
+
+    const before = await db.getTenantColorRules(tenantId);
+    const saved = await db.setTenantColorRules(tenantId, rules);
+    if (!saved) {
+      return res.status(404).json({ error: 'Tenant not found' });
+    }
+    await audit(req, 'tenant.color_rules.update', {
+      tenantId,
+      targetType: 'tenant',
+      targetId: tenantId,
+      before: { rules: before },
+      after: { rules: saved }
+    });
+    res.json({ rules: saved });
+  } catch (err) {
+    console.error('[Calendar] Error saving color rules:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create manual time off event. Calendar managers add it approved for anyone; other users
+// add their own (pending until their supervisor on file approves it) or a report's (approved:
+// the supervisor is the approver). Requires tenant context (super admin must use ?tenantId=X)
 app.post('/api/calendar/events', requireAuth, async (req, res) => {
   try {
     const tenantId = getEffectiveTenantId(req);
@@ -1732,25 +2703,124 @@ app.post('/api/calendar/events', requireAuth, async (req, res) => {
     if (!employeeName || !startDate || !endDate) {
       return res.status(400).json({ error: 'Missing required fields: employeeName, startDate, endDate' });
     }
+    if (!isValidDateString(startDate) || !isValidDateString(endDate)) {
+      return res.status(400).json({ error: 'startDate and endDate must be valid dates (YYYY-MM-DD)' });
+    }
+    if (endDate < startDate) {
+      return res.status(400).json({ error: 'endDate cannot be before startDate' });
+    }
+
+    let employeeEmail = req.body.employeeEmail || null;
+    let supervisorEmail = req.body.supervisorEmail || null;
+    let pending = false;
+    if (!isCalendarManager(req)) {
+      const ownEmail = req.user.email;
+      if (!employeeEmail || employeeEmail.toLowerCase() === ownEmail.toLowerCase()) {
+        // Own time off needs approval; the approver comes from the records on file, never the body
+        employeeEmail = ownEmail;
+        supervisorEmail = await db.getSupervisorOnFile(tenantId, ownEmail);
+        pending = true;
+      } else if (await db.isSupervisorOf(tenantId, ownEmail, employeeEmail)) {
+        supervisorEmail = ownEmail;
+      } else {
+        return res.status(403).json({ error: 'You can only add time off for yourself or your reports' });
+      }
+    }
 
     const event = await db.createTimeOffEvent(tenantId, {
       employeeName,
+      employeeEmail,
+      supervisorEmail,
       startDate,
       endDate,
       isAllDay: isAllDay !== false,
       hoursPerDay,
       color,
-      source: 'manual'
+      source: 'manual',
+      status: pending ? 'pending' : 'approved',
+      requestedBy: pending ? req.user.id : null
     });
 
-    res.status(201).json({ success: true, id: event.id });
+    await audit(req, pending ? 'time_off.request' : 'time_off.create', { tenantId, targetType: 'time_off_event', targetId: event.id, after: event });
+    res.status(201).json({ success: true, id: event.id, status: event.status });
   } catch (err) {
     console.error('[Calendar] Error creating event:', err.message);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Delete time off event
+// Update time off event (partial: only the fields sent change; source and created_at are kept)
+// Scoped like delete: tenant users only reach their tenant, super admin without tenantId any tenant
+app.put('/api/calendar/events/:id', requireAuth, async (req, res) => {
+  try {
+    const tenantId = getEffectiveTenantId(req);
+
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return res.status(400).json({ error: 'Invalid ID' });
+
+    const before = await db.getTimeOffEventById(id, tenantId);
+    if (!before) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+    if (!canManageTimeOffEvent(req, before)) {
+      return res.status(403).json({ error: 'You can only change your own or your reports\' time off' });
+    }
+
+    const toDateString = (value) => value instanceof Date ? value.toISOString().split('T')[0] : value;
+    const body = req.body;
+    const data = {
+      employeeName: body.employeeName !== undefined ? body.employeeName : before.employee_name,
+      startDate: body.startDate !== undefined ? body.startDate : toDateString(before.start_date),
+      endDate: body.endDate !== undefined ? body.endDate : toDateString(before.end_date),
+      isAllDay: body.isAllDay !== undefined ? body.isAllDay !== false : before.is_all_day,
+      hoursPerDay: body.hoursPerDay !== undefined ? body.hoursPerDay : before.hours_per_day,
+      color: body.color !== undefined ? body.color : before.color
+    };
+
+    if (!data.employeeName || !String(data.employeeName).trim()) {
+      return res.status(400).json({ error: 'employeeName cannot be empty' });
+    }
+    if (!isValidDateString(data.startDate) || !isValidDateString(data.endDate)) {
+      return res.status(400).json({ error: 'startDate and endDate must be valid dates (YYYY-MM-DD)' });
+    }
+    if (data.endDate < data.startDate) {
+      return res.status(400).json({ error: 'endDate cannot be before startDate' });
+    }
+    if (data.hoursPerDay !== null && data.hoursPerDay !== '' && !(Number(data.hoursPerDay) > 0 && Number(data.hoursPerDay) <= 24)) {
+      return res.status(400).json({ error: 'hoursPerDay must be between 0 and 24' });
+    }
+
+    // An employee changing their own approved time off needs approval again. Their supervisor
+    // (the approver) and calendar managers change it and it stays approved.
+    const datesChanged = data.startDate !== toDateString(before.start_date) || data.endDate !== toDateString(before.end_date)
+      || Number(data.hoursPerDay || 0) !== Number(before.hours_per_day || 0);
+    const email = (req.user.email || '').toLowerCase();
+    const isOwnEvent = !!before.employee_email && before.employee_email.toLowerCase() === email;
+    const isEventSupervisor = !!before.supervisor_email && before.supervisor_email.toLowerCase() === email;
+    if (!isCalendarManager(req) && isOwnEvent && !isEventSupervisor && before.status === 'approved' && datesChanged) {
+      if (!before.supervisor_email) {
+        return res.status(403).json({ error: 'This time off is approved and has no supervisor on file to approve the change; ask an admin' });
+      }
+      data.resubmittedBy = req.user.id;
+    }
+
+    const event = await db.updateTimeOffEvent(id, tenantId, data);
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    await audit(req, data.resubmittedBy ? 'time_off.resubmit' : 'time_off.update', {
+      tenantId: event.tenant_id, targetType: 'time_off_event', targetId: id, before, after: event
+    });
+    res.json({ success: true, id: event.id, status: event.status });
+  } catch (err) {
+    console.error('[Calendar] Error updating event:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Remove time off from the calendar: soft cancel (status 'cancelled'), never a hard delete, so
+// Paylocity / ICS events keep their external_key and a webhook resend does not recreate them as new
 app.delete('/api/calendar/events/:id', requireAuth, async (req, res) => {
   try {
     const tenantId = getEffectiveTenantId(req);
@@ -1758,147 +2828,1110 @@ app.delete('/api/calendar/events/:id', requireAuth, async (req, res) => {
     const id = parseInt(req.params.id, 10);
     if (isNaN(id)) return res.status(400).json({ error: 'Invalid ID' });
 
-    const result = await db.deleteTimeOffEvent(id, tenantId);
+    const event = await db.getTimeOffEventById(id, tenantId);
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+    if (!canManageTimeOffEvent(req, event)) {
+      return res.status(403).json({ error: 'You can only cancel your own or your reports\' time off' });
+    }
+
+    const result = await db.cancelTimeOffEvent(id, tenantId);
     if (!result) {
       return res.status(404).json({ error: 'Event not found' });
     }
+    await audit(req, 'time_off.cancel', { tenantId: result.tenant_id, targetType: 'time_off_event', targetId: id, before: event, after: result });
 
     res.json({ success: true });
   } catch (err) {
-    console.error('[Calendar] Error deleting event:', err.message);
+    console.error('[Calendar] Error cancelling event:', err.message);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Check availability / conflicts
+// Check availability / conflicts. Each conflict reports the working days it loses (weekends,
+// holidays and hours_per_day taken into account): `lost` for the whole event, `lostInRange`
+// for the days inside start-end.
 app.get('/api/calendar/conflicts', requireAuth, async (req, res) => {
   try {
     const tenantId = getEffectiveTenantId(req);
 
-    const { start, end } = req.query;
+    const { start, end, includePending } = req.query;
     if (!start || !end) {
       return res.status(400).json({ error: 'Missing required params: start, end' });
     }
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    if (!datePattern.test(start) || !datePattern.test(end)) {
+      return res.status(400).json({ error: 'start and end must be YYYY-MM-DD' });
+    }
+
+    const rows = await db.getTimeOffConflicts(tenantId, start, end, includePending === 'true');
+    const calendars = await loadWorkCalendars(rows, start, end);
+    const conflicts = rows.map(row => {
+      const calendar = calendars.get(row.tenant_id);
+      return {
+        ...row,
+        start_date: workCalendar.toDateString(row.start_date),
+        end_date: workCalendar.toDateString(row.end_date),
+        lost: workCalendar.timeOffLost(calendar, row),
+        lostInRange: workCalendar.timeOffLost(calendar, row, start, end)
+      };
+    });
+    const workingDaysLost = conflicts.reduce((sum, conflict) => sum + conflict.lostInRange.daysLost, 0);
 
-    const conflicts = await db.getTimeOffConflicts(tenantId, start, end);
-    res.json({ conflicts, count: conflicts.length, range: { start, end } });
+    res.json({
+      conflicts,
+      count: conflicts.length,
+      range: { start, end },
+      workingDaysLost: Math.round(workingDaysLost * 100) / 100
+    });
   } catch (err) {
     console.error('[Calendar] Error checking conflicts:', err.message);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// ICS file import
-// Requires tenant context (super admin must use ?tenantId=X)
-app.post('/api/calendar/import/ics', requireAuth, async (req, res) => {
+// ==========================================
+// CALENDAR - HOLIDAYS / WORKING DAYS (Work calendar)
+// ==========================================
+
+// Días (no eventos) que acepta un import de feriados
+const MAX_HOLIDAY_IMPORT_DAYS = 1000;
+
+// Work calendar of each tenant in rows (time off events), with the holidays between start-end
+// and every row's own dates
+async function loadWorkCalendars(rows, start, end) {
+  let from = start;
+  let to = end;
+  for (const row of rows) {
+    const rowStart = workCalendar.toDateString(row.start_date);
+    const rowEnd = workCalendar.toDateString(row.end_date);
+    if (rowStart < from) from = rowStart;
+    if (rowEnd > to) to = rowEnd;
+  }
+  const tenantIds = [...new Set(rows.map(row => row.tenant_id))];
+  const entries = await Promise.all(tenantIds.map(async id => [
+    id,
+    workCalendar.createWorkCalendar(await db.getWorkCalendar(id, from, to))
+  ]));
+  return new Map(entries);
+}
+
+// Working days and holidays between start and end (YYYY-MM-DD, inclusive)
+app.get('/api/calendar/holidays', requireAuth, async (req, res) => {
   try {
     const tenantId = getEffectiveTenantId(req);
     if (!tenantId) return res.status(400).json({ error: 'Tenant context required. Super admin: use ?tenantId=X' });
 
-    const icsText = req.body;
-    if (!icsText || typeof icsText !== 'string') {
-      return res.status(400).json({ error: 'No ICS content provided' });
+    const { start, end } = req.query;
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    if (!datePattern.test(start || '') || !datePattern.test(end || '')) {
+      return res.status(400).json({ error: 'start and end are required (YYYY-MM-DD)' });
     }
 
-    const events = parseICS(icsText);
-    if (events.length === 0) {
-      return res.status(400).json({ error: 'No events found in ICS file' });
-    }
+    const { workingDays, holidays } = await db.getWorkCalendar(tenantId, start, end);
+    res.json({ workingDays: workingDays || workCalendar.DEFAULT_WORKING_DAYS, holidays });
+  } catch (err) {
+    console.error('[Calendar] Error getting holidays:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    let imported = 0;
-    for (const event of events) {
-      await db.createTimeOffEvent(tenantId, {
-        employeeName: event.summary || 'Imported Event',
-        employeeEmail: event.email || null,
-        startDate: event.start,
-        endDate: event.end || event.start,
-        isAllDay: event.isAllDay,
-        source: 'ics',
-        color: '#9b59b6'
-      });
-      imported++;
+// UPDATE working days: { workingDays: [1..7] } (ISO weekdays, 1 = Monday)
+app.put('/api/calendar/working-days', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const tenantId = getEffectiveTenantId(req);
+    if (!tenantId) return res.status(400).json({ error: 'Tenant context required. Super admin: use ?tenantId=X' });
+
+    const workingDays = workCalendar.normalizeWorkingDays(req.body.workingDays);
+    if (!workingDays) {
+      return res.status(400).json({ error: 'workingDays must be a non-empty list of weekdays from 1 (Monday) to 7 (Sunday)' });
     }
 
-    console.log(`[ICS] Imported ${imported} events for tenant ${tenantId}`);
-    res.json({ success: true, imported });
+    const before = await db.getTenantWorkingDays(tenantId);
+    const saved = await db.setTenantWorkingDays(tenantId, workingDays);
+    if (!saved) {
+      return res.status(404).json({ error: 'Tenant not found' });
+    }
+    await audit(req, 'tenant.working_days.update', {
+      tenantId,
+      targetType: 'tenant',
+      targetId: tenantId,
+      before: { workingDays: before },
+      after: { workingDays: saved }
+    });
+    res.json({ workingDays: saved });
   } catch (err) {
-    console.error('[ICS] Error:', err.message);
-    res.status(500).json({ error: 'Error parsing ICS file' });
+    console.error('[Calendar] Error updating working days:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// ICS parser helper
-function parseICS(icsText) {
-  const events = [];
-  const lines = icsText.replace(/\r\n /g, '').replace(/\r\n\t/g, '').split(/\r?\n/);
-  let current = null;
+// CREATE holiday: { date, name }. A date that already has one gets renamed.
+app.post('/api/calendar/holidays', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const tenantId = getEffectiveTenantId(req);
+    if (!tenantId) return res.status(400).json({ error: 'Tenant context required. Super admin: use ?tenantId=X' });
 
-  for (const line of lines) {
-    if (line === 'BEGIN:VEVENT') {
-      current = { _rawEndIsAllDay: false };
-    } else if (line === 'END:VEVENT' && current) {
-      // ICS all-day DTEND is exclusive (e.g. Mon-Fri = DTSTART:Mon, DTEND:Sat)
-      // We store inclusive end dates in the DB, so subtract 1 day
-      if (current.isAllDay && current.end) {
-        const d = new Date(current.end + 'T12:00:00');
-        d.setDate(d.getDate() - 1);
-        current.end = d.toISOString().split('T')[0];
-      }
-      if (current.start) events.push(current);
-      current = null;
-    } else if (current) {
-      const colonIdx = line.indexOf(':');
-      if (colonIdx === -1) continue;
-      const key = line.substring(0, colonIdx);
-      const value = line.substring(colonIdx + 1);
-      const baseProp = key.split(';')[0];
-
-      switch (baseProp) {
-        case 'SUMMARY':
-          current.summary = value;
-          break;
-        case 'DTSTART':
-          current.start = parseICSDate(value);
-          current.isAllDay = value.length === 8 || key.includes('VALUE=DATE');
-          break;
-        case 'DTEND':
-          current.end = parseICSDate(value);
-          break;
-        case 'ATTENDEE': {
-          const emailMatch = value.match(/mailto:(.+)/i);
-          if (emailMatch) current.email = emailMatch[1];
-          break;
-        }
-      }
+    const { date } = req.body;
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '') || Number.isNaN(Date.parse(date))) {
+      return res.status(400).json({ error: 'date is required (YYYY-MM-DD)' });
+    }
+    if (!name || name.length > 200) {
+      return res.status(400).json({ error: 'name is required (max 200 characters)' });
     }
-  }
-  return events;
-}
 
-function parseICSDate(str) {
-  // DATE only format: 20260323
-  if (str.length === 8) {
-    return `${str.substring(0, 4)}-${str.substring(4, 6)}-${str.substring(6, 8)}`;
-  }
-  // DATETIME format: 20260323T090000Z - extract date part only
-  const clean = str.replace('Z', '');
-  if (clean.length >= 15) {
-    return `${clean.substring(0, 4)}-${clean.substring(4, 6)}-${clean.substring(6, 8)}`;
+    const holiday = await db.createTenantHoliday(tenantId, date, name);
+    await audit(req, 'holiday.create', { tenantId, targetType: 'holiday', targetId: holiday.id, after: holiday });
+    res.status(holiday.created ? 201 : 200).json(holiday);
+  } catch (err) {
+    console.error('[Calendar] Error creating holiday:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
   }
-  return str;
-}
+});
 
-// ==========================================
-// START SERVER
-// ==========================================
+// DELETE holiday
+app.delete('/api/calendar/holidays/:id', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const tenantId = getEffectiveTenantId(req);
+    if (!tenantId) return res.status(400).json({ error: 'Tenant context required. Super admin: use ?tenantId=X' });
 
-app.listen(port, () => {
-  console.log(`Server running on port ${port}`);
+    const id = parseInt(req.params.id, 10);
+    const holiday = await db.deleteTenantHoliday(id, tenantId);
+    if (!holiday) {
+      return res.status(404).json({ error: 'Holiday not found' });
+    }
+    await audit(req, 'holiday.delete', { tenantId, targetType: 'holiday', targetId: id, before: holiday });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('[Calendar] Error deleting holiday:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// IMPORT holidays from an ICS file (text/calendar body). Every day of each all-day event
+// (recurrences expanded) becomes a holiday; timed events are skipped.
+app.post('/api/calendar/holidays/import/ics', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const tenantId = getEffectiveTenantId(req);
+    if (!tenantId) return res.status(400).json({ error: 'Tenant context required. Super admin: use ?tenantId=X' });
+
+    const icsText = req.body;
+    if (!icsText || typeof icsText !== 'string') {
+      return res.status(400).json({ error: 'No ICS content provided' });
+    }
+    if (!/BEGIN:VCALENDAR/i.test(icsText)) {
+      return res.status(400).json({ error: 'Not an iCalendar file (BEGIN:VCALENDAR not found)' });
+    }
+
+    const tenant = await db.getTenantById(tenantId);
+    const { events, skipped, warnings } = ics.parseCalendar(icsText, { timezone: tenant && tenant.timezone });
+
+    const byDate = new Map();
+    let timedSkipped = 0;
+    for (const event of events) {
+      if (!event.isAllDay) {
+        timedSkipped++;
+        continue;
+      }
+      const name = (event.summary || 'Holiday').slice(0, 200);
+      for (const date of workCalendar.eachDay(event.startDate, event.endDate)) {
+        if (!byDate.has(date)) byDate.set(date, { date, name });
+      }
+    }
+    if (timedSkipped > 0) warnings.push(`${timedSkipped} timed event(s) skipped: only all-day events are holidays`);
+    if (byDate.size === 0) {
+      return res.status(400).json({ error: 'No all-day events found in ICS file', skipped, warnings });
+    }
+    if (byDate.size > MAX_HOLIDAY_IMPORT_DAYS) {
+      return res.status(400).json({ error: `Too many holiday days (${byDate.size}, max ${MAX_HOLIDAY_IMPORT_DAYS})` });
+    }
+
+    const saved = await db.importTenantHolidays(tenantId, [...byDate.values()]);
+    const created = saved.filter(holiday => holiday.created).length;
+    const summary = { created, updated: saved.length - created, skipped: skipped + timedSkipped };
+
+    await audit(req, 'holiday.import', { tenantId, targetType: 'holiday', after: { source: 'ics', ...summary } });
+
+    console.log(`[Holidays] Imported for tenant ${tenantId}: ${summary.created} created, ${summary.updated} updated`);
+    res.json({ success: true, imported: saved.length, summary, warnings });
+  } catch (err) {
+    console.error('[Holidays] Error importing ICS:', err.message);
+    res.status(500).json({ error: 'Error parsing ICS file' });
+  }
+});
+
+// ==========================================
+// CALENDAR - COVERAGE (Inbox staffing rules)
+// ==========================================
+
+// Per-day, per-inbox staffing between start and end (YYYY-MM-DD, inclusive) and the days where an
+// inbox is below its minimum on duty (see coverage.js). Time off is linked to users by email.
+// Weekends and holidays have no rule; totals are the working days lost per inbox.
+// Optional: includePending=true; employeeEmail (+ hoursPerDay) checks a new event for that
+// employee spanning start-end before it is created: causedBreaches lists the breaches it would add.
+app.get('/api/calendar/coverage', requireAuth, async (req, res) => {
+  try {
+    const tenantId = getEffectiveTenantId(req);
+    if (!tenantId) return res.status(400).json({ error: 'Tenant context required. Super admin: use ?tenantId=X' });
+
+    const { start, end, employeeEmail } = req.query;
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    if (!datePattern.test(start || '') || !datePattern.test(end || '')) {
+      return res.status(400).json({ error: 'start and end are required (YYYY-MM-DD)' });
+    }
+    if (end < start) {
+      return res.status(400).json({ error: 'end must be on or after start' });
+    }
+    const spanDays = (Date.parse(end) - Date.parse(start)) / (24 * 60 * 60 * 1000) + 1;
+    if (spanDays > coverage.MAX_RANGE_DAYS) {
+      return res.status(400).json({ error: `Range too long (max ${coverage.MAX_RANGE_DAYS} days)` });
+    }
+
+    const [inboxes, timeOff, calendar] = await Promise.all([
+      db.getCoverageInboxes(tenantId),
+      db.getLinkedTimeOff(tenantId, start, end, req.query.includePending === 'true'),
+      db.getWorkCalendar(tenantId, start, end)
+    ]);
+
+    let hypothetical = null;
+    if (employeeEmail) {
+      const hoursPerDay = req.query.hoursPerDay ? parseFloat(req.query.hoursPerDay) : null;
+      hypothetical = { userIds: await db.getActiveUserIdsByEmail(tenantId, employeeEmail), hoursPerDay };
+    }
+
+    const result = coverage.computeCoverage({
+      inboxes,
+      timeOff,
+      hypothetical,
+      calendar: workCalendar.createWorkCalendar(calendar)
+    }, start, end);
+    res.json({
+      start,
+      end,
+      rules: inboxes
+        .filter(inbox => inbox.min_on_duty !== null)
+        .map(inbox => ({ inboxId: inbox.id, inboxName: inbox.name, members: inbox.members.length, minOnDuty: inbox.min_on_duty })),
+      ...result
+    });
+  } catch (err) {
+    console.error('[Calendar] Error computing coverage:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ==========================================
+// CALENDAR - USAGE (Balances per employee)
+// ==========================================
+
+// Header of the group column in the CSV, per groupBy
+const USAGE_GROUP_HEADERS = { employee: 'Employee', costCenter1: 'Cost Center 1', supervisor: 'Supervisor' };
+
+// year (default: this one) and groupBy (default: employee) of a usage request, or { error }
+function parseUsageQuery(req) {
+  const year = req.query.year === undefined ? new Date().getFullYear() : Number(req.query.year);
+  if (!Number.isInteger(year) || year < 2000 || year > 2100) {
+    return { error: 'year must be a 4-digit year' };
+  }
+  const groupBy = req.query.groupBy || 'employee';
+  if (!usage.GROUP_BY_OPTIONS.includes(groupBy)) {
+    return { error: `groupBy must be one of: ${usage.GROUP_BY_OPTIONS.join(', ')}` };
+  }
+  return { year, groupBy };
+}
+
+// Days and hours used in `year` (working days, see usage.js) with allowances and remaining balance.
+// Admins see the whole tenant; everyone else their own time off and their reports'.
+async function buildUsageReport(req, tenantId, year, groupBy) {
+  const start = `${year}-01-01`;
+  const end = `${year}-12-31`;
+  const visibleToEmail = isCalendarManager(req) ? null : (req.user.email || '');
+
+  const [events, allAllowances, calendar] = await Promise.all([
+    db.getTimeOffUsageEvents(tenantId, start, end, visibleToEmail),
+    db.getTimeOffAllowances(tenantId, year),
+    db.getWorkCalendar(tenantId, start, end)
+  ]);
+
+  // Per-employee allowances of people the user can't see stay out of the report
+  const visibleEmails = new Set(events.map(event => (event.employee_email || '').toLowerCase()));
+  if (visibleToEmail) visibleEmails.add(visibleToEmail.toLowerCase());
+  const allowances = allAllowances.filter(allowance =>
+    !allowance.employee_email || !visibleToEmail || visibleEmails.has(allowance.employee_email));
+
+  const work = workCalendar.createWorkCalendar(calendar);
+  const defaultAllowance = allowances.find(allowance => !allowance.employee_email);
+  return {
+    year,
+    groupBy,
+    workingDays: workCalendar.countWorkingDays(work, start, end),
+    defaultAllowanceDays: defaultAllowance ? defaultAllowance.days : null,
+    ...usage.computeUsage({ events, allowances, calendar: work }, year, groupBy)
+  };
+}
+
+// GET /api/calendar/usage?year=2026&groupBy=employee|costCenter1|supervisor
+app.get('/api/calendar/usage', requireAuth, async (req, res) => {
+  try {
+    const tenantId = getEffectiveTenantId(req);
+    if (!tenantId) return res.status(400).json({ error: 'Tenant context required. Super admin: use ?tenantId=X' });
+
+    const { year, groupBy, error } = parseUsageQuery(req);
+    if (error) return res.status(400).json({ error });
+
+    res.json(await buildUsageReport(req, tenantId, year, groupBy));
+  } catch (err) {
+    console.error('[Calendar] Error computing usage:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Same report as a CSV download
+app.get('/api/calendar/usage.csv', requireAuth, async (req, res) => {
+  try {
+    const tenantId = getEffectiveTenantId(req);
+    if (!tenantId) return res.status(400).json({ error: 'Tenant context required. Super admin: use ?tenantId=X' });
+
+    const { year, groupBy, error } = parseUsageQuery(req);
+    if (error) return res.status(400).json({ error });
+
+    const report = await buildUsageReport(req, tenantId, year, groupBy);
+    const isEmployee = groupBy === 'employee';
+    const rows = [[
+      USAGE_GROUP_HEADERS[groupBy],
+      isEmployee ? 'Email' : 'Employees',
+      'Events',
+      'Used Days',
+      'Used Hours',
+      'Pending Days',
+      'Allowance Days',
+      'Remaining Days'
+    ]];
+    for (const row of report.rows) {
+      rows.push([
+        row.label,
+        isEmployee ? row.employeeEmail : row.employees,
+        row.events,
+        row.usedDays,
+        row.usedHours,
+        row.pendingDays,
+        row.allowanceDays,
+        row.remainingDays
+      ]);
+    }
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="time-off-usage_${year}_${groupBy}.csv"`);
+    res.send(csv.stringify(rows));
+  } catch (err) {
+    console.error('[CSV] Error exporting usage:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// SET a yearly allowance: { year, employeeEmail (omit for the tenant default), days }.
+// days null or '' removes it.
+app.put('/api/calendar/allowances', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const tenantId = getEffectiveTenantId(req);
+    if (!tenantId) return res.status(400).json({ error: 'Tenant context required. Super admin: use ?tenantId=X' });
+
+    const year = Number(req.body.year);
+    if (!Number.isInteger(year) || year < 2000 || year > 2100) {
+      return res.status(400).json({ error: 'year must be a 4-digit year' });
+    }
+    const employeeEmail = typeof req.body.employeeEmail === 'string' && req.body.employeeEmail.trim()
+      ? req.body.employeeEmail.trim()
+      : null;
+    const { days } = req.body;
+    const remove = days === null || days === undefined || days === '';
+    if (!remove && (!Number.isFinite(Number(days)) || Number(days) < 0 || Number(days) > 366)) {
+      return res.status(400).json({ error: 'days must be a number from 0 to 366 (empty removes the allowance)' });
+    }
+
+    const before = (await db.getTimeOffAllowances(tenantId, year))
+      .find(allowance => allowance.employee_email === (employeeEmail ? employeeEmail.toLowerCase() : null)) || null;
+    const allowance = remove
+      ? await db.deleteTimeOffAllowance(tenantId, year, employeeEmail)
+      : await db.setTimeOffAllowance(tenantId, year, employeeEmail, Number(days));
+
+    await audit(req, 'time_off.allowance.update', {
+      tenantId,
+      targetType: 'time_off_allowance',
+      before: before && { year, employeeEmail: before.employee_email, days: before.days },
+      after: remove ? null : { year, employeeEmail: allowance.employee_email, days: allowance.days }
+    });
+    res.json(remove ? { success: true } : allowance);
+  } catch (err) {
+    console.error('[Calendar] Error setting allowance:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ==========================================
+// CALENDAR - TIME OFF REQUESTS (Approval workflow)
+// ==========================================
+
+// The supervisor named on the request (supervisor_email) or an admin decides it
+function canDecideTimeOffRequest(req, event) {
+  if (isCalendarManager(req)) return true;
+  return !!event.supervisor_email && event.supervisor_email.toLowerCase() === (req.user.email || '').toLowerCase();
+}
+
+// List requests: scope=mine (own requests) or scope=approvals (requests to decide:
+// the user's reports, or every request of the tenant for admins). Optional status filter.
+app.get('/api/calendar/requests', requireAuth, async (req, res) => {
+  try {
+    const tenantId = getEffectiveTenantId(req);
+    const { scope = 'mine', status } = req.query;
+    if (!['mine', 'approvals'].includes(scope)) {
+      return res.status(400).json({ error: 'scope must be mine or approvals' });
+    }
+    if (status && !['pending', 'approved', 'rejected', 'cancelled'].includes(status)) {
+      return res.status(400).json({ error: 'Invalid status' });
+    }
+
+    const filters = { status };
+    if (scope === 'mine') {
+      filters.employeeEmail = req.user.email;
+    } else if (!isCalendarManager(req)) {
+      filters.supervisorEmail = req.user.email;
+    }
+
+    const requests = await db.getTimeOffRequests(tenantId, filters);
+    res.json(requests.map(request => ({
+      ...request,
+      canDecide: request.status === 'pending' && canDecideTimeOffRequest(req, request),
+      canCancel: ['pending', 'approved'].includes(request.status) && canManageTimeOffEvent(req, request)
+    })));
+  } catch (err) {
+    console.error('[Calendar] Error listing requests:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Request time off for yourself. It shows on the calendar as pending until the supervisor on file decides.
+app.post('/api/calendar/requests', requireAuth, async (req, res) => {
+  try {
+    const tenantId = getEffectiveTenantId(req);
+    if (!tenantId) return res.status(400).json({ error: 'Tenant context required. Super admin: use ?tenantId=X' });
+
+    const { startDate, endDate, isAllDay, hoursPerDay, color, note } = req.body;
+    if (!isValidDateString(startDate) || !isValidDateString(endDate)) {
+      return res.status(400).json({ error: 'startDate and endDate must be valid dates (YYYY-MM-DD)' });
+    }
+    if (endDate < startDate) {
+      return res.status(400).json({ error: 'endDate cannot be before startDate' });
+    }
+
+    // The approver always comes from the records on file, never from the request
+    const supervisorEmail = await db.getSupervisorOnFile(tenantId, req.user.email);
+    if (!supervisorEmail) {
+      return res.status(400).json({ error: 'No supervisor on file for you yet; ask an admin to add your time off or supervisor' });
+    }
+    if (supervisorEmail.toLowerCase() === req.user.email.toLowerCase()) {
+      return res.status(400).json({ error: 'You cannot approve your own request' });
+    }
+
+    const event = await db.createTimeOffEvent(tenantId, {
+      employeeName: req.body.employeeName || req.user.name,
+      employeeEmail: req.user.email,
+      supervisorEmail,
+      startDate,
+      endDate,
+      isAllDay: isAllDay !== false,
+      hoursPerDay,
+      color,
+      source: 'request',
+      status: 'pending',
+      requestNote: note,
+      requestedBy: req.user.id
+    });
+
+    await audit(req, 'time_off.request', { tenantId, targetType: 'time_off_event', targetId: event.id, after: event });
+    res.status(201).json(event);
+  } catch (err) {
+    console.error('[Calendar] Error creating request:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Approve or reject a pending request ({ note } optional)
+async function handleTimeOffDecision(req, res, status) {
+  try {
+    const tenantId = getEffectiveTenantId(req);
+
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return res.status(400).json({ error: 'Invalid ID' });
+
+    const request = await db.getTimeOffEventById(id, tenantId);
+    if (!request) {
+      return res.status(404).json({ error: 'Request not found' });
+    }
+    if (request.status !== 'pending') {
+      return res.status(409).json({ error: `Request is already ${request.status}` });
+    }
+    if (!canDecideTimeOffRequest(req, request)) {
+      return res.status(403).json({ error: 'Only the supervisor on the request or an admin can decide it' });
+    }
+    if (request.requested_by === req.user.id && !isSuperAdmin(req)) {
+      return res.status(403).json({ error: 'You cannot decide your own request' });
+    }
+
+    const event = await db.decideTimeOffRequest(id, tenantId, status, req.user.id, req.body.note || null);
+    if (!event) {
+      return res.status(409).json({ error: 'Request is no longer pending' });
+    }
+
+    await audit(req, status === 'approved' ? 'time_off.approve' : 'time_off.reject', {
+      tenantId: event.tenant_id,
+      targetType: 'time_off_event',
+      targetId: id,
+      before: request,
+      after: event
+    });
+    res.json(event);
+  } catch (err) {
+    console.error('[Calendar] Error deciding request:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+app.post('/api/calendar/requests/:id/approve', requireAuth, (req, res) => handleTimeOffDecision(req, res, 'approved'));
+app.post('/api/calendar/requests/:id/reject', requireAuth, (req, res) => handleTimeOffDecision(req, res, 'rejected'));
+
+// Withdraw a pending or approved request (the employee, their supervisor or an admin)
+app.post('/api/calendar/requests/:id/cancel', requireAuth, async (req, res) => {
+  try {
+    const tenantId = getEffectiveTenantId(req);
+
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return res.status(400).json({ error: 'Invalid ID' });
+
+    const request = await db.getTimeOffEventById(id, tenantId);
+    if (!request) {
+      return res.status(404).json({ error: 'Request not found' });
+    }
+    if (!canManageTimeOffEvent(req, request)) {
+      return res.status(403).json({ error: 'You can only cancel your own or your reports\' time off' });
+    }
+
+    const event = await db.cancelTimeOffEvent(id, tenantId);
+    if (!event) {
+      return res.status(409).json({ error: 'Request can no longer be cancelled' });
+    }
+
+    await audit(req, 'time_off.cancel', { tenantId: event.tenant_id, targetType: 'time_off_event', targetId: id, before: request, after: event });
+    res.json(event);
+  } catch (err) {
+    console.error('[Calendar] Error cancelling request:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ==========================================
+// CALENDAR - ICS FEEDS (Subscribable, secret URL)
+// ==========================================
+
+// Window of events published by a feed, relative to today
+const CALENDAR_FEED_PAST_DAYS = 90;
+const CALENDAR_FEED_FUTURE_DAYS = 365;
+
+// Subscription URLs for a feed secret (only known when the feed is created or rotated)
+function calendarFeedUrls(req, token) {
+  const url = `${req.protocol}://${req.get('host')}/api/calendar/feed/${token}.ics`;
+  return { url, webcalUrl: url.replace(/^https?:/, 'webcal:') };
+}
+
+// The owner or a calendar admin manages a feed
+function canManageCalendarFeed(req, feed) {
+  return isCalendarManager(req) || feed.system_user_id === req.user.id;
+}
+
+// Public: the secret in the URL is the credential. Unknown, revoked or rotated secrets get a 404.
+app.get('/api/calendar/feed/:file', async (req, res) => {
+  try {
+    const match = req.params.file.match(/^(.+)\.ics$/);
+    if (!match || !match[1].startsWith(ics.FEED_TOKEN_PREFIX)) {
+      return res.status(404).send('Not found');
+    }
+
+    const feed = await db.useCalendarFeed(ics.hashFeedToken(match[1]));
+    if (!feed) {
+      return res.status(404).send('Not found');
+    }
+
+    const today = new Date();
+    const from = new Date(today.getTime() - CALENDAR_FEED_PAST_DAYS * 24 * 60 * 60 * 1000);
+    const to = new Date(today.getTime() + CALENDAR_FEED_FUTURE_DAYS * 24 * 60 * 60 * 1000);
+    const events = await db.getCalendarFeedEvents(
+      feed.tenant_id,
+      feed.filters,
+      from.toISOString().split('T')[0],
+      to.toISOString().split('T')[0]
+    );
+
+    const body = ics.buildCalendar(events, { name: `${feed.tenant_name} - ${feed.name}`, uidDomain: feed.tenant_slug });
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="time-off.ics"');
+    res.set('Cache-Control', 'private, max-age=300');
+    res.send(body);
+  } catch (err) {
+    console.error('[Calendar Feed] Error:', err.message);
+    res.status(500).send('Internal server error');
+  }
+});
+
+// GET feeds: your own (admins: every feed of the tenant). The URLs are never returned here.
+app.get('/api/calendar/feeds', requireAuth, async (req, res) => {
+  try {
+    const tenantId = getEffectiveTenantId(req);
+    if (!tenantId) return res.status(400).json({ error: 'Tenant context required. Super admin: use ?tenantId=X' });
+
+    const feeds = await db.getCalendarFeeds(tenantId, isCalendarManager(req) ? null : req.user.id);
+    res.json(feeds.map(feed => ({ ...feed, canManage: canManageCalendarFeed(req, feed) })));
+  } catch (err) {
+    console.error('[Calendar Feed] Error listing feeds:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// CREATE feed. Body: { name, scope?: 'user' | 'tenant' (admins), costCenter?, employeeEmail?, includePending? }
+// 'user' feeds stop working when their owner is deactivated; 'tenant' feeds don't.
+// The URL is only returned in this response (and when rotating).
+app.post('/api/calendar/feeds', requireAuth, async (req, res) => {
+  try {
+    const tenantId = getEffectiveTenantId(req);
+    if (!tenantId) return res.status(400).json({ error: 'Tenant context required. Super admin: use ?tenantId=X' });
+
+    const { name, scope = 'user', costCenter, employeeEmail, includePending } = req.body;
+    if (!name || typeof name !== 'string' || name.trim().length === 0 || name.length > 100) {
+      return res.status(400).json({ error: 'name is required (max 100 characters)' });
+    }
+    if (!['user', 'tenant'].includes(scope)) {
+      return res.status(400).json({ error: 'scope must be user or tenant' });
+    }
+    if (scope === 'tenant' && !isCalendarManager(req)) {
+      return res.status(403).json({ error: 'Only admins can create tenant feeds' });
+    }
+    if (costCenter && (typeof costCenter !== 'string' || costCenter.length > 100)) {
+      return res.status(400).json({ error: 'costCenter must be a string (max 100 characters)' });
+    }
+    if (employeeEmail && (typeof employeeEmail !== 'string' || !employeeEmail.includes('@'))) {
+      return res.status(400).json({ error: 'employeeEmail must be an email address' });
+    }
+
+    const { token, tokenPrefix, tokenHash } = ics.generateFeedToken();
+    const feed = await db.createCalendarFeed(tenantId, req.user.id, {
+      scope,
+      name: name.trim(),
+      tokenPrefix,
+      tokenHash,
+      filters: {
+        costCenter: costCenter ? costCenter.trim() : null,
+        employeeEmail: employeeEmail ? employeeEmail.trim().toLowerCase() : null,
+        includePending: includePending === true
+      }
+    });
+
+    await audit(req, 'calendar_feed.create', { tenantId, targetType: 'calendar_feed', targetId: feed.id, after: feed });
+    res.status(201).json({ ...feed, ...calendarFeedUrls(req, token) });
+  } catch (err) {
+    console.error('[Calendar Feed] Error creating feed:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ROTATE feed secret: same feed and filters, new URL (the old one stops working)
+app.post('/api/calendar/feeds/:id/rotate', requireAuth, async (req, res) => {
+  try {
+    const tenantId = getEffectiveTenantId(req);
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return res.status(400).json({ error: 'Invalid ID' });
+
+    const existing = tenantId ? await db.getCalendarFeedById(id, tenantId) : null;
+    if (!existing || !canManageCalendarFeed(req, existing)) {
+      return res.status(404).json({ error: 'Feed not found' });
+    }
+
+    const { token, tokenPrefix, tokenHash } = ics.generateFeedToken();
+    const feed = await db.rotateCalendarFeed(id, tokenPrefix, tokenHash);
+    if (!feed) {
+      return res.status(409).json({ error: 'Feed was revoked' });
+    }
+
+    await audit(req, 'calendar_feed.rotate', { tenantId, targetType: 'calendar_feed', targetId: id, before: existing, after: feed });
+    res.json({ ...feed, ...calendarFeedUrls(req, token) });
+  } catch (err) {
+    console.error('[Calendar Feed] Error rotating feed:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// REVOKE feed
+app.delete('/api/calendar/feeds/:id', requireAuth, async (req, res) => {
+  try {
+    const tenantId = getEffectiveTenantId(req);
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return res.status(400).json({ error: 'Invalid ID' });
+
+    const existing = tenantId ? await db.getCalendarFeedById(id, tenantId) : null;
+    if (!existing || !canManageCalendarFeed(req, existing)) {
+      return res.status(404).json({ error: 'Feed not found' });
+    }
+
+    const feed = await db.revokeCalendarFeed(id);
+    if (!feed) {
+      return res.status(409).json({ error: 'Feed was already revoked' });
+    }
+
+    await audit(req, 'calendar_feed.revoke', { tenantId, targetType: 'calendar_feed', targetId: id, before: existing, after: feed });
+    res.json({ message: 'Feed revoked', feed });
+  } catch (err) {
+    console.error('[Calendar Feed] Error revoking feed:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Compares an existing event with a parsed ICS occurrence (dates as 'YYYY-MM-DD', see
+// db.getTimeOffEventsByExternalKeys) to tell a re-import of the same file from a real change
+function icsEventChanged(existing, data) {
+  return existing.employee_name !== data.employeeName ||
+    (existing.employee_email || null) !== data.employeeEmail ||
+    existing.start_date !== data.startDate ||
+    existing.end_date !== data.endDate ||
+    existing.is_all_day !== data.isAllDay ||
+    (existing.hours_per_day || null) !== data.hoursPerDay;
+}
+
+// ICS file import (RFC 5545, see ics.js). Events are matched by UID, so importing the same file
+// again updates them instead of creating duplicates; unchanged events are not touched.
+// ?preview=true returns what would be imported (action: create, update, unchanged) without saving.
+// Requires tenant context (super admin must use ?tenantId=X)
+app.post('/api/calendar/import/ics', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const tenantId = getEffectiveTenantId(req);
+    if (!tenantId) return res.status(400).json({ error: 'Tenant context required. Super admin: use ?tenantId=X' });
+
+    const icsText = req.body;
+    if (!icsText || typeof icsText !== 'string') {
+      return res.status(400).json({ error: 'No ICS content provided' });
+    }
+    if (!/BEGIN:VCALENDAR/i.test(icsText)) {
+      return res.status(400).json({ error: 'Not an iCalendar file (BEGIN:VCALENDAR not found)' });
+    }
+
+    const tenant = await db.getTenantById(tenantId);
+    const { events, skipped, warnings } = ics.parseCalendar(icsText, { timezone: tenant && tenant.timezone });
+    if (events.length === 0) {
+      return res.status(400).json({ error: 'No events found in ICS file', skipped, warnings });
+    }
+
+    const existing = new Map(
+      (await db.getTimeOffEventsByExternalKeys(tenantId, events.map(event => event.externalKey)))
+        .map(row => [row.external_key, row])
+    );
+
+    const planned = events.map(event => {
+      const data = {
+        employeeName: event.summary || 'Imported Event',
+        employeeEmail: event.email,
+        startDate: event.startDate,
+        endDate: event.endDate,
+        isAllDay: event.isAllDay,
+        hoursPerDay: event.hoursPerDay
+      };
+      const current = existing.get(event.externalKey);
+      const action = !current ? 'create' : (icsEventChanged(current, data) ? 'update' : 'unchanged');
+      return { externalKey: event.externalKey, uid: event.uid, recurrenceKey: event.recurrenceKey, action, eventId: current ? current.id : null, ...data };
+    });
+
+    const summary = { create: 0, update: 0, unchanged: 0, skipped };
+    for (const item of planned) summary[item.action]++;
+
+    if (req.query.preview === 'true') {
+      return res.json({ preview: true, summary, warnings, events: planned });
+    }
+
+    for (const item of planned) {
+      if (item.action === 'unchanged') continue;
+      const { event } = await db.upsertTimeOffEventByExternalKey(tenantId, item.externalKey, {
+        ...item,
+        source: 'ics',
+        color: '#9b59b6'
+      });
+      item.eventId = event.id;
+    }
+
+    await audit(req, 'time_off.import', {
+      tenantId,
+      targetType: 'time_off_event',
+      after: { source: 'ics', created: summary.create, updated: summary.update, unchanged: summary.unchanged, skipped }
+    });
+
+    console.log(`[ICS] Imported for tenant ${tenantId}: ${summary.create} created, ${summary.update} updated, ${summary.unchanged} unchanged`);
+    res.json({ success: true, imported: summary.create + summary.update, summary, warnings });
+  } catch (err) {
+    console.error('[ICS] Error:', err.message);
+    res.status(500).json({ error: 'Error parsing ICS file' });
+  }
+});
+
+// ==========================================
+// CALENDAR - CSV IMPORT / EXPORT
+// ==========================================
+
+const MAX_CSV_IMPORT_ROWS = 5000;
+
+// Import fields (createTimeOffEvent) and the headers recognized for each one when the request
+// has no mapping (compared lowercase, ignoring spaces and punctuation). The export uses the first one.
+const TIME_OFF_CSV_FIELDS = {
+  employeeName: ['Employee', 'Employee Name', 'Name', 'Full Name'],
+  employeeEmail: ['Email', 'Employee Email', 'Work Email', 'E-mail'],
+  startDate: ['Start Date', 'Start', 'From', 'First Day'],
+  endDate: ['End Date', 'End', 'To', 'Last Day'],
+  hoursPerDay: ['Hours Per Day', 'Hours', 'Hours/Day'],
+  costCenter1: ['Cost Center 1', 'Cost Center', 'Department'],
+  costCenter2: ['Cost Center 2'],
+  costCenter3: ['Cost Center 3'],
+  supervisorEmail: ['Supervisor Email', 'Supervisor', 'Manager Email']
+};
+
+const normalizeCsvHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Column index of each field: explicit mapping ({ field: 'Header' }) or the known headers.
+// Returns { columns, errors }.
+function resolveCsvColumns(headers, mapping) {
+  const normalized = headers.map(normalizeCsvHeader);
+  const columns = {};
+  const errors = [];
+
+  for (const field of Object.keys(mapping)) {
+    if (!TIME_OFF_CSV_FIELDS[field]) errors.push(`Unknown field "${field}". Valid: ${Object.keys(TIME_OFF_CSV_FIELDS).join(', ')}`);
+  }
+
+  for (const [field, aliases] of Object.entries(TIME_OFF_CSV_FIELDS)) {
+    if (mapping[field]) {
+      const index = normalized.indexOf(normalizeCsvHeader(mapping[field]));
+      if (index === -1) errors.push(`Column "${mapping[field]}" (for ${field}) not found`);
+      else columns[field] = index;
+    } else {
+      const index = normalized.findIndex(header => aliases.some(alias => normalizeCsvHeader(alias) === header));
+      if (index !== -1) columns[field] = index;
+    }
+  }
+
+  for (const field of ['employeeName', 'startDate']) {
+    if (columns[field] === undefined && !mapping[field]) errors.push(`No column for ${field} (map it or use a "${TIME_OFF_CSV_FIELDS[field][0]}" header)`);
+  }
+  return { columns, errors };
+}
+
+// 'YYYY-MM-DD', 'YYYY/MM/DD' or US 'M/D/YYYY' (Excel) -> 'YYYY-MM-DD'; null if not a real date
+function parseCsvDate(value) {
+  let match = value.match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})$/);
+  let year, month, day;
+  if (match) {
+    [, year, month, day] = match.map(Number);
+  } else {
+    match = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/);
+    if (!match) return null;
+    [, month, day, year] = match.map(Number);
+    if (year < 100) year += 2000;
+  }
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return date.toISOString().split('T')[0];
+}
+
+// One data row -> { data, errors } (createTimeOffEvent fields)
+function validateCsvRow(row, columns) {
+  const value = (field) => (columns[field] === undefined ? '' : String(row[columns[field]] || '').trim());
+  const errors = [];
+
+  const data = {
+    employeeName: value('employeeName'),
+    employeeEmail: value('employeeEmail') || null,
+    supervisorEmail: value('supervisorEmail') || null,
+    costCenter1: value('costCenter1') || null,
+    costCenter2: value('costCenter2') || null,
+    costCenter3: value('costCenter3') || null,
+    isAllDay: true,
+    hoursPerDay: null
+  };
+
+  if (!data.employeeName) errors.push('Employee name is required');
+  else if (data.employeeName.length > 200) errors.push('Employee name is too long (max 200 characters)');
+  for (const field of ['employeeEmail', 'supervisorEmail']) {
+    if (data[field] && !/^[^\s@]+@[^\s@]+$/.test(data[field])) errors.push(`Invalid ${field}: "${data[field]}"`);
+  }
+
+  const startRaw = value('startDate');
+  const endRaw = value('endDate') || startRaw;
+  data.startDate = parseCsvDate(startRaw);
+  data.endDate = parseCsvDate(endRaw);
+  if (!startRaw) errors.push('Start date is required');
+  else if (!data.startDate) errors.push(`Invalid start date "${startRaw}" (use YYYY-MM-DD or M/D/YYYY)`);
+  if (startRaw && !data.endDate) errors.push(`Invalid end date "${endRaw}" (use YYYY-MM-DD or M/D/YYYY)`);
+  if (data.startDate && data.endDate && data.endDate < data.startDate) errors.push('End date is before start date');
+
+  const hours = value('hoursPerDay');
+  if (hours) {
+    data.hoursPerDay = Number(hours.replace(',', '.'));
+    if (isNaN(data.hoursPerDay) || data.hoursPerDay <= 0 || data.hoursPerDay > 24) errors.push(`Invalid hours per day "${hours}" (0-24)`);
+  }
+
+  return { data, errors };
+}
+
+// CSV import (HR spreadsheets of approved leave). Body: the CSV (text/csv), first row = headers.
+// Query: mode=all (default: any invalid row aborts the import) or mode=best_effort (valid rows are
+// imported, invalid ones reported); mapping={"employeeName":"Full Name",...} (JSON) for other headers.
+// Errors are reported by row number in the file (the header is row 1).
+// Requires tenant context (super admin must use ?tenantId=X)
+app.post('/api/calendar/import/csv', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const tenantId = getEffectiveTenantId(req);
+    if (!tenantId) return res.status(400).json({ error: 'Tenant context required. Super admin: use ?tenantId=X' });
+
+    const csvText = req.body;
+    if (!csvText || typeof csvText !== 'string') {
+      return res.status(400).json({ error: 'No CSV content provided (send it as text/csv)' });
+    }
+
+    const mode = req.query.mode || 'all';
+    if (!['all', 'best_effort'].includes(mode)) {
+      return res.status(400).json({ error: 'mode must be all or best_effort' });
+    }
+
+    let mapping = {};
+    if (req.query.mapping) {
+      try {
+        mapping = JSON.parse(req.query.mapping);
+      } catch (error) {
+        mapping = null;
+      }
+      if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+        return res.status(400).json({ error: 'mapping must be a JSON object: {"field": "Column header"}' });
+      }
+    }
+
+    const [headers, ...rows] = csv.parse(csvText);
+    if (!headers || rows.length === 0) {
+      return res.status(400).json({ error: 'The CSV needs a header row and at least one data row' });
+    }
+    if (rows.length > MAX_CSV_IMPORT_ROWS) {
+      return res.status(400).json({ error: `Too many rows (${rows.length}); the limit is ${MAX_CSV_IMPORT_ROWS} per file` });
+    }
+
+    const { columns, errors: mappingErrors } = resolveCsvColumns(headers, mapping);
+    if (mappingErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid column mapping', details: mappingErrors, headers });
+    }
+    const columnMapping = Object.fromEntries(Object.entries(columns).map(([field, index]) => [field, headers[index]]));
+
+    const valid = [];
+    const errors = [];
+    for (const row of rows) {
+      const { data, errors: rowErrors } = validateCsvRow(row, columns);
+      if (rowErrors.length > 0) errors.push({ row: row.line, errors: rowErrors });
+      else valid.push({ ...data, source: 'csv' });
+    }
+
+    if (mode === 'all' && errors.length > 0) {
+      return res.status(400).json({
+        error: `${errors.length} row(s) have errors; nothing was imported`,
+        imported: 0,
+        failed: errors.length,
+        errors,
+        mapping: columnMapping
+      });
+    }
+
+    const created = valid.length > 0 ? await db.createTimeOffEvents(tenantId, valid) : [];
+
+    await audit(req, 'time_off.import', {
+      tenantId,
+      targetType: 'time_off_event',
+      after: { source: 'csv', mode, imported: created.length, failed: errors.length }
+    });
+
+    console.log(`[CSV] Imported ${created.length} events for tenant ${tenantId} (${errors.length} row(s) with errors, mode=${mode})`);
+    res.json({ success: true, imported: created.length, failed: errors.length, errors, mapping: columnMapping });
+  } catch (err) {
+    console.error('[CSV] Error:', err.message);
+    res.status(500).json({ error: 'Error importing CSV file' });
+  }
+});
+
+// CSV export for Excel. Same filters as /api/calendar/events: ?start=&end= and the tenant context
+// (super admin without tenantId exports every tenant, with a Tenant column). Headers match the import.
+app.get('/api/calendar/export.csv', requireAuth, async (req, res) => {
+  try {
+    const tenantId = getEffectiveTenantId(req);
+    const { start, end } = req.query;
+    for (const date of [start, end]) {
+      if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        return res.status(400).json({ error: 'start and end must be YYYY-MM-DD' });
+      }
+    }
+
+    const events = await db.getTimeOffEvents(tenantId, start, end, parseTimeOffFilters(req.query));
+    const toDate = (value) => (value instanceof Date ? value.toISOString().split('T')[0] : value);
+    const fields = Object.keys(TIME_OFF_CSV_FIELDS);
+    const columnOf = {
+      employeeName: 'employee_name',
+      employeeEmail: 'employee_email',
+      startDate: 'start_date',
+      endDate: 'end_date',
+      hoursPerDay: 'hours_per_day',
+      costCenter1: 'cost_center_1',
+      costCenter2: 'cost_center_2',
+      costCenter3: 'cost_center_3',
+      supervisorEmail: 'supervisor_email'
+    };
+
+    const rows = [[
+      ...(tenantId ? [] : ['Tenant']),
+      ...fields.map(field => TIME_OFF_CSV_FIELDS[field][0]),
+      'Status',
+      'Source'
+    ]];
+    for (const e of events) {
+      rows.push([
+        ...(tenantId ? [] : [e.tenant_name]),
+        ...fields.map(field => toDate(e[columnOf[field]])),
+        e.status,
+        e.source
+      ]);
+    }
+
+    const filename = ['time-off', start, end].filter(Boolean).join('_');
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${filename}.csv"`);
+    res.send(csv.stringify(rows));
+  } catch (err) {
+    console.error('[CSV] Error exporting:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ==========================================
+// START SERVER
+// ==========================================
+
+app.listen(port, () => {
+  console.log(`Server running on port ${port}`);
+
+  // Pick up report jobs queued before a restart
+  reportJobs.startWorker();
 
   // Start cache scheduler in production or when explicitly enabled
   if (process.env.NODE_ENV === 'production' || process.env.RUN_SCHEDULER === 'true') {
     const cacheScheduler = require('./cache-scheduler');
     console.log('Starting cache scheduler...');
     cacheScheduler.scheduleJobs();
+    frontSync.scheduleJobs();
   }
 });
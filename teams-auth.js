@@ -0,0 +1,195 @@
+/**
+ * Teams SSO Token Validation
+ * Verifica tokens de Azure AD enviados por el Teams SDK (firma, audiencia, emisor, vigencia y tenant)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+require('dotenv').config();
+
+const manifest = require('./teams-app/manifest.json');
+
+// Azure AD signing keys (shared by v1 and v2 endpoints)
+const JWKS_URL = process.env.TEAMS_SSO_JWKS_URL || 'https://login.microsoftonline.com/common/discovery/v2.0/keys';
+
+// Local stand-in key set ({ keys: [...] }) used instead of Azure AD, e.g. for tests
+const JWKS_PATH = process.env.TEAMS_SSO_JWKS_PATH || null;
+
+const JWKS_CACHE_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+const JWKS_MIN_REFRESH_MS = 5 * 60 * 1000;      // Don't refetch more than every 5 minutes on unknown kid
+const CLOCK_SKEW_SECONDS = 300;
+
+// Accepted audiences: the Teams app resource URI and its client ID
+const ALLOWED_AUDIENCES = [
+  process.env.TEAMS_SSO_AUDIENCE || manifest.webApplicationInfo.resource,
+  manifest.webApplicationInfo.id
+].filter(Boolean);
+
+let jwksCache = { keys: null, fetchedAt: 0 };
+
+/**
+ * Error de validación con un código de motivo estable para la respuesta 401
+ */
+class TokenValidationError extends Error {
+  constructor(reason, message) {
+    super(message);
+    this.name = 'TokenValidationError';
+    this.reason = reason;
+  }
+}
+
+function base64UrlDecode(str) {
+  return Buffer.from(str.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+/**
+ * Separa el JWT en header, payload y firma sin validar nada todavía
+ */
+function decodeToken(token) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) {
+    throw new TokenValidationError('malformed', 'Token is not a JWT');
+  }
+
+  try {
+    return {
+      header: JSON.parse(base64UrlDecode(parts[0]).toString('utf8')),
+      payload: JSON.parse(base64UrlDecode(parts[1]).toString('utf8')),
+      signature: base64UrlDecode(parts[2]),
+      signingInput: `${parts[0]}.${parts[1]}`
+    };
+  } catch (error) {
+    throw new TokenValidationError('malformed', 'Token header or payload is not valid JSON');
+  }
+}
+
+/**
+ * Obtiene el key set (local o de Azure AD), con cache en memoria
+ */
+async function getSigningKeys(forceRefresh = false) {
+  const age = Date.now() - jwksCache.fetchedAt;
+  if (jwksCache.keys && age < JWKS_CACHE_TTL_MS && !(forceRefresh && age > JWKS_MIN_REFRESH_MS)) {
+    return jwksCache.keys;
+  }
+
+  let jwks;
+  if (JWKS_PATH) {
+    jwks = JSON.parse(fs.readFileSync(JWKS_PATH, 'utf8'));
+  } else {
+    const response = await fetch(JWKS_URL, { headers: { Accept: 'application/json' } });
+    if (!response.ok) {
+      throw new Error(`Failed to fetch Azure AD signing keys: ${response.status}`);
+    }
+    jwks = await response.json();
+  }
+
+  jwksCache = { keys: jwks.keys || [], fetchedAt: Date.now() };
+  return jwksCache.keys;
+}
+
+/**
+ * Reemplaza el key set en memoria (para tests con claves locales)
+ */
+function setSigningKeys(keys) {
+  jwksCache = { keys, fetchedAt: Date.now() };
+}
+
+async function findSigningKey(kid) {
+  let keys = await getSigningKeys();
+  let jwk = keys.find(k => k.kid === kid);
+
+  // Azure AD rota claves: si el kid no está, refrescar una vez
+  if (!jwk) {
+    keys = await getSigningKeys(true);
+    jwk = keys.find(k => k.kid === kid);
+  }
+  return jwk;
+}
+
+function verifySignature(decoded, jwk) {
+  if (decoded.header.alg !== 'RS256') {
+    throw new TokenValidationError('unsupported_algorithm', `Unsupported token algorithm: ${decoded.header.alg}`);
+  }
+
+  let publicKey;
+  try {
+    publicKey = crypto.createPublicKey({ key: { kty: jwk.kty, n: jwk.n, e: jwk.e }, format: 'jwk' });
+  } catch (error) {
+    throw new TokenValidationError('signing_key_invalid', 'Signing key could not be loaded');
+  }
+
+  const valid = crypto.verify('RSA-SHA256', Buffer.from(decoded.signingInput), publicKey, decoded.signature);
+  if (!valid) {
+    throw new TokenValidationError('signature_invalid', 'Token signature is invalid');
+  }
+}
+
+function verifyClaims(payload) {
+  const now = Math.floor(Date.now() / 1000);
+
+  const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+  if (!audiences.some(aud => ALLOWED_AUDIENCES.includes(aud))) {
+    throw new TokenValidationError('audience_invalid', `Token audience ${payload.aud} is not accepted`);
+  }
+
+  if (!payload.tid) {
+    throw new TokenValidationError('tenant_missing', 'Token has no tid claim');
+  }
+
+  const validIssuers = [
+    `https://login.microsoftonline.com/${payload.tid}/v2.0`,
+    `https://sts.windows.net/${payload.tid}/`
+  ];
+  if (!validIssuers.includes(payload.iss)) {
+    throw new TokenValidationError('issuer_invalid', `Token issuer ${payload.iss} is not accepted`);
+  }
+
+  if (typeof payload.exp !== 'number' || payload.exp + CLOCK_SKEW_SECONDS < now) {
+    throw new TokenValidationError('token_expired', 'Token has expired');
+  }
+
+  if (typeof payload.nbf === 'number' && payload.nbf - CLOCK_SKEW_SECONDS > now) {
+    throw new TokenValidationError('token_not_yet_valid', 'Token is not valid yet');
+  }
+}
+
+/**
+ * Valida un token de Teams SSO y devuelve su payload.
+ * Lanza TokenValidationError con `reason` si algo no cuadra.
+ */
+async function verifyTeamsToken(token) {
+  const decoded = decodeToken(token);
+
+  if (!decoded.header.kid) {
+    throw new TokenValidationError('signing_key_missing', 'Token header has no kid');
+  }
+
+  const jwk = await findSigningKey(decoded.header.kid);
+  if (!jwk) {
+    throw new TokenValidationError('signing_key_unknown', `No signing key found for kid ${decoded.header.kid}`);
+  }
+
+  verifySignature(decoded, jwk);
+  verifyClaims(decoded.payload);
+
+  return decoded.payload;
+}
+
+/**
+ * Comprueba que el tid del token coincide con el Azure AD tenant esperado
+ */
+function verifyTokenTenant(payload, expectedAzureTenantId) {
+  if (!expectedAzureTenantId) {
+    throw new TokenValidationError('tenant_not_configured', 'No Azure tenant ID configured for this account');
+  }
+  if (payload.tid.toLowerCase() !== expectedAzureTenantId.toLowerCase()) {
+    throw new TokenValidationError('tenant_mismatch', 'Token was issued by a different Azure AD tenant');
+  }
+}
+
+module.exports = {
+  TokenValidationError,
+  verifyTeamsToken,
+  verifyTokenTenant,
+  setSigningKeys
+};
@@ -0,0 +1,98 @@
+/**
+ * Rangos del cache scheduler (getDateRange) en la zona del tenant, alrededor de los
+ * cambios de horario (DST). Un rango cubre días locales completos: empieza a la medianoche
+ * local del primer día y termina en el último segundo del último día, aunque ese día
+ * tenga 23 o 25 horas.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const tz = require('../timezone');
+const { getDateRange } = require('../cache-scheduler');
+
+const HOUR = 3600;
+const DAY = 24 * HOUR;
+
+function localDate(timezone, unixSeconds) {
+  return tz.getLocalDateString(timezone, new Date(unixSeconds * 1000));
+}
+
+// Whole local days from firstDay to lastDay, nothing before or after
+function assertWholeDays(timezone, range, firstDay, lastDay) {
+  assert.equal(localDate(timezone, range.start), firstDay);
+  assert.notEqual(localDate(timezone, range.start - 1), firstDay);
+  assert.equal(localDate(timezone, range.end), lastDay);
+  assert.notEqual(localDate(timezone, range.end + 1), lastDay);
+}
+
+test('lastWeek over the spring-forward week (America/New_York) is 23 hours short', () => {
+  // DST empieza el domingo 2026-03-08
+  const range = getDateRange('lastWeek', 'America/New_York', new Date('2026-03-16T15:00:00Z'));
+  assert.equal(range.start, Date.UTC(2026, 2, 8, 5) / 1000); // 00:00 EST
+  assert.equal(range.end, Date.UTC(2026, 2, 15, 3, 59, 59) / 1000); // 23:59:59 EDT
+  assert.equal(range.end - range.start + 1, 7 * DAY - HOUR);
+  assertWholeDays('America/New_York', range, '2026-03-08', '2026-03-14');
+});
+
+test('lastWeek over the fall-back week (America/New_York) has one extra hour', () => {
+  // DST termina el domingo 2026-11-01
+  const range = getDateRange('lastWeek', 'America/New_York', new Date('2026-11-09T15:00:00Z'));
+  assert.equal(range.start, Date.UTC(2026, 10, 1, 4) / 1000); // 00:00 EDT
+  assert.equal(range.end, Date.UTC(2026, 10, 8, 4, 59, 59) / 1000); // 23:59:59 EST
+  assert.equal(range.end - range.start + 1, 7 * DAY + HOUR);
+  assertWholeDays('America/New_York', range, '2026-11-01', '2026-11-07');
+});
+
+test('lastMonth for the spring-forward month (America/New_York)', () => {
+  const range = getDateRange('lastMonth', 'America/New_York', new Date('2026-04-10T15:00:00Z'));
+  assert.equal(range.start, Date.UTC(2026, 2, 1, 5) / 1000);
+  assert.equal(range.end, Date.UTC(2026, 3, 1, 3, 59, 59) / 1000);
+  assert.equal(range.end - range.start + 1, 31 * DAY - HOUR);
+  assertWholeDays('America/New_York', range, '2026-03-01', '2026-03-31');
+});
+
+test('lastMonth for the fall-back month (America/New_York)', () => {
+  const range = getDateRange('lastMonth', 'America/New_York', new Date('2026-12-03T15:00:00Z'));
+  assert.equal(range.start, Date.UTC(2026, 10, 1, 4) / 1000);
+  assert.equal(range.end, Date.UTC(2026, 11, 1, 4, 59, 59) / 1000);
+  assert.equal(range.end - range.start + 1, 30 * DAY + HOUR);
+  assertWholeDays('America/New_York', range, '2026-11-01', '2026-11-30');
+});
+
+test('"now" is read in the tenant zone, not UTC', () => {
+  // Domingo 2026-03-15 02:00 UTC todavía es sábado 14 en Nueva York: la semana pasada es la del 1 al 7
+  const range = getDateRange('lastWeek', 'America/New_York', new Date('2026-03-15T02:00:00Z'));
+  assertWholeDays('America/New_York', range, '2026-03-01', '2026-03-07');
+});
+
+test('lastWeek when midnight does not exist (America/Santiago spring forward)', () => {
+  // En Chile el reloj pasa de 00:00 a 01:00 el domingo 2026-09-06: el rango empieza a la 01:00
+  const range = getDateRange('lastWeek', 'America/Santiago', new Date('2026-09-14T15:00:00Z'));
+  assert.equal(range.start, Date.UTC(2026, 8, 6, 4) / 1000);
+  assert.equal(range.end - range.start + 1, 7 * DAY - HOUR);
+  assertWholeDays('America/Santiago', range, '2026-09-06', '2026-09-12');
+});
+
+test('lastMonth for the fall-back month (America/Santiago)', () => {
+  // DST termina el domingo 2026-04-05
+  const range = getDateRange('lastMonth', 'America/Santiago', new Date('2026-05-04T15:00:00Z'));
+  assert.equal(range.end - range.start + 1, 30 * DAY + HOUR);
+  assertWholeDays('America/Santiago', range, '2026-04-01', '2026-04-30');
+});
+
+test('lastQuarter with the spring-forward change (America/New_York)', () => {
+  // Q1 2026 (enero a marzo) incluye el cambio del 2026-03-08
+  const range = getDateRange('lastQuarter', 'America/New_York', new Date('2026-04-01T15:00:00Z'));
+  assert.equal(range.start, Date.UTC(2026, 0, 1, 5) / 1000); // 00:00 EST
+  assert.equal(range.end, Date.UTC(2026, 3, 1, 3, 59, 59) / 1000); // 23:59:59 EDT
+  assert.equal(range.end - range.start + 1, 90 * DAY - HOUR);
+  assertWholeDays('America/New_York', range, '2026-01-01', '2026-03-31');
+});
+
+test('lastQuarter with the fall-back change (America/New_York)', () => {
+  // Q4 2026 (octubre a diciembre) incluye el cambio del 2026-11-01; "now" en Q1 del año siguiente
+  const range = getDateRange('lastQuarter', 'America/New_York', new Date('2027-02-01T15:00:00Z'));
+  assert.equal(range.end - range.start + 1, 92 * DAY + HOUR);
+  assertWholeDays('America/New_York', range, '2026-10-01', '2026-12-31');
+});
@@ -0,0 +1,141 @@
+/**
+ * Cliente de Front (front-client.js) contra un fetch falso: reintentos por 429, errores
+ * tipados y polling de reportes de analytics. sleep y now son un reloj falso, así los
+ * tests no esperan de verdad y se puede ver cuánto habría esperado el cliente.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const front = require('../front-client');
+
+const BASE_URL = 'https://front.test';
+const API_KEY = 'Bearer test-key';
+
+function response(status, body, headers = {}) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: new Headers(headers),
+    json: async () => body
+  };
+}
+
+// responses: una por request, en orden. Guarda las requests y las esperas del cliente.
+function createClient(responses, options = {}) {
+  const calls = [];
+  const sleeps = [];
+  let clock = Date.UTC(2026, 9, 19, 12);
+  const client = front.createFrontClient({
+    baseUrl: BASE_URL,
+    rateLimitPerMinute: 600,
+    fetch: async (url, init) => {
+      calls.push({ url, method: init.method, body: init.body });
+      if (calls.length > responses.length) throw new Error(`Unexpected request #${calls.length}: ${url}`);
+      return responses[calls.length - 1];
+    },
+    sleep: async ms => {
+      sleeps.push(ms);
+      clock += ms;
+    },
+    now: () => clock,
+    ...options
+  });
+  return { client, calls, sleeps };
+}
+
+const rateLimited = (headers = {}) => response(429, { _error: { message: 'Rate limit exceeded' } }, headers);
+
+test('429 with Retry-After waits that long and retries', async t => {
+  t.mock.method(console, 'log', () => {});
+  const { client, calls, sleeps } = createClient([
+    rateLimited({ 'Retry-After': '2' }),
+    response(200, { _results: [] })
+  ]);
+
+  assert.deepEqual(await client.get(API_KEY, '/teammates'), { _results: [] });
+  assert.equal(calls.length, 2);
+  assert.equal(calls[0].url, `${BASE_URL}/teammates`);
+  assert.deepEqual(sleeps, [2000]);
+});
+
+test('429 without Retry-After falls back to the default wait', async t => {
+  t.mock.method(console, 'log', () => {});
+  const { client, calls, sleeps } = createClient([
+    rateLimited(),
+    response(200, { ok: true })
+  ]);
+
+  await client.get(API_KEY, '/teammates');
+  assert.equal(calls.length, 2);
+  assert.deepEqual(sleeps, [5000]);
+});
+
+test('gives up with FrontRateLimitError once the retries run out', async t => {
+  t.mock.method(console, 'log', () => {});
+  const { client, calls } = createClient([
+    rateLimited({ 'Retry-After': '1' }),
+    rateLimited({ 'Retry-After': '1' }),
+    rateLimited({ 'Retry-After': '3' })
+  ], { maxRetries: 2 });
+
+  await assert.rejects(client.get(API_KEY, '/teammates'), error => {
+    assert.ok(error instanceof front.FrontRateLimitError);
+    assert.equal(error.status, 429);
+    assert.equal(error.retryAfterMs, 3000);
+    return true;
+  });
+  // Request original + 2 reintentos
+  assert.equal(calls.length, 3);
+});
+
+test('401 throws FrontAuthError without retrying', async () => {
+  const { client, calls, sleeps } = createClient([
+    response(401, { _error: { message: 'Invalid token' } })
+  ]);
+
+  await assert.rejects(client.get(API_KEY, '/teammates'), error => {
+    assert.ok(error instanceof front.FrontAuthError);
+    assert.ok(error instanceof front.FrontApiError);
+    assert.equal(error.status, 401);
+    assert.equal(error.message, 'Invalid token');
+    return true;
+  });
+  assert.equal(calls.length, 1);
+  assert.deepEqual(sleeps, []);
+});
+
+test('runAnalyticsReport polls the report link until it is done', async () => {
+  const self = `${BASE_URL}/analytics/reports/rep_1`;
+  const { client, calls, sleeps } = createClient([
+    response(201, { status: 'running', _links: { self } }),
+    response(200, { status: 'running', _links: { self } }),
+    response(200, { status: 'done', _links: { self }, metrics: [{ id: 'num_messages_sent', value: 12 }] })
+  ], { pollIntervalMs: 1000, maxPollIntervalMs: 1200 });
+
+  const report = await client.runAnalyticsReport(API_KEY, { metrics: ['num_messages_sent'] });
+  assert.equal(report.status, 'done');
+  assert.deepEqual(report.metrics, [{ id: 'num_messages_sent', value: 12 }]);
+
+  assert.deepEqual(calls.map(call => [call.method, call.url]), [
+    ['POST', `${BASE_URL}/analytics/reports`],
+    ['GET', self],
+    ['GET', self]
+  ]);
+  assert.equal(calls[0].body, JSON.stringify({ metrics: ['num_messages_sent'] }));
+  // Backoff progresivo, con tope en maxPollIntervalMs
+  assert.deepEqual(sleeps, [1000, 1200]);
+});
+
+test('runAnalyticsReport throws FrontNotReadyError after maxPollAttempts', async () => {
+  const running = () => response(200, { status: 'running' });
+  const { client, calls } = createClient([running(), running(), running()], { maxPollAttempts: 3 });
+
+  await assert.rejects(client.runAnalyticsReport(API_KEY, {}), error => {
+    assert.ok(error instanceof front.FrontNotReadyError);
+    assert.equal(error.reportStatus, 'running');
+    return true;
+  });
+  // Sin _links.self se repite el POST
+  assert.deepEqual(calls.map(call => call.method), ['POST', 'POST', 'POST']);
+});
@@ -0,0 +1,119 @@
+/**
+ * Parser ICS (ics.js) contra archivos de ejemplo en test/fixtures: exports de Outlook y
+ * Google, recurrencias con EXDATE / RECURRENCE-ID, y el ida y vuelta con el feed que
+ * generamos nosotros (escapeText / unescapeText).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const ics = require('../ics');
+
+// Antes de todas las fechas de los fixtures, así entran en la ventana de recurrencias
+const NOW = new Date('2026-03-01T12:00:00Z');
+
+function parseFixture(name, timezone = 'America/New_York') {
+  const text = fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+  return ics.parseCalendar(text, { timezone, now: NOW });
+}
+
+test('unescapeText reverses escapeText, backslashes included', () => {
+  const value = 'C:\\Users\\ana; see list, then\nsecond line \\n literal';
+  assert.equal(ics.unescapeText(ics.escapeText(value)), value);
+  assert.equal(ics.unescapeText('a\\\\nb'), 'a\\nb');
+});
+
+test('Outlook export: Windows TZID, folded lines, escaped text and attendee', () => {
+  const { events, skipped, warnings } = parseFixture('outlook-timed.ics');
+  assert.equal(skipped, 0);
+  assert.deepEqual(warnings, []);
+  assert.equal(events.length, 2);
+
+  const [dentist, lateShift] = events;
+  assert.equal(dentist.externalKey, 'ics:040000008200E00074C5B7101A82E008-dentist');
+  assert.equal(dentist.summary, 'Dentist, then errands');
+  assert.equal(dentist.description, 'Folder C:\\Users\\ana\\notes; see list\nSecond line that is long enough to be folded by the exporting client');
+  assert.equal(dentist.email, 'ana.perez@example.com');
+  // 09:00-13:00 Pacific, leído en la zona del tenant (Nueva York)
+  assert.equal(dentist.startDate, '2026-03-10');
+  assert.equal(dentist.endDate, '2026-03-10');
+  assert.equal(dentist.isAllDay, false);
+  assert.equal(dentist.hoursPerDay, 4);
+
+  // 22:00Z-02:00Z es 18:00-22:00 EDT: un solo día local
+  assert.equal(lateShift.startDate, '2026-03-11');
+  assert.equal(lateShift.endDate, '2026-03-11');
+  assert.equal(lateShift.hoursPerDay, 4);
+});
+
+test('Google export: all-day ranges, DURATION, cancelled and invalid events', () => {
+  const { events, skipped } = parseFixture('google-all-day.ics');
+  // Cancelado y sin DTSTART
+  assert.equal(skipped, 2);
+  assert.deepEqual(events.map(event => [event.summary, event.startDate, event.endDate, event.isAllDay]), [
+    ['Vacation', '2026-04-06', '2026-04-10', true], // DTEND de fecha es exclusivo
+    ['Day off', '2026-04-15', '2026-04-15', true],
+    ['No UID', '2026-05-01', '2026-05-01', true]
+  ]);
+  // Sin UID la clave es un fingerprint estable
+  assert.match(events[2].externalKey, /^ics:fp:[0-9a-f]{64}$/);
+  assert.equal(parseFixture('google-all-day.ics').events[2].externalKey, events[2].externalKey);
+});
+
+test('recurring events: RRULE across DST, EXDATE, RECURRENCE-ID and unsupported rules', () => {
+  const { events, warnings } = parseFixture('recurring.ics');
+
+  const fridays = events.filter(event => event.uid === 'friday-pm');
+  // 4 viernes (COUNT=4) menos el 13 (EXDATE); el del 20 se movió al jueves 19
+  assert.deepEqual(fridays.map(event => [event.startDate, event.summary]), [
+    ['2026-03-06', 'Friday afternoons off'],
+    ['2026-03-19', 'Friday afternoon off (moved)'],
+    ['2026-03-27', 'Friday afternoons off']
+  ]);
+  // Clave por ocurrencia en UTC: 13:00 EST antes del cambio de horario, 13:00 EDT después
+  assert.deepEqual(fridays.map(event => event.externalKey), [
+    'ics:friday-pm:20260306T180000Z',
+    'ics:friday-pm:20260320T170000Z',
+    'ics:friday-pm:20260327T170000Z'
+  ]);
+  assert.ok(fridays.every(event => event.hoursPerDay === 4));
+
+  // BYSETPOS no está soportado: solo la primera ocurrencia, con aviso
+  const monthly = events.filter(event => event.uid === 'monthly-setpos');
+  assert.equal(monthly.length, 1);
+  assert.equal(monthly[0].startDate, '2026-03-31');
+  assert.equal(warnings.length, 1);
+  assert.match(warnings[0], /BYSETPOS is not supported/);
+});
+
+test('re-importing the same file yields the same keys (dedupe by UID)', () => {
+  const first = parseFixture('recurring.ics').events.map(event => event.externalKey);
+  const second = parseFixture('recurring.ics').events.map(event => event.externalKey);
+  assert.deepEqual(second, first);
+  assert.equal(new Set(first).size, first.length);
+});
+
+test('our own feed parses back to the same events', () => {
+  const feed = ics.buildCalendar([{
+    id: 7,
+    employee_name: 'Ana Perez',
+    employee_email: 'ana.perez@example.com',
+    supervisor_email: null,
+    cost_center_1: 'Ops\\East, Night; B',
+    start_date: '2026-03-09',
+    end_date: '2026-03-11',
+    hours_per_day: null,
+    status: 'approved',
+    created_at: NOW
+  }], { name: 'Time off', uidDomain: 'example.com' });
+
+  const { events } = ics.parseCalendar(feed, { timezone: 'America/New_York', now: NOW });
+  assert.equal(events.length, 1);
+  assert.equal(events[0].uid, 'time-off-7@example.com');
+  assert.equal(events[0].summary, 'Ana Perez - Time off');
+  assert.equal(events[0].description, 'Email: ana.perez@example.com\nOps\\East, Night; B');
+  assert.equal(events[0].startDate, '2026-03-09');
+  assert.equal(events[0].endDate, '2026-03-11');
+});
@@ -0,0 +1,117 @@
+/**
+ * Validación de tokens de Teams SSO (teams-auth.js) con un par de claves generado acá:
+ * setSigningKeys reemplaza las claves de Azure AD, así no hay requests de red.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const manifest = require('../teams-app/manifest.json');
+const teamsAuth = require('../teams-auth');
+
+const AZURE_TENANT = '72f988bf-86f1-41af-91ab-2d7cd011db47';
+const OTHER_TENANT = '9188040d-6c67-4c5b-b112-36a304b66dad';
+const KID = 'test-key-1';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const other = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+teamsAuth.setSigningKeys([{ ...publicKey.export({ format: 'jwk' }), kid: KID, use: 'sig' }]);
+
+const base64Url = value => Buffer.from(value).toString('base64url');
+
+function signToken(claims = {}, { header = {}, key = privateKey } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const payload = {
+    aud: manifest.webApplicationInfo.resource,
+    iss: `https://login.microsoftonline.com/${AZURE_TENANT}/v2.0`,
+    tid: AZURE_TENANT,
+    iat: now,
+    nbf: now,
+    exp: now + 3600,
+    preferred_username: 'ana.perez@example.com',
+    ...claims
+  };
+  const signingInput = `${base64Url(JSON.stringify({ alg: 'RS256', typ: 'JWT', kid: KID, ...header }))}.${base64Url(JSON.stringify(payload))}`;
+  const signature = crypto.sign('RSA-SHA256', Buffer.from(signingInput), key).toString('base64url');
+  return `${signingInput}.${signature}`;
+}
+
+async function assertRejected(token, reason) {
+  await assert.rejects(teamsAuth.verifyTeamsToken(token), error => {
+    assert.ok(error instanceof teamsAuth.TokenValidationError);
+    assert.equal(error.reason, reason);
+    return true;
+  });
+}
+
+test('accepts a valid token (resource URI or client ID audience, v1 or v2 issuer)', async () => {
+  const payload = await teamsAuth.verifyTeamsToken(signToken());
+  assert.equal(payload.tid, AZURE_TENANT);
+  assert.equal(payload.preferred_username, 'ana.perez@example.com');
+
+  await teamsAuth.verifyTeamsToken(signToken({
+    aud: manifest.webApplicationInfo.id,
+    iss: `https://sts.windows.net/${AZURE_TENANT}/`
+  }));
+});
+
+test('rejects malformed tokens', async () => {
+  await assertRejected('not-a-jwt', 'malformed');
+  await assertRejected('a.b.c', 'malformed');
+});
+
+test('rejects a bad signature', async () => {
+  // Firmado con otra clave
+  await assertRejected(signToken({}, { key: other.privateKey }), 'signature_invalid');
+
+  // Payload cambiado después de firmar
+  const [header, , signature] = signToken().split('.');
+  const forged = base64Url(JSON.stringify({ aud: manifest.webApplicationInfo.resource, tid: AZURE_TENANT }));
+  await assertRejected(`${header}.${forged}.${signature}`, 'signature_invalid');
+});
+
+test('rejects unknown keys and algorithms other than RS256', async () => {
+  await assertRejected(signToken({}, { header: { kid: undefined } }), 'signing_key_missing');
+  await assertRejected(signToken({}, { header: { kid: 'rotated-away' } }), 'signing_key_unknown');
+  await assertRejected(signToken({}, { header: { alg: 'none' } }), 'unsupported_algorithm');
+});
+
+test('rejects a wrong audience', async () => {
+  await assertRejected(signToken({ aud: 'api://someone-else/1234' }), 'audience_invalid');
+  await assertRejected(signToken({ aud: undefined }), 'audience_invalid');
+});
+
+test('rejects a wrong or missing issuer and tenant', async () => {
+  await assertRejected(signToken({ iss: 'https://login.example.com/v2.0' }), 'issuer_invalid');
+  // Emisor de otro tenant que el tid del token
+  await assertRejected(signToken({ iss: `https://login.microsoftonline.com/${OTHER_TENANT}/v2.0` }), 'issuer_invalid');
+  await assertRejected(signToken({ tid: undefined }), 'tenant_missing');
+});
+
+test('rejects expired and not-yet-valid tokens (with 5 minutes of clock skew)', async () => {
+  const now = Math.floor(Date.now() / 1000);
+  await assertRejected(signToken({ exp: now - 301 }), 'token_expired');
+  await assertRejected(signToken({ exp: undefined }), 'token_expired');
+  await assertRejected(signToken({ nbf: now + 301 }), 'token_not_yet_valid');
+
+  // Dentro del margen todavía se aceptan
+  await teamsAuth.verifyTeamsToken(signToken({ exp: now - 60 }));
+  await teamsAuth.verifyTeamsToken(signToken({ nbf: now + 60 }));
+});
+
+test('verifyTokenTenant rejects a foreign tid', async () => {
+  const payload = await teamsAuth.verifyTeamsToken(signToken());
+  teamsAuth.verifyTokenTenant(payload, AZURE_TENANT.toUpperCase());
+
+  assert.throws(() => teamsAuth.verifyTokenTenant(payload, OTHER_TENANT), { reason: 'tenant_mismatch' });
+  assert.throws(() => teamsAuth.verifyTokenTenant(payload, null), { reason: 'tenant_not_configured' });
+
+  // Token válido emitido por otro tenant de Azure AD
+  const foreign = await teamsAuth.verifyTeamsToken(signToken({
+    tid: OTHER_TENANT,
+    iss: `https://login.microsoftonline.com/${OTHER_TENANT}/v2.0`
+  }));
+  assert.throws(() => teamsAuth.verifyTokenTenant(foreign, AZURE_TENANT), { reason: 'tenant_mismatch' });
+});
@@ -0,0 +1,103 @@
+/**
+ * Timezone helpers - Fechas en la zona horaria de cada tenant (IANA, ej. 'America/Chicago')
+ *
+ * Todo se calcula con Intl (sin dependencias). Los rangos, los requests a Front
+ * y el horario del scheduler usan la zona del tenant.
+ */
+
+// Zona por defecto (la de la oficina original; tenants sin zona configurada)
+const DEFAULT_TIMEZONE = 'America/New_York';
+
+/**
+ * true si es un nombre IANA que entiende el runtime
+ */
+function isValidTimezone(timezone) {
+  if (!timezone || typeof timezone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function resolveTimezone(timezone) {
+  return isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE;
+}
+
+/**
+ * Componentes de fecha/hora de un instante en la zona indicada
+ * (month 0-indexed, como Date)
+ */
+function getPartsInTimezone(timezone, date = new Date()) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+
+  const get = (type) => parseInt(parts.find(p => p.type === type).value, 10);
+  const year = get('year');
+  const month = get('month') - 1;
+  const day = get('day');
+
+  return {
+    year,
+    month,
+    day,
+    hour: get('hour'),
+    minute: get('minute'),
+    second: get('second'),
+    dayOfWeek: new Date(Date.UTC(year, month, day)).getUTCDay(), // 0 = domingo
+  };
+}
+
+/**
+ * Offset de la zona respecto de UTC (ms) en un instante dado
+ */
+function getOffsetMs(timezone, date) {
+  const p = getPartsInTimezone(timezone, date);
+  const asUtc = Date.UTC(p.year, p.month, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Convierte una fecha/hora local de la zona a Unix timestamp (segundos).
+ * El offset se calcula dos veces para que los días de cambio de horario (DST)
+ * usen el offset vigente en ese momento y no el del instante aproximado.
+ * Una hora que no existe (salto de primavera, p.ej. medianoche en America/Santiago)
+ * se resuelve al primer instante después del salto.
+ */
+function toUnixInTimezone(timezone, year, month, day, hours = 0, minutes = 0, seconds = 0) {
+  const wallAsUtc = Date.UTC(year, month, day, hours, minutes, seconds);
+  const guess = wallAsUtc - getOffsetMs(timezone, new Date(wallAsUtc));
+  const guessOffset = getOffsetMs(timezone, new Date(guess));
+  const exact = wallAsUtc - guessOffset;
+
+  if (getOffsetMs(timezone, new Date(exact)) !== guessOffset) {
+    return Math.floor(guess / 1000);
+  }
+  return Math.floor(exact / 1000);
+}
+
+/**
+ * 'YYYY-MM-DD' de un instante en la zona indicada
+ */
+function getLocalDateString(timezone, date = new Date()) {
+  const { year, month, day } = getPartsInTimezone(timezone, date);
+  return `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  resolveTimezone,
+  getPartsInTimezone,
+  toUnixInTimezone,
+  getLocalDateString
+};
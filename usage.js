@@ -0,0 +1,139 @@
+/**
+ * Usage - Días de time off usados por año, por empleado o agrupados
+ *
+ * Cuenta solo días laborables del año (work-calendar): un evento que cruza el año nuevo
+ * reparte sus días entre ambos. Lo aprobado es "usado"; lo pendiente se informa aparte.
+ * Con allowances (días por año: uno por defecto para todo el tenant y/o uno por empleado)
+ * se calcula el saldo restante.
+ */
+
+const workCalendar = require('./work-calendar');
+
+// groupBy -> clave y etiqueta del grupo de cada evento
+const GROUP_BY = {
+  employee: event => {
+    const email = event.employee_email ? event.employee_email.toLowerCase() : null;
+    return { key: email || `name:${(event.employee_name || '').toLowerCase()}`, label: event.employee_name || email };
+  },
+  costCenter1: event => ({ key: event.cost_center_1 || '', label: event.cost_center_1 || '(No cost center)' }),
+  supervisor: event => {
+    const email = event.supervisor_email ? event.supervisor_email.toLowerCase() : '';
+    return { key: email, label: email || '(No supervisor)' };
+  }
+};
+
+const round2 = value => Math.round(value * 100) / 100;
+
+function employeeKey(event) {
+  return GROUP_BY.employee(event).key;
+}
+
+/**
+ * @param {Object} data
+ * @param {Array} data.events - [{ employee_name, employee_email, supervisor_email, cost_center_1,
+ *   start_date, end_date, hours_per_day, status: 'approved' | 'pending' }]
+ * @param {Array} [data.allowances] - [{ employee_email (null = todo el tenant), days }]
+ * @param {Object} [data.calendar] - work-calendar del tenant para ese año
+ * @param {number} year
+ * @param {string} groupBy - employee | costCenter1 | supervisor
+ * @returns {{ rows: Array, totals: Object }}
+ *   allowanceDays / remainingDays son null si algún empleado del grupo no tiene allowance
+ */
+function computeUsage({ events, allowances = [], calendar = workCalendar.createWorkCalendar() }, year, groupBy) {
+  const yearStart = `${year}-01-01`;
+  const yearEnd = `${year}-12-31`;
+  const groupOf = GROUP_BY[groupBy];
+
+  const defaultAllowance = allowances.find(allowance => !allowance.employee_email);
+  const allowanceByEmail = new Map(allowances
+    .filter(allowance => allowance.employee_email)
+    .map(allowance => [allowance.employee_email.toLowerCase(), Number(allowance.days)]));
+  const allowanceOf = key => {
+    if (allowanceByEmail.has(key)) return allowanceByEmail.get(key);
+    return defaultAllowance ? Number(defaultAllowance.days) : null;
+  };
+
+  const groups = new Map();
+  const allEmployees = new Set();
+
+  for (const event of events) {
+    const { key, label } = groupOf(event);
+    if (!groups.has(key)) {
+      groups.set(key, {
+        key,
+        label,
+        employeeEmail: groupBy === 'employee' ? event.employee_email : undefined,
+        employees: new Set(),
+        events: 0,
+        usedDays: 0,
+        usedHours: 0,
+        pendingDays: 0,
+        pendingHours: 0
+      });
+    }
+    const group = groups.get(key);
+    const lost = workCalendar.timeOffLost(calendar, event, yearStart, yearEnd);
+
+    group.employees.add(employeeKey(event));
+    allEmployees.add(employeeKey(event));
+    group.events++;
+    if (event.status === 'pending') {
+      group.pendingDays += lost.daysLost;
+      group.pendingHours += lost.hoursLost;
+    } else {
+      group.usedDays += lost.daysLost;
+      group.usedHours += lost.hoursLost;
+    }
+  }
+
+  // Con allowance propio y sin time off en el año también tienen saldo
+  if (groupBy === 'employee') {
+    for (const email of allowanceByEmail.keys()) {
+      if (groups.has(email)) continue;
+      groups.set(email, {
+        key: email,
+        label: email,
+        employeeEmail: email,
+        employees: new Set([email]),
+        events: 0,
+        usedDays: 0,
+        usedHours: 0,
+        pendingDays: 0,
+        pendingHours: 0
+      });
+      allEmployees.add(email);
+    }
+  }
+
+  const rows = [...groups.values()].map(group => {
+    const allowances = [...group.employees].map(allowanceOf);
+    const allowanceDays = allowances.some(days => days === null) ? null : allowances.reduce((sum, days) => sum + days, 0);
+    return {
+      key: group.key,
+      label: group.label,
+      ...(groupBy === 'employee' ? { employeeEmail: group.employeeEmail } : {}),
+      employees: group.employees.size,
+      events: group.events,
+      usedDays: round2(group.usedDays),
+      usedHours: round2(group.usedHours),
+      pendingDays: round2(group.pendingDays),
+      pendingHours: round2(group.pendingHours),
+      allowanceDays: allowanceDays === null ? null : round2(allowanceDays),
+      remainingDays: allowanceDays === null ? null : round2(allowanceDays - group.usedDays)
+    };
+  }).sort((a, b) => String(a.label).localeCompare(String(b.label)));
+
+  const totals = {
+    employees: allEmployees.size,
+    usedDays: round2(rows.reduce((sum, row) => sum + row.usedDays, 0)),
+    usedHours: round2(rows.reduce((sum, row) => sum + row.usedHours, 0)),
+    pendingDays: round2(rows.reduce((sum, row) => sum + row.pendingDays, 0))
+  };
+
+  return { rows, totals };
+}
+
+module.exports = {
+  GROUP_BY_OPTIONS: Object.keys(GROUP_BY),
+  computeUsage
+};
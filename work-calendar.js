@@ -0,0 +1,112 @@
+/**
+ * Work calendar - Días laborables y feriados por tenant
+ *
+ * Cada tenant define qué días de la semana se trabaja (ISO: 1 = lunes ... 7 = domingo) y su
+ * lista de feriados. Un time off solo "pierde" días laborables: un lunes a domingo son 5 días,
+ * no 7, y menos si cae un feriado. Los eventos parciales cuentan en proporción a hours_per_day.
+ */
+
+// Horas de una jornada completa
+const FULL_DAY_HOURS = 8;
+
+const DEFAULT_WORKING_DAYS = [1, 2, 3, 4, 5];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toDateString(value) {
+  return value instanceof Date ? value.toISOString().split('T')[0] : String(value).split('T')[0];
+}
+
+function eachDay(start, end) {
+  const days = [];
+  for (let time = Date.parse(`${start}T00:00:00Z`); time <= Date.parse(`${end}T00:00:00Z`); time += DAY_MS) {
+    days.push(new Date(time).toISOString().split('T')[0]);
+  }
+  return days;
+}
+
+// Día de la semana ISO de un YYYY-MM-DD (1 = lunes, 7 = domingo)
+function isoWeekday(date) {
+  const day = new Date(`${date}T00:00:00Z`).getUTCDay();
+  return day === 0 ? 7 : day;
+}
+
+/**
+ * Días laborables válidos: enteros 1-7 sin repetir, al menos uno. null si no lo son.
+ */
+function normalizeWorkingDays(value) {
+  if (!Array.isArray(value) || value.length === 0) return null;
+  const days = value.map(Number);
+  if (days.some(day => !Number.isInteger(day) || day < 1 || day > 7)) return null;
+  return [...new Set(days)].sort((a, b) => a - b);
+}
+
+/**
+ * @param {Object} data - { workingDays: [1..7], holidays: [{ date: 'YYYY-MM-DD', name }] }
+ */
+function createWorkCalendar({ workingDays, holidays = [] } = {}) {
+  return {
+    workingDays: new Set(workingDays && workingDays.length ? workingDays : DEFAULT_WORKING_DAYS),
+    holidays: new Map(holidays.map(holiday => [toDateString(holiday.date), holiday.name]))
+  };
+}
+
+function holidayName(calendar, date) {
+  return calendar.holidays.get(date) || null;
+}
+
+function isWorkingDay(calendar, date) {
+  return calendar.workingDays.has(isoWeekday(date)) && !calendar.holidays.has(date);
+}
+
+function countWorkingDays(calendar, start, end) {
+  return eachDay(start, end).filter(date => isWorkingDay(calendar, date)).length;
+}
+
+// Fracción de jornada que se pierde por día: 1 si es de día completo
+function dayFraction(hoursPerDay) {
+  if (hoursPerDay === null || hoursPerDay === undefined) return 1;
+  return Math.min(Number(hoursPerDay) / FULL_DAY_HOURS, 1);
+}
+
+const round2 = value => Math.round(value * 100) / 100;
+
+/**
+ * Lo que pierde un evento entre rangeStart y rangeEnd (por defecto, todo el evento)
+ * @param {Object} event - { start_date, end_date, hours_per_day }
+ * @returns {{ calendarDays: number, workingDays: number, daysLost: number, hoursLost: number }}
+ */
+function timeOffLost(calendar, event, rangeStart = null, rangeEnd = null) {
+  const eventStart = toDateString(event.start_date);
+  const eventEnd = toDateString(event.end_date);
+  const start = rangeStart && rangeStart > eventStart ? rangeStart : eventStart;
+  const end = rangeEnd && rangeEnd < eventEnd ? rangeEnd : eventEnd;
+  if (end < start) return { calendarDays: 0, workingDays: 0, daysLost: 0, hoursLost: 0 };
+
+  const calendarDays = eachDay(start, end).length;
+  const workingDays = countWorkingDays(calendar, start, end);
+  const hoursPerDay = event.hours_per_day === null || event.hours_per_day === undefined
+    ? FULL_DAY_HOURS
+    : Math.min(Number(event.hours_per_day), FULL_DAY_HOURS);
+
+  return {
+    calendarDays,
+    workingDays,
+    daysLost: round2(workingDays * dayFraction(event.hours_per_day)),
+    hoursLost: round2(workingDays * hoursPerDay)
+  };
+}
+
+module.exports = {
+  FULL_DAY_HOURS,
+  DEFAULT_WORKING_DAYS,
+  toDateString,
+  eachDay,
+  normalizeWorkingDays,
+  createWorkCalendar,
+  holidayName,
+  isWorkingDay,
+  countWorkingDays,
+  dayFraction,
+  timeOffLost
+};